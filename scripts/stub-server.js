@@ -0,0 +1,98 @@
+/**
+ * A tiny local stand-in for the chat backend, used to try out streamed answers.
+ *
+ * Usage:
+ *   npm run stub-server                 # streams answers on port 8000
+ *   npm run stub-server -- --no-stream  # stream routes answer 404, exercising the fallback
+ *
+ * Then start the app with REACT_APP_API_BASE_URL=http://localhost:8000 and use guest mode.
+ */
+const http = require('http');
+
+const PORT = Number(process.env.PORT) || 8000;
+const STREAMING_ENABLED = !process.argv.includes('--no-stream');
+const CHUNK_DELAY_MS = 60;
+
+const sendCors = (res) => {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PATCH, DELETE, OPTIONS');
+};
+
+const readJson = (req) => new Promise((resolve) => {
+  let body = '';
+  req.on('data', (chunk) => { body += chunk; });
+  req.on('end', () => {
+    try {
+      resolve(JSON.parse(body || '{}'));
+    } catch {
+      resolve({});
+    }
+  });
+});
+
+const buildAnswer = ({ message = '', context_sources: sources = [] }) => {
+  const sourceNote = sources.length > 0
+    ? `I looked at **${sources.map((source) => source.filename).join(', ')}**.`
+    : 'No documents were attached to this question.';
+  return `You asked: "${message}"\n\n${sourceNote}\n\n* This answer comes from the local stub server.\n* It is streamed in small chunks.`;
+};
+
+const streamAnswer = (res, answer, sources) => {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+  });
+
+  const chunks = answer.match(/\S+\s*/g) || [];
+  let index = 0;
+
+  const timer = setInterval(() => {
+    if (index < chunks.length) {
+      res.write(`data: ${JSON.stringify({ token: chunks[index] })}\n\n`);
+      index += 1;
+      return;
+    }
+    clearInterval(timer);
+    res.write(`event: done\ndata: ${JSON.stringify({ context_used: sources.length > 0, context_sources: sources })}\n\n`);
+    res.end();
+  }, CHUNK_DELAY_MS);
+
+  res.on('close', () => clearInterval(timer));
+};
+
+const server = http.createServer(async (req, res) => {
+  sendCors(res);
+
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204);
+    res.end();
+    return;
+  }
+
+  const path = req.url.split('?')[0];
+  const isStreamRoute = path === '/api/chat/stream' || path === '/api/guest/chat/stream';
+  const isChatRoute = path === '/api/chat' || path === '/api/guest/chat';
+
+  if (req.method === 'POST' && isStreamRoute && STREAMING_ENABLED) {
+    const payload = await readJson(req);
+    streamAnswer(res, buildAnswer(payload), payload.context_sources || []);
+    return;
+  }
+
+  if (req.method === 'POST' && isChatRoute) {
+    const payload = await readJson(req);
+    const sources = payload.context_sources || [];
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ response: buildAnswer(payload), context_used: sources.length > 0, context_sources: sources }));
+    return;
+  }
+
+  res.writeHead(404, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify({ detail: 'Not found' }));
+});
+
+server.listen(PORT, () => {
+  console.log(`Stub server listening on http://localhost:${PORT} (streaming ${STREAMING_ENABLED ? 'on' : 'off'})`);
+});
@@ -1,43 +1,69 @@
-import React from 'react';
-import { BrowserRouter as Router, Routes, Route, Navigate } from 'react-router-dom';
+import React, { Suspense, lazy } from 'react';
+import { BrowserRouter as Router, Routes, Route, Navigate, useLocation } from 'react-router-dom';
 import { AuthProvider, useAuth } from './context/AuthContext';
 import LoginPage from './pages/LoginPage';
 import RegisterPage from './pages/RegisterPage';
 import DashboardPage from './pages/DashboardPage';
+import ForgotPasswordPage from './pages/ForgotPasswordPage';
+import OidcCallbackPage from './pages/OidcCallbackPage';
+import ResetPasswordPage from './pages/ResetPasswordPage';
+import SettingsPage from './pages/SettingsPage';
+import VerifyEmailPage from './pages/VerifyEmailPage';
 import LoadingSpinner from './components/LoadingSpinner';
+import SessionExpiryBanner from './components/SessionExpiryBanner';
+import config from './services/config';
+import { getReturnPath } from './utils/returnPath';
+
+// Pages of the mock backend, loaded only when it is enabled.
+const MailSinkPage = lazy(() => import('./pages/MailSinkPage'));
+const MockOidcAuthorizePage = lazy(() => import('./pages/MockOidcAuthorizePage'));
 
 /**
  * A private route component that only allows access to authenticated users.
- * If the user is not authenticated, they are redirected to the login page.
+ * If the user is not authenticated, they are redirected to the login page, which sends
+ * them back here after signing in. Users who have not confirmed their email address yet
+ * are sent to the verification page instead.
  * It shows a loading spinner while checking the authentication status.
  * @param {object} props - The component props.
  * @param {React.ReactNode} props.children - The child components to render if authenticated.
+ * @param {boolean} [props.allowUnverified] - Also let in users whose email is not confirmed.
  */
-const PrivateRoute = ({ children }) => {
+const PrivateRoute = ({ children, allowUnverified = false }) => {
   const { user, isLoading } = useAuth();
+  const location = useLocation();
   
   if (isLoading) {
     return <LoadingSpinner />;
   }
-  
-  return user ? <>{children}</> : <Navigate to="/login" />;
+
+  if (!user) {
+    return <Navigate to="/login" state={{ from: location }} replace />;
+  }
+
+  if (user.email_verified === false && !allowUnverified) {
+    return <Navigate to="/verify-email" replace />;
+  }
+
+  return <>{children}</>;
 };
 
 /**
  * A public route component that only allows access to unauthenticated users.
- * If the user is authenticated, they are redirected to the dashboard.
+ * If the user is authenticated, they are redirected to the page they came from,
+ * or the dashboard.
  * It shows a loading spinner while checking the authentication status.
  * @param {object} props - The component props.
  * @param {React.ReactNode} props.children - The child components to render if not authenticated.
  */
 const PublicRoute = ({ children }) => {
   const { user, isLoading } = useAuth();
+  const location = useLocation();
   
   if (isLoading) {
     return <LoadingSpinner />;
   }
   
-  return user ? <Navigate to="/dashboard" /> : <>{children}</>;
+  return user ? <Navigate to={getReturnPath(location)} replace /> : <>{children}</>;
 };
 
 /**
@@ -48,6 +74,7 @@ const App = () => {
     <AuthProvider>
       <Router>
         <div className="min-h-screen bg-gray-50">
+          <SessionExpiryBanner />
           <Routes>
             <Route path="/" element={<Navigate to="/dashboard" />} />
             <Route
@@ -66,6 +93,37 @@ const App = () => {
                 </PublicRoute>
               }
             />
+            <Route
+              path="/forgot-password"
+              element={
+                <PublicRoute>
+                  <ForgotPasswordPage />
+                </PublicRoute>
+              }
+            />
+            <Route path="/reset-password/:token" element={<ResetPasswordPage />} />
+            <Route
+              path="/verify-email"
+              element={
+                <PrivateRoute allowUnverified>
+                  <VerifyEmailPage />
+                </PrivateRoute>
+              }
+            />
+            <Route path="/verify-email/:token" element={<VerifyEmailPage />} />
+            <Route path="/auth/callback" element={<OidcCallbackPage />} />
+            {config.useMockBackend && (
+              <Route
+                path="/dev/mail"
+                element={<Suspense fallback={<LoadingSpinner />}><MailSinkPage /></Suspense>}
+              />
+            )}
+            {config.useMockBackend && (
+              <Route
+                path="/dev/oidc/authorize"
+                element={<Suspense fallback={<LoadingSpinner />}><MockOidcAuthorizePage /></Suspense>}
+              />
+            )}
             <Route
               path="/dashboard"
               element={
@@ -74,6 +132,14 @@ const App = () => {
                 </PrivateRoute>
               }
             />
+            <Route
+              path="/settings"
+              element={
+                <PrivateRoute>
+                  <SettingsPage />
+                </PrivateRoute>
+              }
+            />
           </Routes>
         </div>
       </Router>
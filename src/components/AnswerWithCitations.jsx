@@ -0,0 +1,60 @@
+import React, { useCallback, useMemo } from 'react';
+import MarkdownRenderer from './MarkdownRenderer';
+import { collectCitations, parseContextSources } from '../services/citations';
+
+/**
+ * An assistant answer with its citations: `[n]` markers in the text become buttons, and
+ * the passages they cite are listed below with a quote. Clicking either opens the source.
+ * Answers saved before passages were reported only name the documents used, and imported
+ * answers whose document is missing (a null ID) keep their quotes without a link.
+ *
+ * @param {object} props - The component's props.
+ * @param {{response: string, context_documents?: string}} props.message - The chat message.
+ * @param {(citation: import('../services/citations').Citation) => void} props.onOpenCitation -
+ *   Called with the citation to open.
+ */
+const AnswerWithCitations = ({ message, onOpenCitation }) => {
+  const sources = useMemo(() => parseContextSources(message.context_documents), [message.context_documents]);
+  const citations = useMemo(() => collectCitations(sources, message.response), [sources, message.response]);
+
+  const handleCitationClick = useCallback((number) => {
+    const citation = citations.find(candidate => candidate.number === number);
+    if (citation && citation.documentId !== null) onOpenCitation(citation);
+  }, [citations, onOpenCitation]);
+
+  return (
+    <>
+      {sources.length > 0 && citations.length === 0 && (
+        <div className="mb-2 text-xs text-blue-600 bg-blue-50 px-2 py-1 rounded break-all">
+          📄 Using context from: {sources.map((doc) => doc.filename).join(', ')}
+        </div>
+      )}
+      <MarkdownRenderer
+        text={message.response}
+        citationNumbers={citations.map(citation => citation.number)}
+        onCitationClick={handleCitationClick}
+      />
+      {citations.length > 0 && (
+        <ol className="mt-3 space-y-1 border-t border-gray-200 pt-2 text-xs">
+          {citations.map((citation) => (
+            <li key={citation.number}>
+              <button
+                type="button"
+                onClick={() => onOpenCitation(citation)}
+                disabled={citation.documentId === null}
+                className="w-full rounded px-1 py-0.5 text-left hover:bg-blue-50 disabled:cursor-default disabled:hover:bg-transparent"
+                title={citation.documentId === null ? 'The cited document is not in this workspace' : 'Open the cited passage'}
+              >
+                <span className="font-semibold text-primary-700">[{citation.number}]</span>{' '}
+                <span className="font-medium text-gray-700">{citation.filename}</span>
+                {citation.snippet && <span className="text-gray-500"> — “{citation.snippet}”</span>}
+              </button>
+            </li>
+          ))}
+        </ol>
+      )}
+    </>
+  );
+};
+
+export default AnswerWithCitations;
@@ -0,0 +1,29 @@
+import React from 'react';
+import config from '../services/config';
+import { formatTokens } from '../services/tokens';
+
+/**
+ * Tells how much of the conversation the next question carries along as memory.
+ *
+ * @param {object} props - The component's props.
+ * @param {import('../services/chatMemory').ChatMemory | null} props.memory - The memory of the
+ *   next question, or null while an answer is streaming.
+ */
+const ChatMemoryStatus = ({ memory }) => {
+  if (!memory) return null;
+
+  return (
+    <div
+      className="mb-2 text-xs text-gray-500"
+      title={`Earlier turns are sent along with your question, up to about ${formatTokens(config.chatMemoryTokens)} tokens; older ones are summarized.`}
+    >
+      {config.chatMemoryTokens === 0
+        ? '🧠 Conversational memory is off: each question is answered on its own.'
+        : `🧠 Memory: last ${memory.carriedTurns} turn(s)${
+          memory.summarizedTurns > 0 ? ` plus a summary of ${memory.summarizedTurns} earlier` : ''
+        } (~${formatTokens(memory.tokens)} of ${formatTokens(config.chatMemoryTokens)} tokens)`}
+    </div>
+  );
+};
+
+export default ChatMemoryStatus;
@@ -0,0 +1,190 @@
+import React, { useState } from 'react';
+import { collectTags, resolveCollection } from '../services/collections';
+
+const emptyForm = { name: '', documentIds: [], tags: [] };
+
+/**
+ * Manages document collections: lists them with their size, and creates, edits or deletes
+ * them. A collection includes the documents ticked for it and every document with one of
+ * its tags.
+ *
+ * @param {object} props - The component's props.
+ * @param {boolean} props.isOpen - Whether the modal is open or not.
+ * @param {import('../services/collections').Collection[]} props.collections
+ * @param {Array<{id: number, filename: string, tags?: string[]}>} props.documents - The documents to pick from.
+ * @param {(collectionId: number | string | null, contents: {name: string, document_ids: number[], tags: string[]}) => Promise<void>} props.onSave -
+ *   Creates a collection when the ID is null, otherwise updates it.
+ * @param {(collectionId: number | string) => void} props.onDelete
+ * @param {() => void} props.onClose - Function to call when the modal is closed.
+ */
+const CollectionsModal = ({ isOpen, collections, documents, onSave, onDelete, onClose }) => {
+  // null while listing, 'new' for a new collection, otherwise the ID being edited.
+  const [editingId, setEditingId] = useState(null);
+  const [form, setForm] = useState(emptyForm);
+  const [isSaving, setIsSaving] = useState(false);
+
+  if (!isOpen) return null;
+
+  const availableTags = collectTags(documents);
+
+  const startEditing = (collection) => {
+    if (collection) {
+      setEditingId(collection.id);
+      setForm({
+        name: collection.name,
+        documentIds: collection.document_ids.map(String),
+        tags: collection.tags,
+      });
+    } else {
+      setEditingId('new');
+      setForm(emptyForm);
+    }
+  };
+
+  const toggle = (field, value) => {
+    setForm(prev => ({
+      ...prev,
+      [field]: prev[field].includes(value)
+        ? prev[field].filter(item => item !== value)
+        : [...prev[field], value],
+    }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!form.name.trim()) return;
+    setIsSaving(true);
+    try {
+      await onSave(editingId === 'new' ? null : editingId, {
+        name: form.name.trim(),
+        // Keep the dashboard's own ID values; the checkboxes compare them as strings.
+        document_ids: documents.filter(doc => form.documentIds.includes(String(doc.id))).map(doc => doc.id),
+        tags: form.tags,
+      });
+      setEditingId(null);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleClose = () => {
+    setEditingId(null);
+    onClose();
+  };
+
+  return (
+    <div
+      className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-50 transition-opacity"
+      aria-labelledby="collections-title"
+      role="dialog"
+      aria-modal="true"
+    >
+      <div className="relative flex max-h-[85vh] w-full max-w-lg flex-col rounded-lg bg-white p-6 text-left shadow-xl">
+        <h3 className="text-lg font-semibold leading-6 text-gray-900" id="collections-title">
+          {editingId === null ? 'Collections' : editingId === 'new' ? 'New collection' : 'Edit collection'}
+        </h3>
+
+        {editingId === null ? (
+          <>
+            <p className="mt-2 text-sm text-gray-600">
+              Group documents into named sets and pick one as the context of a conversation.
+            </p>
+            <ul className="mt-4 flex-1 overflow-y-auto divide-y divide-gray-100 border border-gray-200 rounded-lg">
+              {collections.length === 0 && (
+                <li className="px-3 py-2 text-sm italic text-gray-500">No collections yet</li>
+              )}
+              {collections.map(collection => (
+                <li key={collection.id} className="flex items-center justify-between px-3 py-2 text-sm">
+                  <div className="min-w-0">
+                    <div className="truncate font-medium text-gray-800">{collection.name}</div>
+                    <div className="text-xs text-gray-500">
+                      {resolveCollection(collection, documents).length} document(s)
+                      {collection.tags.length > 0 && ` · ${collection.tags.map(tag => `#${tag}`).join(' ')}`}
+                    </div>
+                  </div>
+                  <div className="ml-2 flex flex-shrink-0 space-x-2">
+                    <button type="button" onClick={() => startEditing(collection)} className="text-xs text-primary-600 hover:text-primary-700">
+                      Edit
+                    </button>
+                    <button type="button" onClick={() => onDelete(collection.id)} className="text-xs text-red-500 hover:text-red-700">
+                      Delete
+                    </button>
+                  </div>
+                </li>
+              ))}
+            </ul>
+            <div className="mt-5 flex flex-row-reverse gap-3">
+              <button type="button" onClick={() => startEditing(null)} className="btn-primary">
+                New collection
+              </button>
+              <button type="button" onClick={handleClose} className="btn-secondary">
+                Close
+              </button>
+            </div>
+          </>
+        ) : (
+          <form onSubmit={handleSubmit} className="mt-4 flex min-h-0 flex-1 flex-col">
+            <input
+              type="text"
+              value={form.name}
+              onChange={(e) => setForm(prev => ({ ...prev, name: e.target.value }))}
+              placeholder="Collection name"
+              className="input-field"
+              autoFocus
+            />
+
+            <div className="mt-4 min-h-0 flex-1 overflow-y-auto">
+              <h4 className="text-xs font-semibold uppercase tracking-wide text-gray-400">Include tagged documents</h4>
+              {availableTags.length === 0 ? (
+                <p className="mt-1 text-xs italic text-gray-500">Tag documents in the sidebar to add them by tag.</p>
+              ) : (
+                <div className="mt-1 flex flex-wrap gap-1">
+                  {availableTags.map(tag => (
+                    <button
+                      key={tag}
+                      type="button"
+                      onClick={() => toggle('tags', tag)}
+                      className={`rounded-full px-2 py-0.5 text-xs ${
+                        form.tags.includes(tag) ? 'bg-primary-600 text-white' : 'bg-gray-200 text-gray-700 hover:bg-gray-300'
+                      }`}
+                    >
+                      #{tag}
+                    </button>
+                  ))}
+                </div>
+              )}
+
+              <h4 className="mt-4 text-xs font-semibold uppercase tracking-wide text-gray-400">Include documents</h4>
+              <ul className="mt-1 space-y-1">
+                {documents.map(doc => (
+                  <li key={doc.id}>
+                    <label className="flex items-center text-sm text-gray-800">
+                      <input
+                        type="checkbox"
+                        checked={form.documentIds.includes(String(doc.id))}
+                        onChange={() => toggle('documentIds', String(doc.id))}
+                        className="mr-2"
+                      />
+                      <span className="truncate">{doc.filename}</span>
+                    </label>
+                  </li>
+                ))}
+              </ul>
+            </div>
+
+            <div className="mt-5 flex flex-row-reverse gap-3">
+              <button type="submit" disabled={!form.name.trim() || isSaving} className="btn-primary disabled:opacity-50">
+                {isSaving ? 'Saving...' : 'Save'}
+              </button>
+              <button type="button" onClick={() => setEditingId(null)} className="btn-secondary">
+                Back
+              </button>
+            </div>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default CollectionsModal;
@@ -0,0 +1,39 @@
+import React from 'react';
+import { formatTokens } from '../services/tokens';
+
+/**
+ * Warns when a question nears or exceeds the model's context, offering to trim the
+ * documents in context.
+ *
+ * @param {object} props - The component's props.
+ * @param {import('../services/contextBudget').ContextEstimate} props.estimate
+ * @param {() => void} props.onTrim - Trims the context to the most relevant documents.
+ * @param {boolean} props.isTrimming
+ * @param {boolean} props.disabled - Whether trimming has to wait, e.g. for an answer.
+ */
+const ContextBudgetWarning = ({ estimate, onTrim, isTrimming, disabled }) => {
+  if (estimate.status === 'ok') return null;
+
+  return (
+    <div className={`mb-3 flex items-center justify-between px-3 py-2 rounded-lg text-xs ${
+      estimate.status === 'over' ? 'text-red-700 bg-red-50' : 'text-amber-700 bg-amber-50'
+    }`}>
+      <span>
+        {estimate.status === 'over'
+          ? `⛔ This question needs about ${formatTokens(estimate.total)} tokens, more than the model's ${formatTokens(estimate.limit)}. Trim the context before sending.`
+          : `⚠️ This question uses about ${Math.round((estimate.total / estimate.limit) * 100)}% of the model's context, so the answer may be cut short.`}
+      </span>
+      <button
+        type="button"
+        onClick={onTrim}
+        disabled={isTrimming || disabled}
+        className="ml-3 flex-shrink-0 font-medium underline hover:no-underline disabled:opacity-50"
+        title="Keep the documents most relevant to your question that fit"
+      >
+        {isTrimming ? 'Trimming...' : 'Trim to most relevant'}
+      </button>
+    </div>
+  );
+};
+
+export default ContextBudgetWarning;
@@ -0,0 +1,91 @@
+import React from 'react';
+
+const CONTEXT_MODES = [
+  { value: 'none', label: 'No context (General AI)' },
+  { value: 'selected', label: 'Selected documents' },
+  { value: 'all', label: 'All documents' },
+  { value: 'collection', label: 'Collection' },
+];
+
+/**
+ * Sidebar choice of the documents sent as context: none, a selection, all of them, or a
+ * collection.
+ *
+ * @param {object} props - The component's props.
+ * @param {'none' | 'selected' | 'all' | 'collection'} props.contextMode
+ * @param {(mode: string) => void} props.onModeChange
+ * @param {number} props.selectedCount - How many documents are selected.
+ * @param {import('../services/collections').Collection[]} props.collections
+ * @param {import('../services/collections').Collection | undefined} props.activeCollection - The chosen collection.
+ * @param {number} props.collectionDocumentCount - How many documents the chosen collection holds.
+ * @param {(collectionId: number | string | null) => void} props.onCollectionSelect
+ * @param {() => void} props.onManageCollections - Opens the collections editor.
+ */
+const ContextModePicker = ({
+  contextMode,
+  onModeChange,
+  selectedCount,
+  collections,
+  activeCollection,
+  collectionDocumentCount,
+  onCollectionSelect,
+  onManageCollections,
+}) => (
+  <div className="mb-4">
+    <h3 className="text-sm font-medium text-gray-700 mb-2">Context Mode</h3>
+    <div className="space-y-2">
+      {CONTEXT_MODES.map(mode => (
+        <label key={mode.value} className="flex items-center">
+          <input
+            type="radio"
+            name="contextMode"
+            value={mode.value}
+            checked={contextMode === mode.value}
+            onChange={() => onModeChange(mode.value)}
+            className="mr-2"
+          />
+          <span className="text-sm">{mode.label}</span>
+        </label>
+      ))}
+    </div>
+
+    {contextMode === 'selected' && (
+      <div className="mt-2 text-xs text-blue-600">
+        {selectedCount} document(s) selected
+      </div>
+    )}
+
+    {contextMode === 'collection' && (
+      <div className="mt-2">
+        {collections.length > 0 && (
+          <select
+            value={activeCollection ? String(activeCollection.id) : ''}
+            onChange={(e) => onCollectionSelect(
+              collections.find(collection => String(collection.id) === e.target.value)?.id ?? null,
+            )}
+            className="input-field w-full py-1 text-sm"
+          >
+            {!activeCollection && <option value="">Choose a collection</option>}
+            {collections.map(collection => (
+              <option key={collection.id} value={String(collection.id)}>{collection.name}</option>
+            ))}
+          </select>
+        )}
+        {activeCollection && (
+          <div className="mt-1 text-xs text-blue-600">
+            {collectionDocumentCount} document(s) in this collection
+          </div>
+        )}
+      </div>
+    )}
+    <button
+      type="button"
+      onClick={onManageCollections}
+      className="mt-2 text-xs text-primary-600 hover:text-primary-700"
+    >
+      {collections.length > 0 ? 'Manage collections' : 'Create a collection'}
+    </button>
+  </div>
+);
+
+export default ContextModePicker;
@@ -0,0 +1,112 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { renderToStaticMarkup } from 'react-dom/server';
+import MarkdownRenderer from './MarkdownRenderer';
+import { chatAPI } from '../services/api';
+import { guestService } from '../services/guestService';
+import {
+  buildConversationExport,
+  downloadFile,
+  exportFileStem,
+  toJson,
+  toMarkdown,
+  toPrintableHtml,
+} from '../services/conversationExport';
+
+// How long the printable page's URL is kept if its load is never seen.
+const REVOKE_FALLBACK_MS = 60 * 1000;
+
+const renderAnswer = (markdown) => renderToStaticMarkup(<MarkdownRenderer text={markdown} />);
+
+/**
+ * Header menu exporting the open conversation's stored history as Markdown, JSON, or a
+ * printable page opened in a new tab.
+ *
+ * @param {object} props - The component's props.
+ * @param {{id: number | string, title: string, created_at?: string, updated_at?: string} | undefined} props.conversation -
+ *   The open conversation.
+ * @param {boolean} props.isGuestMode - Whether to read the history from guest storage.
+ * @param {(message: string) => void} props.onError - Called with a message when the export fails.
+ */
+const ConversationExportMenu = ({ conversation, isGuestMode, onError }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const menuRef = useRef(null);
+
+  useEffect(() => {
+    if (!isOpen) return undefined;
+    const handleClick = (e) => {
+      if (!menuRef.current?.contains(e.target)) setIsOpen(false);
+    };
+    document.addEventListener('mousedown', handleClick);
+    return () => document.removeEventListener('mousedown', handleClick);
+  }, [isOpen]);
+
+  if (!conversation) return null;
+
+  const loadExport = async () => {
+    const history = isGuestMode
+      ? await guestService.getChatHistory(conversation.id)
+      : (await chatAPI.getChatHistory(conversation.id)).history;
+    return buildConversationExport(conversation, history);
+  };
+
+  const handleExport = async (format) => {
+    setIsOpen(false);
+    // Opened before any await so popup blockers treat it as a response to the click.
+    const printWindow = format === 'print' ? window.open('', '_blank') : null;
+    try {
+      const data = await loadExport();
+      const stem = exportFileStem(conversation.title);
+      if (format === 'markdown') {
+        downloadFile(toMarkdown(data), `${stem}.md`, 'text/markdown');
+      } else if (format === 'json') {
+        downloadFile(toJson(data), `${stem}.json`, 'application/json');
+      } else {
+        const html = toPrintableHtml(data, renderAnswer);
+        if (printWindow) {
+          const url = URL.createObjectURL(new Blob([html], { type: 'text/html' }));
+          // The page keeps its content once loaded, so the URL can go then.
+          const fallback = setTimeout(() => URL.revokeObjectURL(url), REVOKE_FALLBACK_MS);
+          printWindow.addEventListener('load', () => {
+            clearTimeout(fallback);
+            URL.revokeObjectURL(url);
+          }, { once: true });
+          printWindow.location.href = url;
+        } else {
+          downloadFile(html, `${stem}.html`, 'text/html');
+        }
+      }
+    } catch (error) {
+      printWindow?.close();
+      console.error('Error exporting conversation:', error);
+      onError('The conversation could not be exported. Please try again.');
+    }
+  };
+
+  return (
+    <div className="relative" ref={menuRef}>
+      <button
+        onClick={() => setIsOpen(open => !open)}
+        className="btn-secondary text-sm"
+        aria-haspopup="menu"
+        aria-expanded={isOpen}
+      >
+        Export
+      </button>
+      {isOpen && (
+        <div className="absolute right-0 z-30 mt-2 w-48 rounded-lg border border-gray-200 bg-white py-1 shadow-lg" role="menu">
+          <button role="menuitem" onClick={() => handleExport('markdown')} className="block w-full px-4 py-2 text-left text-sm text-gray-700 hover:bg-gray-100">
+            Markdown (.md)
+          </button>
+          <button role="menuitem" onClick={() => handleExport('json')} className="block w-full px-4 py-2 text-left text-sm text-gray-700 hover:bg-gray-100">
+            JSON (re-importable)
+          </button>
+          <button role="menuitem" onClick={() => handleExport('print')} className="block w-full px-4 py-2 text-left text-sm text-gray-700 hover:bg-gray-100">
+            Printable page
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ConversationExportMenu;
@@ -0,0 +1,160 @@
+import React, { useRef, useState } from 'react';
+import { chatAPI } from '../services/api';
+import { guestService, GuestStorageQuotaError } from '../services/guestService';
+import { ConversationImportError, parseConversationImport } from '../services/conversationExport';
+
+/**
+ * Sidebar list of conversation threads with create, rename, switch and delete actions, and
+ * an import of conversations exported as JSON.
+ *
+ * @param {object} props - The component's props.
+ * @param {Array<{id: number | string, title: string, updated_at: string}>} props.conversations - The conversations to list.
+ * @param {number | string | null} props.activeConversationId - The ID of the open conversation.
+ * @param {(id: number | string) => void} props.onSelect - Called when a conversation is clicked.
+ * @param {() => void} props.onCreate - Called when the "New" button is clicked.
+ * @param {(id: number | string, title: string) => void} props.onRename - Called with the new title after an edit.
+ * @param {(id: number | string) => void} props.onDelete - Called when a conversation's delete button is clicked.
+ * @param {boolean} props.isGuestMode - Whether to import into guest storage.
+ * @param {Array<{id: number | string, filename: string}>} props.documents - The account's documents, which
+ *   imported citations are matched against by filename; guest documents are read from storage.
+ * @param {(conversation: object) => void} props.onImported - Called with a conversation restored from an export.
+ * @param {(message: string) => void} props.onImportError - Called with a message when an import fails.
+ */
+const ConversationList = ({
+  conversations,
+  activeConversationId,
+  onSelect,
+  onCreate,
+  onRename,
+  onDelete,
+  isGuestMode,
+  documents,
+  onImported,
+  onImportError,
+}) => {
+  const [editingId, setEditingId] = useState(null);
+  const [editingTitle, setEditingTitle] = useState('');
+  const importInputRef = useRef(null);
+
+  const importConversation = async (file) => {
+    try {
+      const targetDocuments = isGuestMode ? await guestService.getDocuments() : documents;
+      const { conversation, messages } = parseConversationImport(await file.text(), targetDocuments);
+
+      const imported = isGuestMode
+        ? await guestService.importConversation(conversation, messages)
+        : (await chatAPI.importConversation(conversation, messages)).conversation;
+      onImported(imported);
+    } catch (error) {
+      if (error instanceof ConversationImportError || error instanceof GuestStorageQuotaError) {
+        onImportError(error.message);
+      } else {
+        console.error('Error importing conversation:', error);
+        onImportError(`"${file.name}" could not be imported. Please try again.`);
+      }
+    }
+  };
+
+  const startEditing = (conversation) => {
+    setEditingId(conversation.id);
+    setEditingTitle(conversation.title);
+  };
+
+  const finishEditing = () => {
+    const title = editingTitle.trim();
+    const conversation = conversations.find(conv => conv.id === editingId);
+    if (title && conversation && title !== conversation.title) {
+      onRename(editingId, title);
+    }
+    setEditingId(null);
+  };
+
+  return (
+    <div className="mb-4">
+      <div className="flex items-center justify-between mb-2">
+        <h3 className="text-sm font-medium text-gray-700">Conversations</h3>
+        <div className="flex items-center space-x-3">
+          <button
+            onClick={() => importInputRef.current?.click()}
+            className="text-xs text-gray-500 hover:text-gray-700 font-medium"
+            title="Import a conversation exported as JSON"
+          >
+            Import
+          </button>
+          <button
+            onClick={onCreate}
+            className="text-xs text-primary-600 hover:text-primary-700 font-medium"
+          >
+            + New
+          </button>
+        </div>
+        <input
+          ref={importInputRef}
+          type="file"
+          accept=".json,application/json"
+          className="hidden"
+          onChange={(e) => {
+            const file = e.target.files?.[0];
+            e.target.value = '';
+            if (file) importConversation(file);
+          }}
+        />
+      </div>
+      <div className="space-y-1">
+        {conversations.map((conversation) => (
+          <div
+            key={conversation.id}
+            className={`group flex items-center text-sm px-2 py-1.5 rounded-lg cursor-pointer transition-colors ${
+              conversation.id === activeConversationId
+                ? 'bg-primary-50 text-primary-700'
+                : 'text-gray-700 hover:bg-gray-100'
+            }`}
+            onClick={() => editingId !== conversation.id && onSelect(conversation.id)}
+          >
+            {editingId === conversation.id ? (
+              <input
+                autoFocus
+                value={editingTitle}
+                onChange={(e) => setEditingTitle(e.target.value)}
+                onBlur={finishEditing}
+                onKeyDown={(e) => {
+                  if (e.key === 'Enter') finishEditing();
+                  if (e.key === 'Escape') setEditingId(null);
+                }}
+                className="flex-1 min-w-0 px-1 py-0.5 text-sm border border-gray-300 rounded"
+              />
+            ) : (
+              <span className="flex-1 truncate">{conversation.title}</span>
+            )}
+            <button
+              onClick={(e) => {
+                e.stopPropagation();
+                startEditing(conversation);
+              }}
+              className="ml-1 text-gray-400 hover:text-gray-600 opacity-0 group-hover:opacity-100"
+              title="Rename conversation"
+            >
+              <svg className="w-3.5 h-3.5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15.232 5.232l3.536 3.536M9 11l6.232-6.232a2.5 2.5 0 013.536 3.536L12.536 14.5 9 15l.5-3.5z" />
+              </svg>
+            </button>
+            <button
+              onClick={(e) => {
+                e.stopPropagation();
+                onDelete(conversation.id);
+              }}
+              className="ml-1 text-red-400 hover:text-red-600 opacity-0 group-hover:opacity-100"
+              title="Delete conversation"
+            >
+              <svg className="w-3.5 h-3.5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
+              </svg>
+            </button>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default ConversationList;
@@ -0,0 +1,42 @@
+import React from 'react';
+import UploadQueue from './UploadQueue';
+import { ACCEPTED_FILE_EXTENSIONS } from '../utils/uploadFiles';
+
+/**
+ * The upload button with the queue of files picked or dropped so far.
+ *
+ * @param {object} props - The component's props.
+ * @param {ReturnType<import('../hooks/useUploadQueue').default>} props.queue - The upload queue.
+ */
+const DocumentUploader = ({ queue }) => {
+  const handleFileChange = (e) => {
+    queue.addFiles(Array.from(e.target.files || []));
+    // Reset the input so the same files can be picked again.
+    e.target.value = '';
+  };
+
+  return (
+    <div className="mb-4">
+      <label htmlFor="file-upload" className="btn-primary block text-center cursor-pointer">
+        {queue.isUploading ? 'Add More Documents' : 'Upload Documents'}
+      </label>
+      <input
+        id="file-upload"
+        type="file"
+        className="hidden"
+        accept={ACCEPTED_FILE_EXTENSIONS.join(',')}
+        multiple
+        onChange={handleFileChange}
+      />
+      <p className="mt-1 text-center text-xs text-gray-400">or drop files and folders anywhere</p>
+      <UploadQueue
+        items={queue.items}
+        onRetry={queue.retry}
+        onRemove={queue.remove}
+        onClearFinished={queue.clearFinished}
+      />
+    </div>
+  );
+};
+
+export default DocumentUploader;
@@ -0,0 +1,245 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { documentAPI, isRequestCancelled } from '../services/api';
+import { guestService } from '../services/guestService';
+
+/**
+ * Finds every case-insensitive occurrence of a query in a text.
+ * @param {string} text
+ * @param {string} query
+ * @returns {Array<{start: number, end: number}>}
+ */
+const findMatches = (text, query) => {
+  const needle = query.trim().toLowerCase();
+  if (!needle) return [];
+  const haystack = text.toLowerCase();
+  const matches = [];
+  let index = haystack.indexOf(needle);
+  while (index !== -1) {
+    matches.push({ start: index, end: index + needle.length });
+    index = haystack.indexOf(needle, index + needle.length);
+  }
+  return matches;
+};
+
+/**
+ * A side panel showing the text extracted from a document, and the original image for
+ * image uploads, with search inside the text. A cited passage can be highlighted and
+ * scrolled into view.
+ *
+ * @param {object} props - The component's props.
+ * @param {number | null} props.documentId - The document to show; the panel is closed when null.
+ * @param {{start: number, end: number} | null} [props.highlight] - A passage to highlight,
+ *   as offsets into the extracted text.
+ * @param {boolean} props.isGuestMode - Whether to read the document from guest storage.
+ * @param {() => void} props.onClose - Function to call when the panel is closed.
+ */
+const DocumentViewer = ({ documentId, highlight = null, isGuestMode, onClose }) => {
+  const [doc, setDoc] = useState(null);
+  const [imageUrl, setImageUrl] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [query, setQuery] = useState('');
+  const [activeMatch, setActiveMatch] = useState(0);
+  const activeMarkRef = useRef(null);
+  const highlightRef = useRef(null);
+
+  useEffect(() => {
+    if (documentId === null) return undefined;
+
+    const controller = new AbortController();
+    let objectUrl = null;
+    setDoc(null);
+    setImageUrl(null);
+    setError('');
+    setQuery('');
+    setIsLoading(true);
+
+    const load = async () => {
+      try {
+        let loaded;
+        let original = null;
+        if (isGuestMode) {
+          loaded = await guestService.getDocument(documentId.toString());
+          // A newer document may have been opened meanwhile; its load owns the viewer now.
+          if (controller.signal.aborted) return;
+          if (!loaded) throw new Error('This document no longer exists.');
+          original = loaded.original || null;
+        } else {
+          loaded = (await documentAPI.getDocument(documentId)).document;
+          if (controller.signal.aborted) return;
+          if (loaded.file_type?.startsWith('image/')) {
+            try {
+              original = await documentAPI.getDocumentFile(documentId, { signal: controller.signal });
+            } catch (fileError) {
+              if (isRequestCancelled(fileError)) throw fileError;
+              // Servers without stored originals still get the extracted text.
+              console.error('Error loading original document:', fileError);
+            }
+          }
+        }
+
+        if (original) {
+          objectUrl = URL.createObjectURL(original);
+          setImageUrl(objectUrl);
+        }
+        setDoc(loaded);
+      } catch (loadError) {
+        if (isRequestCancelled(loadError)) return;
+        console.error('Error loading document:', loadError);
+        setError(loadError.response?.data?.detail || loadError.message || 'Could not load the document.');
+      } finally {
+        if (!controller.signal.aborted) setIsLoading(false);
+      }
+    };
+    load();
+
+    return () => {
+      controller.abort();
+      if (objectUrl) URL.revokeObjectURL(objectUrl);
+    };
+  }, [documentId, isGuestMode]);
+
+  useEffect(() => {
+    if (documentId === null) return undefined;
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [documentId, onClose]);
+
+  const content = doc?.content || '';
+  const matches = useMemo(() => findMatches(content, query), [content, query]);
+
+  useEffect(() => {
+    setActiveMatch(0);
+  }, [matches]);
+
+  useEffect(() => {
+    activeMarkRef.current?.scrollIntoView({ block: 'center', behavior: 'smooth' });
+  }, [activeMatch, matches]);
+
+  useEffect(() => {
+    highlightRef.current?.scrollIntoView({ block: 'center' });
+  }, [doc, highlight]);
+
+  if (documentId === null) return null;
+
+  const stepMatch = (step) => {
+    if (matches.length === 0) return;
+    setActiveMatch(prev => (prev + step + matches.length) % matches.length);
+  };
+
+  const handleSearchKeyDown = (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      stepMatch(e.shiftKey ? -1 : 1);
+    }
+  };
+
+  // Splits the text around the matches so each one can be highlighted. Without a search,
+  // the cited passage is highlighted instead.
+  const renderContent = () => {
+    if (!query.trim() && highlight) {
+      const start = Math.max(Math.min(highlight.start, content.length), 0);
+      const end = Math.max(Math.min(highlight.end, content.length), start);
+      return [
+        content.slice(0, start),
+        <mark key="highlight" ref={highlightRef} className="bg-yellow-200 rounded-sm">
+          {content.slice(start, end)}
+        </mark>,
+        content.slice(end),
+      ];
+    }
+    if (matches.length === 0) return content;
+    const parts = [];
+    let cursor = 0;
+    matches.forEach((match, index) => {
+      parts.push(content.slice(cursor, match.start));
+      const isActive = index === activeMatch;
+      parts.push(
+        <mark
+          key={match.start}
+          ref={isActive ? activeMarkRef : undefined}
+          className={isActive ? 'bg-orange-300 rounded-sm' : 'bg-yellow-200 rounded-sm'}
+        >
+          {content.slice(match.start, match.end)}
+        </mark>
+      );
+      cursor = match.end;
+    });
+    parts.push(content.slice(cursor));
+    return parts;
+  };
+
+  return (
+    <div className="fixed inset-0 z-40 flex justify-end bg-black bg-opacity-30" onClick={onClose}>
+      <div
+        className="flex h-full w-full max-w-2xl flex-col bg-white shadow-xl"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="document-viewer-title"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-start justify-between border-b p-4">
+          <div className="min-w-0">
+            <h2 id="document-viewer-title" className="truncate text-lg font-semibold text-gray-900">
+              {doc?.filename || 'Document'}
+            </h2>
+            {doc && (
+              <p className="text-xs text-gray-500">
+                {doc.file_type} · {new Date(doc.created_at).toLocaleDateString()} · {content.length.toLocaleString()} characters extracted
+              </p>
+            )}
+          </div>
+          <button onClick={onClose} className="ml-4 text-gray-400 hover:text-gray-600" title="Close">
+            <svg className="h-6 w-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        {doc && (
+          <div className="flex items-center space-x-2 border-b px-4 py-2">
+            <input
+              type="search"
+              value={query}
+              onChange={(e) => setQuery(e.target.value)}
+              onKeyDown={handleSearchKeyDown}
+              placeholder="Search in document..."
+              className="input-field flex-1 text-sm"
+            />
+            <span className="w-20 text-center text-xs text-gray-500">
+              {query.trim() ? (matches.length > 0 ? `${activeMatch + 1} of ${matches.length}` : 'No matches') : ''}
+            </span>
+            <button onClick={() => stepMatch(-1)} disabled={matches.length === 0} className="btn-secondary px-2 py-1 text-sm" title="Previous match">
+              ↑
+            </button>
+            <button onClick={() => stepMatch(1)} disabled={matches.length === 0} className="btn-secondary px-2 py-1 text-sm" title="Next match">
+              ↓
+            </button>
+          </div>
+        )}
+
+        <div className="flex-1 overflow-y-auto p-4">
+          {isLoading && <p className="text-sm text-gray-500">Loading document...</p>}
+          {error && <p className="text-sm text-red-600">{error}</p>}
+          {doc && (
+            <>
+              {imageUrl && (
+                <img src={imageUrl} alt={doc.filename} className="mb-4 max-h-96 w-full rounded-lg border object-contain" />
+              )}
+              {content ? (
+                <pre className="whitespace-pre-wrap break-words font-sans text-sm text-gray-800">{renderContent()}</pre>
+              ) : (
+                <p className="text-sm italic text-gray-500">No text was extracted from this document.</p>
+              )}
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default DocumentViewer;
@@ -0,0 +1,22 @@
+import React from 'react';
+
+/**
+ * Covers the page while files are dragged over it, showing that they can be dropped anywhere.
+ *
+ * @param {object} props - The component's props.
+ * @param {boolean} props.isVisible
+ */
+const FileDropOverlay = ({ isVisible }) => {
+  if (!isVisible) return null;
+
+  return (
+    <div className="pointer-events-none fixed inset-0 z-[60] flex items-center justify-center bg-primary-600 bg-opacity-10 border-4 border-dashed border-primary-500">
+      <div className="rounded-lg bg-white px-6 py-4 text-center shadow-lg">
+        <p className="text-lg font-semibold text-gray-900">Drop files to upload</p>
+        <p className="text-sm text-gray-500">Folders are uploaded with everything inside them</p>
+      </div>
+    </div>
+  );
+};
+
+export default FileDropOverlay;
@@ -0,0 +1,156 @@
+import React, { useCallback, useEffect, useRef, useState } from 'react';
+import { guestService } from '../services/guestService';
+import { downloadFile, toJson } from '../services/conversationExport';
+
+// How long before expiry the warning banner appears.
+const WARNING_MS = { session: 5 * 60 * 1000, device: 24 * 60 * 60 * 1000 };
+// Once expired, the workspace is cleared after this grace period unless cleared sooner.
+const CLEAR_GRACE_MS = 2 * 60 * 1000;
+// Interaction postpones expiry, recorded at most this often.
+const ACTIVITY_THROTTLE_MS = 30 * 1000;
+
+/**
+ * Formats the time left, e.g. `4:05`, `6 hours` or `3 days`.
+ * @param {number} ms
+ * @returns {string}
+ */
+const formatRemaining = (ms) => {
+  const seconds = Math.max(Math.ceil(ms / 1000), 0);
+  if (seconds < 60 * 60) return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+  const hours = Math.round(seconds / 3600);
+  return hours < 48 ? `${hours} hours` : `${Math.round(hours / 24)} days`;
+};
+
+/**
+ * Saves the whole guest workspace as a JSON file.
+ * @returns {Promise<void>}
+ */
+export const downloadGuestWorkspace = async () => {
+  const workspace = await guestService.exportWorkspace();
+  downloadFile(toJson(workspace), `askstash-guest-workspace-${new Date().toISOString().slice(0, 10)}.json`, 'application/json');
+};
+
+/**
+ * Watches the guest workspace's expiry. Shortly before it, a banner counts down and offers
+ * to keep the workspace or download it; once expired, a dialog offers the download once
+ * more before the workspace is cleared.
+ *
+ * @param {object} props - The component's props.
+ * @param {import('../services/guestService').GuestRetention} props.retention - The current retention choice.
+ * @param {() => void} props.onClear - Clears the workspace and leaves guest mode.
+ */
+const GuestExpiryNotice = ({ retention, onClear }) => {
+  const [now, setNow] = useState(() => Date.now());
+  const [expiredAt, setExpiredAt] = useState(null);
+  const [downloadError, setDownloadError] = useState('');
+  const lastActivityRef = useRef(0);
+  const clearedRef = useRef(false);
+
+  useEffect(() => {
+    const tick = () => {
+      setNow(Date.now());
+      guestService.recordHeartbeat();
+    };
+    tick();
+    const timer = setInterval(tick, 1000);
+    return () => clearInterval(timer);
+  }, []);
+
+  useEffect(() => {
+    const handleActivity = () => {
+      if (Date.now() - lastActivityRef.current < ACTIVITY_THROTTLE_MS) return;
+      lastActivityRef.current = Date.now();
+      guestService.recordActivity();
+    };
+    window.addEventListener('pointerdown', handleActivity);
+    window.addEventListener('keydown', handleActivity);
+    return () => {
+      window.removeEventListener('pointerdown', handleActivity);
+      window.removeEventListener('keydown', handleActivity);
+    };
+  }, []);
+
+  const remaining = guestService.getExpiry() - now;
+  const isExpired = remaining <= 0;
+
+  useEffect(() => {
+    if (isExpired && expiredAt === null) setExpiredAt(Date.now());
+  }, [isExpired, expiredAt]);
+
+  const graceLeft = expiredAt === null ? CLEAR_GRACE_MS : expiredAt + CLEAR_GRACE_MS - now;
+
+  // Clears once, even though the countdown keeps ticking until the component unmounts.
+  const clear = useCallback(() => {
+    if (clearedRef.current) return;
+    clearedRef.current = true;
+    onClear();
+  }, [onClear]);
+
+  useEffect(() => {
+    if (graceLeft <= 0) clear();
+  }, [graceLeft, clear]);
+
+  const handleDownload = async () => {
+    try {
+      await downloadGuestWorkspace();
+      setDownloadError('');
+    } catch (error) {
+      console.error('Error downloading guest workspace:', error);
+      setDownloadError('Your data could not be downloaded. Please try again.');
+    }
+  };
+
+  if (isExpired) {
+    return (
+      <div
+        className="fixed inset-0 z-50 flex items-center justify-center bg-gray-900 bg-opacity-90"
+        aria-labelledby="guest-expired-title"
+        role="dialog"
+        aria-modal="true"
+      >
+        <div className="relative w-full max-w-md rounded-lg bg-white p-6 text-left shadow-xl">
+          <h3 className="text-lg font-semibold leading-6 text-gray-900" id="guest-expired-title">
+            Your guest workspace has expired
+          </h3>
+          <p className="mt-2 text-sm text-gray-600">
+            {retention.mode === 'device'
+              ? `It was kept on this device for ${retention.ttlDays} days without use.`
+              : 'It was kept for this browser session only.'}
+            {' '}It will be cleared in {formatRemaining(graceLeft)}. Download a copy first if you want to keep your documents and conversations.
+          </p>
+          {downloadError && <p className="mt-2 text-sm text-red-600">{downloadError}</p>}
+          <div className="mt-5 flex flex-row-reverse gap-3">
+            <button type="button" onClick={handleDownload} className="btn-primary">
+              Download my data
+            </button>
+            <button type="button" onClick={clear} className="btn-secondary">
+              Clear now
+            </button>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  if (remaining > WARNING_MS[retention.mode]) return null;
+
+  return (
+    <div className="flex flex-wrap items-center justify-between gap-2 bg-amber-50 border-b border-amber-200 px-4 py-2 text-sm text-amber-800">
+      <span>
+        ⏳ Your guest workspace will be cleared in {formatRemaining(remaining)}
+        {retention.mode === 'session' ? ' unless you keep using it.' : '.'}
+        {downloadError && <span className="ml-2 text-red-600">{downloadError}</span>}
+      </span>
+      <span className="flex space-x-3">
+        <button type="button" onClick={() => { guestService.recordActivity(); setNow(Date.now()); }} className="font-medium hover:underline">
+          Keep it
+        </button>
+        <button type="button" onClick={handleDownload} className="font-medium hover:underline">
+          Download my data
+        </button>
+      </span>
+    </div>
+  );
+};
+
+export default GuestExpiryNotice;
@@ -0,0 +1,171 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { buildImportItems, importItem } from '../services/guestImport';
+import { guestService } from '../services/guestService';
+
+const STATUS_STYLES = {
+  pending: 'text-gray-400',
+  importing: 'text-primary-600',
+  done: 'text-green-600',
+  failed: 'text-red-600',
+};
+
+const ITEM_ICONS = {
+  document: '📄',
+  collection: '🗂️',
+  conversation: '💬',
+};
+
+const STATUS_LABELS = {
+  pending: 'Waiting',
+  importing: 'Importing...',
+  done: 'Imported',
+  failed: 'Failed',
+};
+
+/**
+ * Offers to import a former guest's documents, collections and conversations into the
+ * account they just signed in to, showing per-item progress and failures.
+ *
+ * @param {object} props - The component's props.
+ * @param {boolean} props.isOpen - Whether the modal is open or not.
+ * @param {() => void} props.onClose - Called once the guest workspace has been imported or discarded.
+ * @param {() => void} props.onImported - Called after an import run so the dashboard can reload.
+ */
+const GuestImportModal = ({ isOpen, onClose, onImported }) => {
+  const [items, setItems] = useState([]);
+  const [phase, setPhase] = useState('prompt');
+  const idMaps = useRef({ documents: new Map(), collections: new Map() });
+
+  useEffect(() => {
+    if (!isOpen) return;
+    buildImportItems()
+      .then((loaded) => {
+        if (loaded.length === 0) {
+          // Nothing worth importing: forget the empty workspace silently.
+          guestService.clearAllData();
+          onClose();
+        } else {
+          setItems(loaded);
+        }
+      })
+      .catch((error) => console.error('Error reading guest workspace:', error));
+  }, [isOpen, onClose]);
+
+  if (!isOpen || items.length === 0) return null;
+
+  const updateItem = (key, changes) => {
+    setItems(prev => prev.map(item => (item.key === key ? { ...item, ...changes } : item)));
+  };
+
+  const runImport = async (toImport) => {
+    setPhase('importing');
+    for (const item of toImport) {
+      updateItem(item.key, { status: 'importing', error: undefined });
+      try {
+        await importItem(item, idMaps.current);
+        updateItem(item.key, { status: 'done' });
+      } catch (error) {
+        console.error(`Error importing ${item.label}:`, error);
+        updateItem(item.key, {
+          status: 'failed',
+          error: error.response?.data?.detail || error.message || 'Import failed',
+        });
+      }
+    }
+    setPhase('finished');
+    onImported();
+  };
+
+  const finish = async () => {
+    await guestService.clearAllData();
+    onClose();
+  };
+
+  const doneCount = items.filter(item => item.status === 'done').length;
+  const failedItems = items.filter(item => item.status === 'failed');
+  const documentCount = items.filter(item => item.kind === 'document').length;
+  const collectionCount = items.filter(item => item.kind === 'collection').length;
+  const conversationCount = items.length - documentCount - collectionCount;
+
+  return (
+    <div
+      className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-50 transition-opacity"
+      aria-labelledby="guest-import-title"
+      role="dialog"
+      aria-modal="true"
+    >
+      <div className="relative w-full max-w-lg rounded-lg bg-white p-6 text-left shadow-xl">
+        <h3 className="text-lg font-semibold leading-6 text-gray-900" id="guest-import-title">
+          Bring over your guest workspace?
+        </h3>
+        <p className="mt-2 text-sm text-gray-600">
+          Your guest session has {documentCount} document(s), {collectionCount} collection(s) and {conversationCount} conversation(s).
+          Import them into your account to keep them. Documents are uploaded as their extracted text.
+        </p>
+
+        {phase !== 'prompt' && (
+          <div className="mt-4">
+            <div className="mb-2 text-xs text-gray-500">
+              {doneCount} of {items.length} imported
+              {failedItems.length > 0 && `, ${failedItems.length} failed`}
+            </div>
+            <div className="h-2 w-full rounded-full bg-gray-200">
+              <div
+                className="h-2 rounded-full bg-primary-600 transition-all"
+                style={{ width: `${(doneCount / items.length) * 100}%` }}
+              />
+            </div>
+          </div>
+        )}
+
+        <ul className="mt-4 max-h-64 overflow-y-auto divide-y divide-gray-100 border border-gray-200 rounded-lg">
+          {items.map((item) => (
+            <li key={item.key} className="px-3 py-2 text-sm">
+              <div className="flex items-center justify-between">
+                <span className="truncate text-gray-800">
+                  {ITEM_ICONS[item.kind]} {item.label}
+                </span>
+                <span className={`ml-2 flex-shrink-0 text-xs ${STATUS_STYLES[item.status]}`}>
+                  {STATUS_LABELS[item.status]}
+                </span>
+              </div>
+              {item.error && <div className="mt-1 text-xs text-red-600">{item.error}</div>}
+            </li>
+          ))}
+        </ul>
+
+        <div className="mt-5 flex flex-row-reverse gap-3">
+          {phase === 'prompt' && (
+            <>
+              <button type="button" onClick={() => runImport(items)} className="btn-primary">
+                Import
+              </button>
+              <button type="button" onClick={finish} className="btn-secondary">
+                Discard guest data
+              </button>
+            </>
+          )}
+          {phase === 'finished' && (
+            <>
+              <button type="button" onClick={finish} className="btn-primary">
+                Done
+              </button>
+              {failedItems.length > 0 && (
+                <button type="button" onClick={() => runImport(failedItems)} className="btn-secondary">
+                  Retry failed
+                </button>
+              )}
+            </>
+          )}
+        </div>
+        {phase === 'finished' && failedItems.length > 0 && (
+          <p className="mt-3 text-xs text-gray-500">
+            Choosing Done discards the guest copies of the items that failed.
+          </p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default GuestImportModal;
@@ -0,0 +1,92 @@
+import React, { useState } from 'react';
+import GuestStoragePanel from './GuestStoragePanel';
+import { guestService } from '../services/guestService';
+
+/**
+ * The guest sidebar's top sections: where the workspace is kept and for how long, whether
+ * documents are read on this device only, and the storage the workspace takes.
+ *
+ * @param {object} props - The component's props.
+ * @param {import('../services/guestService').GuestRetention} props.retention
+ * @param {(retention: import('../services/guestService').GuestRetention) => void} props.onRetentionChange
+ * @param {unknown} props.refreshKey - Storage usage is measured again whenever this changes.
+ * @param {(documentId: number) => void} props.onDeleteDocument - Asks to delete a document.
+ * @param {() => void} props.onMessagesPruned - Called after messages were deleted to free space.
+ */
+const GuestSidebar = ({ retention, onRetentionChange, refreshKey, onDeleteDocument, onMessagesPruned }) => {
+  const [localExtractionOnly, setLocalExtractionOnly] = useState(() => guestService.isLocalExtractionOnly());
+
+  const handleLocalExtractionChange = (localOnly) => {
+    guestService.setLocalExtractionOnly(localOnly);
+    setLocalExtractionOnly(localOnly);
+  };
+
+  return (
+    <>
+      <div className="mb-4 p-3 bg-amber-50 border border-amber-200 rounded-lg">
+        <div className="flex items-center mb-2">
+          <svg className="w-4 h-4 text-amber-600 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M13 16h-1v-4h-1m1-4h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z" />
+          </svg>
+          <span className="text-sm font-medium text-amber-800">Guest Mode Active</span>
+        </div>
+        <p className="text-xs text-amber-700">
+          Full functionality available! Your data is stored locally
+          {retention.mode === 'device'
+            ? ` on this device and cleared after ${retention.ttlDays} days without use.`
+            : ' and cleared when you close the browser or leave it idle.'}
+          <span className="block mt-1 font-medium">Register for permanent storage across devices, and bring this workspace with you!</span>
+        </p>
+        <fieldset className="mt-2 space-y-1 text-xs text-amber-800">
+          <legend className="mb-1 font-medium">Keep my workspace</legend>
+          <label className="flex items-center">
+            <input
+              type="radio"
+              name="guestRetention"
+              checked={retention.mode === 'session'}
+              onChange={() => onRetentionChange({ mode: 'session', ttlDays: 0 })}
+              className="mr-2"
+            />
+            For this session only
+          </label>
+          <label className="flex items-center">
+            <input
+              type="radio"
+              name="guestRetention"
+              checked={retention.mode === 'device'}
+              onChange={() => onRetentionChange({ mode: 'device', ttlDays: 30 })}
+              className="mr-2"
+            />
+            On this device for
+            <select
+              value={retention.mode === 'device' ? retention.ttlDays : 30}
+              onChange={(e) => onRetentionChange({ mode: 'device', ttlDays: Number(e.target.value) })}
+              className="ml-1 rounded border border-amber-200 bg-white px-1 py-0.5 text-xs"
+              aria-label="Days to keep the workspace without use"
+            >
+              {[7, 30, 90].map(days => <option key={days} value={days}>{days} days</option>)}
+            </select>
+          </label>
+        </fieldset>
+        <label className="flex items-start mt-2 text-xs text-amber-800">
+          <input
+            type="checkbox"
+            checked={localExtractionOnly}
+            onChange={(e) => handleLocalExtractionChange(e.target.checked)}
+            className="mr-2 mt-0.5"
+          />
+          <span>
+            Read documents on this device only. Files never leave your browser; PDF, Word (.docx), CSV, Markdown and text files are supported.
+          </span>
+        </label>
+      </div>
+      <GuestStoragePanel
+        refreshKey={refreshKey}
+        onDeleteDocument={(documentId) => onDeleteDocument(parseInt(documentId))}
+        onMessagesPruned={onMessagesPruned}
+      />
+    </>
+  );
+};
+
+export default GuestSidebar;
@@ -0,0 +1,157 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { guestService } from '../services/guestService';
+import { formatBytes } from '../utils/formatBytes';
+
+// Share of the browser quota from which the panel warns that saves may soon fail.
+const WARN_SHARE = 0.8;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PRUNE_OPTIONS = [
+  { days: 7, label: 'older than a week' },
+  { days: 30, label: 'older than a month' },
+  { days: 0, label: 'all messages' },
+];
+
+/**
+ * The guest sidebar's storage section: how much the workspace takes against the browser
+ * quota, the size of each document, and ways to free space.
+ *
+ * @param {object} props - The component's props.
+ * @param {unknown} props.refreshKey - Usage is measured again whenever this changes.
+ * @param {(documentId: string) => void} props.onDeleteDocument - Asks to delete a guest document.
+ * @param {() => void} props.onMessagesPruned - Called after messages were deleted.
+ */
+const GuestStoragePanel = ({ refreshKey, onDeleteDocument, onMessagesPruned }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [info, setInfo] = useState(null);
+  const [pruneDays, setPruneDays] = useState(null);
+
+  const loadInfo = useCallback(async () => {
+    try {
+      setInfo(await guestService.getStorageInfo());
+    } catch (error) {
+      console.error('Error measuring guest storage:', error);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadInfo();
+  }, [loadInfo, refreshKey]);
+
+  if (!info) return null;
+
+  const share = info.quota ? info.usage / info.quota : null;
+  const isNearlyFull = share !== null && share >= WARN_SHARE;
+
+  const confirmPrune = async () => {
+    const before = new Date(Date.now() - pruneDays * DAY_MS).toISOString();
+    setPruneDays(null);
+    try {
+      await guestService.pruneMessages(before);
+      onMessagesPruned();
+      loadInfo();
+    } catch (error) {
+      console.error('Error deleting old guest messages:', error);
+    }
+  };
+
+  return (
+    <div className="mb-4">
+      <button
+        type="button"
+        onClick={() => setIsOpen(open => !open)}
+        className="flex w-full items-center justify-between text-sm font-medium text-gray-700"
+        aria-expanded={isOpen}
+      >
+        <span>Storage ({info.estimatedSize})</span>
+        <span className="text-xs text-gray-400">{isOpen ? 'Hide' : 'Show'}</span>
+      </button>
+
+      {isNearlyFull && (
+        <p className="mt-1 text-xs text-red-600">
+          Browser storage is {Math.round(share * 100)}% full. New uploads may not be saved; free some space below.
+        </p>
+      )}
+
+      {isOpen && (
+        <div className="mt-2 space-y-3 text-xs text-gray-600">
+          {share !== null && (
+            <div>
+              <div className="mb-1 flex justify-between">
+                <span>{formatBytes(info.usage)} used</span>
+                <span>{formatBytes(info.quota)} available to this site</span>
+              </div>
+              <div className="h-2 w-full rounded-full bg-gray-200">
+                <div
+                  className={`h-2 rounded-full ${isNearlyFull ? 'bg-red-500' : 'bg-primary-600'}`}
+                  style={{ width: `${Math.min(Math.max(share * 100, 1), 100)}%` }}
+                />
+              </div>
+            </div>
+          )}
+
+          <div>
+            <h4 className="mb-1 font-medium text-gray-700">Documents, largest first</h4>
+            {info.documents.length === 0 ? (
+              <p className="italic text-gray-500">No documents stored</p>
+            ) : (
+              <ul className="max-h-40 space-y-1 overflow-y-auto">
+                {info.documents.map(doc => (
+                  <li key={doc.id} className="flex items-center justify-between">
+                    <span className="truncate" title={doc.filename}>{doc.filename}</span>
+                    <span className="ml-2 flex flex-shrink-0 items-center space-x-2">
+                      <span className="text-gray-400">{formatBytes(doc.size)}</span>
+                      <button
+                        type="button"
+                        onClick={() => onDeleteDocument(doc.id)}
+                        className="text-red-400 hover:text-red-600"
+                        title="Delete document"
+                      >
+                        Delete
+                      </button>
+                    </span>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+
+          <div>
+            <h4 className="mb-1 font-medium text-gray-700">
+              Chat history: {info.chatMessagesCount} message(s), {formatBytes(info.messagesBytes)}
+              {info.oldestMessageAt && `, since ${new Date(info.oldestMessageAt).toLocaleDateString()}`}
+            </h4>
+            {pruneDays === null ? (
+              <div className="flex flex-wrap gap-x-3">
+                {PRUNE_OPTIONS.map(option => (
+                  <button
+                    key={option.days}
+                    type="button"
+                    onClick={() => setPruneDays(option.days)}
+                    disabled={info.chatMessagesCount === 0}
+                    className="text-primary-600 hover:text-primary-700 disabled:opacity-50"
+                  >
+                    Delete {option.label}
+                  </button>
+                ))}
+              </div>
+            ) : (
+              <div className="flex items-center space-x-3">
+                <span>
+                  Delete {PRUNE_OPTIONS.find(option => option.days === pruneDays).label}? This cannot be undone.
+                </span>
+                <button type="button" onClick={confirmPrune} className="font-medium text-red-600 hover:text-red-700">
+                  Delete
+                </button>
+                <button type="button" onClick={() => setPruneDays(null)} className="text-gray-500 hover:text-gray-700">
+                  Cancel
+                </button>
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default GuestStoragePanel;
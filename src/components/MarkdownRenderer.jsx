@@ -0,0 +1,176 @@
+import React, { useMemo, useRef, useState } from 'react';
+import ReactMarkdown from 'react-markdown';
+import remarkGfm from 'remark-gfm';
+import remarkMath from 'remark-math';
+import rehypeKatex from 'rehype-katex';
+import rehypeHighlight from 'rehype-highlight';
+import { CITATION_MARKER } from '../services/citations';
+import 'katex/dist/katex.min.css';
+import 'highlight.js/styles/github.css';
+
+/**
+ * A fenced code block with a language label and a copy-to-clipboard button.
+ * @param {object} props - The component's props.
+ * @param {React.ReactNode} props.children - The highlighted `<code>` element.
+ */
+const CodeBlock = ({ children }) => {
+  const preRef = useRef(null);
+  const [copied, setCopied] = useState(false);
+
+  const codeElement = React.Children.toArray(children)[0];
+  const language = /language-(\S+)/.exec(codeElement?.props?.className || '')?.[1];
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(preRef.current?.innerText || '');
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch (error) {
+      console.error('Error copying code:', error);
+    }
+  };
+
+  return (
+    <div className="my-2 rounded-lg border border-gray-200 bg-white overflow-hidden">
+      <div className="flex items-center justify-between px-3 py-1 bg-gray-100 text-xs text-gray-500">
+        <span>{language || 'code'}</span>
+        <button type="button" onClick={handleCopy} className="hover:text-gray-800">
+          {copied ? 'Copied!' : 'Copy'}
+        </button>
+      </div>
+      <pre ref={preRef} className="p-3 overflow-x-auto text-xs leading-relaxed">
+        {children}
+      </pre>
+    </div>
+  );
+};
+
+// Tailwind styling for the elements Markdown produces. Raw HTML in the source is never
+// rendered: react-markdown escapes it and drops unsafe link protocols such as `javascript:`.
+const components = {
+  h1: ({ node, children, ...props }) => <h1 className="text-lg font-bold mt-3 mb-2" {...props}>{children}</h1>,
+  h2: ({ node, children, ...props }) => <h2 className="text-base font-bold mt-3 mb-2" {...props}>{children}</h2>,
+  h3: ({ node, children, ...props }) => <h3 className="text-sm font-bold mt-3 mb-1" {...props}>{children}</h3>,
+  h4: ({ node, children, ...props }) => <h4 className="text-sm font-semibold mt-2 mb-1" {...props}>{children}</h4>,
+  p: ({ node, ...props }) => <p className="my-2 first:mt-0 last:mb-0" {...props} />,
+  ul: ({ node, ...props }) => <ul className="list-disc pl-5 my-2 space-y-1" {...props} />,
+  ol: ({ node, ...props }) => <ol className="list-decimal pl-5 my-2 space-y-1" {...props} />,
+  a: ({ node, children, ...props }) => (
+    <a className="text-primary-600 underline hover:text-primary-700" target="_blank" rel="noopener noreferrer" {...props}>
+      {children}
+    </a>
+  ),
+  blockquote: ({ node, ...props }) => (
+    <blockquote className="border-l-4 border-gray-300 pl-3 my-2 text-gray-600" {...props} />
+  ),
+  table: ({ node, ...props }) => (
+    <div className="my-2 overflow-x-auto">
+      <table className="min-w-full border-collapse text-xs" {...props} />
+    </div>
+  ),
+  th: ({ node, ...props }) => <th className="border border-gray-300 bg-gray-100 px-2 py-1 text-left font-semibold" {...props} />,
+  td: ({ node, ...props }) => <td className="border border-gray-300 px-2 py-1" {...props} />,
+  pre: ({ node, children }) => <CodeBlock>{children}</CodeBlock>,
+  code: ({ node, className, children, ...props }) => (
+    className?.includes('hljs') || className?.startsWith('language-')
+      ? <code className={className} {...props}>{children}</code>
+      : <code className="px-1 py-0.5 rounded bg-gray-200 text-xs font-mono" {...props}>{children}</code>
+  ),
+};
+
+const CITATION_HREF_PREFIX = '#citation-';
+
+/**
+ * Splits a text node around citation markers such as `[1]` or `[2, 3]`, turning each
+ * known number into a link node the `a` component renders as a citation button.
+ * @param {string} value
+ * @param {Set<number>} numbers - The citation numbers the answer may refer to.
+ * @returns {object[]} mdast nodes.
+ */
+const splitCitations = (value, numbers) => {
+  const nodes = [];
+  let cursor = 0;
+  for (const match of value.matchAll(CITATION_MARKER)) {
+    const cited = match[1].split(',').map(Number);
+    if (!cited.every(number => numbers.has(number))) continue;
+    if (match.index > cursor) nodes.push({ type: 'text', value: value.slice(cursor, match.index) });
+    cited.forEach(number => nodes.push({
+      type: 'link',
+      url: `${CITATION_HREF_PREFIX}${number}`,
+      children: [{ type: 'text', value: String(number) }],
+    }));
+    cursor = match.index + match[0].length;
+  }
+  if (cursor === 0) return [{ type: 'text', value }];
+  if (cursor < value.length) nodes.push({ type: 'text', value: value.slice(cursor) });
+  return nodes;
+};
+
+/**
+ * remark plugin that links citation markers in prose. Code, math and existing links are
+ * left alone, as they hold no text nodes or must keep their own.
+ * @param {{numbers: Set<number>}} options
+ */
+const remarkCitations = ({ numbers }) => {
+  const visit = (node) => {
+    if (!node.children || node.type === 'link' || node.type === 'linkReference') return;
+    node.children = node.children.flatMap(child => (
+      child.type === 'text' ? splitCitations(child.value, numbers) : (visit(child), [child])
+    ));
+  };
+  return (tree) => {
+    if (numbers.size > 0) visit(tree);
+  };
+};
+
+/**
+ * Renders an assistant answer written in Markdown, including GitHub-flavored tables,
+ * highlighted code blocks and LaTeX math, without injecting raw HTML.
+ * @param {object} props - The component's props.
+ * @param {string} props.text - The Markdown source.
+ * @param {number[]} [props.citationNumbers] - Citation markers to turn into buttons.
+ * @param {(number: number) => void} [props.onCitationClick] - Called when a citation button is clicked.
+ */
+const MarkdownRenderer = ({ text, citationNumbers, onCitationClick }) => {
+  const citationKey = (citationNumbers || []).join(',');
+
+  const remarkPlugins = useMemo(() => [
+    remarkGfm,
+    remarkMath,
+    [remarkCitations, { numbers: new Set(citationKey ? citationKey.split(',').map(Number) : []) }],
+  ], [citationKey]);
+
+  const renderComponents = useMemo(() => ({
+    ...components,
+    a: ({ node, href, children, ...props }) => {
+      if (!href?.startsWith(CITATION_HREF_PREFIX)) {
+        return components.a({ node, href, children, ...props });
+      }
+      const number = Number(href.slice(CITATION_HREF_PREFIX.length));
+      return (
+        <button
+          type="button"
+          onClick={() => onCitationClick?.(number)}
+          className="mx-0.5 inline-flex h-4 min-w-[1rem] items-center justify-center rounded bg-blue-100 px-1 align-super text-[10px] font-semibold text-primary-700 hover:bg-blue-200"
+          title={`Show source ${number}`}
+        >
+          {children}
+        </button>
+      );
+    },
+  }), [onCitationClick]);
+
+  return (
+    <div className="text-sm text-gray-800 break-words">
+      <ReactMarkdown
+        remarkPlugins={remarkPlugins}
+        rehypePlugins={[rehypeKatex, [rehypeHighlight, { detect: true }]]}
+        components={renderComponents}
+      >
+        {text}
+      </ReactMarkdown>
+    </div>
+  );
+};
+
+export default MarkdownRenderer;
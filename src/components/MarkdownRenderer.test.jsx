@@ -0,0 +1,25 @@
+import React from 'react';
+import { fireEvent, render, screen } from '@testing-library/react';
+import MarkdownRenderer from './MarkdownRenderer';
+
+describe('MarkdownRenderer', () => {
+  it('renders Markdown without raw HTML', () => {
+    render(<MarkdownRenderer text={'# Title\n\nSome **bold** text <em>raw</em>'} />);
+
+    expect(screen.getByRole('heading', { name: 'Title' })).not.toBeNull();
+    expect(screen.getByText('bold').tagName).toBe('STRONG');
+    // The tag stays visible as text instead of becoming an element.
+    expect(screen.getByText(/text <em>raw<\/em>/).tagName).toBe('P');
+  });
+
+  it('turns known citation markers into buttons', () => {
+    const onCitationClick = jest.fn();
+    render(<MarkdownRenderer text="See the report [1] and [9]." citationNumbers={[1]} onCitationClick={onCitationClick} />);
+
+    fireEvent.click(screen.getByRole('button', { name: '1' }));
+
+    expect(onCitationClick).toHaveBeenCalledWith(1);
+    expect(screen.queryByRole('button', { name: '9' })).toBeNull();
+    expect(screen.getByText(/\[9\]/)).not.toBeNull();
+  });
+});
@@ -0,0 +1,58 @@
+import React, { useState } from 'react';
+
+/**
+ * The action row under an answer: copy it as Markdown, answer again, edit the question,
+ * or delete the turn.
+ *
+ * @param {object} props - The component's props.
+ * @param {{response: string, notice?: boolean, unsaved?: boolean}} props.message - The chat
+ *   turn. A `notice`, such as an upload confirmation, is shown only on this page and can be
+ *   dismissed. An `unsaved` turn has no stored copy to change, so it can only be copied.
+ * @param {boolean} props.disabled - Disables the actions that ask the AI, e.g. while it answers.
+ * @param {() => void} props.onRegenerate
+ * @param {() => void} props.onEdit
+ * @param {() => void} props.onDelete
+ * @param {() => void} props.onDismiss - Removes a notice from the page.
+ */
+const MessageActions = ({ message, disabled, onRegenerate, onEdit, onDelete, onDismiss }) => {
+  const [copied, setCopied] = useState(false);
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(message.response);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch (error) {
+      console.error('Error copying answer:', error);
+    }
+  };
+
+  const buttonClass = 'hover:text-gray-800 disabled:cursor-not-allowed disabled:opacity-50';
+
+  return (
+    <div className="flex space-x-3 px-1 text-xs text-gray-400">
+      <button type="button" onClick={handleCopy} className={buttonClass} title="Copy the answer as Markdown">
+        {copied ? 'Copied!' : 'Copy'}
+      </button>
+      {message.notice ? (
+        <button type="button" onClick={onDismiss} className={buttonClass} title="Remove this notice from the page">
+          Dismiss
+        </button>
+      ) : !message.unsaved && (
+        <>
+          <button type="button" onClick={onRegenerate} disabled={disabled} className={buttonClass} title="Answer this question again">
+            Regenerate
+          </button>
+          <button type="button" onClick={onEdit} disabled={disabled} className={buttonClass} title="Edit the question and ask again">
+            Edit
+          </button>
+          <button type="button" onClick={onDelete} disabled={disabled} className={`${buttonClass} hover:text-red-600`} title="Delete this question and answer">
+            Delete
+          </button>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default MessageActions;
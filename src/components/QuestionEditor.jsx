@@ -0,0 +1,55 @@
+import React, { useState } from 'react';
+
+/**
+ * Edits an earlier question in place before asking it again, either replacing that turn
+ * and the ones after it or in a new branch of the conversation.
+ *
+ * @param {object} props - The component's props.
+ * @param {string} props.question - The question as it was asked.
+ * @param {(question: string, mode: 'replace' | 'branch') => void} props.onSubmit
+ * @param {() => void} props.onCancel
+ */
+const QuestionEditor = ({ question, onSubmit, onCancel }) => {
+  const [draft, setDraft] = useState(question);
+  const canSubmit = draft.trim() && draft.trim() !== question.trim();
+
+  return (
+    <div className="chat-message user w-full max-w-xs sm:max-w-sm md:max-w-md lg:max-w-lg xl:max-w-xl">
+      <textarea
+        value={draft}
+        onChange={(e) => setDraft(e.target.value)}
+        onKeyDown={(e) => {
+          if (e.key === 'Escape') onCancel();
+        }}
+        rows={3}
+        className="input-field w-full text-sm"
+        autoFocus
+      />
+      <div className="mt-2 flex flex-wrap justify-end gap-2">
+        <button type="button" onClick={onCancel} className="btn-secondary text-xs">
+          Cancel
+        </button>
+        <button
+          type="button"
+          onClick={() => onSubmit(draft.trim(), 'branch')}
+          disabled={!canSubmit}
+          className="btn-secondary text-xs disabled:opacity-50"
+          title="Ask in a new conversation that keeps this one unchanged"
+        >
+          Send as new branch
+        </button>
+        <button
+          type="button"
+          onClick={() => onSubmit(draft.trim(), 'replace')}
+          disabled={!canSubmit}
+          className="btn-primary text-xs disabled:opacity-50"
+          title="Replace this question and everything after it"
+        >
+          Replace & resend
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default QuestionEditor;
@@ -0,0 +1,156 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { isRequestCancelled, searchAPI } from '../services/api';
+import { guestService } from '../services/guestService';
+import { searchTerms } from '../services/search';
+
+const SEARCH_DELAY_MS = 250;
+
+/**
+ * Highlights every occurrence of the search terms in a text.
+ * @param {object} props - The component's props.
+ * @param {string} props.text
+ * @param {string[]} props.terms - Lowercase terms.
+ */
+const HighlightedText = ({ text, terms }) => {
+  if (terms.length === 0) return text;
+  const escaped = terms.map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  const parts = text.split(new RegExp(`(${escaped.join('|')})`, 'gi'));
+  return parts.map((part, index) => (
+    index % 2 === 1
+      ? <mark key={index} className="bg-yellow-200 rounded-sm">{part}</mark>
+      : part
+  ));
+};
+
+/**
+ * A search dialog over chat history and document text. Guests search their local data;
+ * accounts search on the server. Picking a result jumps to the message or the passage.
+ *
+ * @param {object} props - The component's props.
+ * @param {boolean} props.isOpen - Whether the panel is open or not.
+ * @param {boolean} props.isGuestMode - Whether to search guest storage.
+ * @param {() => void} props.onClose - Function to call when the panel is closed.
+ * @param {(result: import('../services/search').SearchResult) => void} props.onOpenResult - Called with the picked result.
+ */
+const SearchPanel = ({ isOpen, isGuestMode, onClose, onOpenResult }) => {
+  const [query, setQuery] = useState('');
+  const [results, setResults] = useState([]);
+  const [isSearching, setIsSearching] = useState(false);
+  const [error, setError] = useState('');
+  const inputRef = useRef(null);
+
+  useEffect(() => {
+    if (isOpen) inputRef.current?.focus();
+  }, [isOpen]);
+
+  useEffect(() => {
+    if (!isOpen) return undefined;
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [isOpen, onClose]);
+
+  // Searches once typing pauses, cancelling a search the next keystroke makes stale.
+  useEffect(() => {
+    if (!isOpen || searchTerms(query).length === 0) {
+      setResults([]);
+      setIsSearching(false);
+      return undefined;
+    }
+
+    const controller = new AbortController();
+    setIsSearching(true);
+    const timer = setTimeout(async () => {
+      try {
+        const found = isGuestMode
+          ? await guestService.search(query)
+          : (await searchAPI.search(query, { signal: controller.signal })).results;
+        if (controller.signal.aborted) return;
+        setResults(found);
+        setError('');
+      } catch (searchError) {
+        if (isRequestCancelled(searchError)) return;
+        console.error('Error searching:', searchError);
+        setError('Search failed. Please try again.');
+      } finally {
+        if (!controller.signal.aborted) setIsSearching(false);
+      }
+    }, SEARCH_DELAY_MS);
+
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+    };
+  }, [query, isOpen, isGuestMode]);
+
+  if (!isOpen) return null;
+
+  const terms = searchTerms(query);
+  const messageResults = results.filter(result => result.type === 'message');
+  const documentResults = results.filter(result => result.type === 'document');
+
+  const renderGroup = (heading, group) => group.length > 0 && (
+    <div className="py-2">
+      <h3 className="px-4 pb-1 text-xs font-semibold uppercase tracking-wide text-gray-400">{heading}</h3>
+      <ul>
+        {group.map((result) => (
+          <li key={result.key}>
+            <button
+              type="button"
+              onClick={() => onOpenResult(result)}
+              className="block w-full px-4 py-2 text-left hover:bg-gray-50"
+            >
+              <div className="flex items-center justify-between text-xs text-gray-500">
+                <span className="truncate font-medium text-gray-700">
+                  {result.type === 'message' ? '💬' : '📄'} {result.title}
+                </span>
+                {result.created_at && (
+                  <span className="ml-2 flex-shrink-0">{new Date(result.created_at).toLocaleDateString()}</span>
+                )}
+              </div>
+              <p className="mt-0.5 text-sm text-gray-800 break-words">
+                <HighlightedText text={result.snippet} terms={terms} />
+              </p>
+            </button>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+
+  return (
+    <div className="fixed inset-0 z-40 flex items-start justify-center bg-black bg-opacity-30 pt-16 px-4" onClick={onClose}>
+      <div
+        className="flex max-h-[75vh] w-full max-w-2xl flex-col rounded-lg bg-white shadow-xl"
+        role="dialog"
+        aria-modal="true"
+        aria-label="Search"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="border-b p-3">
+          <input
+            ref={inputRef}
+            type="search"
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            placeholder="Search conversations and documents..."
+            className="input-field w-full"
+          />
+        </div>
+        <div className="flex-1 overflow-y-auto">
+          {error && <p className="px-4 py-3 text-sm text-red-600">{error}</p>}
+          {!error && terms.length > 0 && !isSearching && results.length === 0 && (
+            <p className="px-4 py-3 text-sm text-gray-500">No matches found.</p>
+          )}
+          {isSearching && results.length === 0 && <p className="px-4 py-3 text-sm text-gray-500">Searching...</p>}
+          {renderGroup('Messages', messageResults)}
+          {renderGroup('Documents', documentResults)}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SearchPanel;
@@ -0,0 +1,35 @@
+import React, { useEffect, useState } from 'react';
+import { useAuth } from '../context/AuthContext';
+
+/**
+ * Warns that the session is about to end, with a live countdown and a way to sign in
+ * again right away. Renders nothing unless AuthContext has scheduled a warning.
+ */
+const SessionExpiryBanner = () => {
+  const { sessionExpiresAt, expireSession } = useAuth();
+  const [now, setNow] = useState(Date.now());
+
+  useEffect(() => {
+    if (!sessionExpiresAt) return undefined;
+    setNow(Date.now());
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, [sessionExpiresAt]);
+
+  if (!sessionExpiresAt) return null;
+
+  const secondsLeft = Math.max(Math.ceil((sessionExpiresAt - now) / 1000), 0);
+  const minutes = Math.floor(secondsLeft / 60);
+  const seconds = String(secondsLeft % 60).padStart(2, '0');
+
+  return (
+    <div className="fixed top-0 inset-x-0 z-50 flex items-center justify-center space-x-4 bg-amber-100 border-b border-amber-300 px-4 py-2 text-sm text-amber-900">
+      <span>Your session expires in {minutes}:{seconds}. Save your work and sign in again to continue.</span>
+      <button onClick={expireSession} className="font-medium underline hover:text-amber-700">
+        Sign in again
+      </button>
+    </div>
+  );
+};
+
+export default SessionExpiryBanner;
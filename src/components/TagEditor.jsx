@@ -0,0 +1,61 @@
+import React, { useState } from 'react';
+import { parseTagInput } from '../services/collections';
+
+/**
+ * A document's tags as chips, edited in place as a comma-separated list.
+ *
+ * @param {object} props - The component's props.
+ * @param {string[]} props.tags - The current tags.
+ * @param {(tags: string[]) => void} props.onSave - Called with the cleaned-up tags.
+ */
+const TagEditor = ({ tags, onSave }) => {
+  const [isEditing, setIsEditing] = useState(false);
+  const [draft, setDraft] = useState('');
+
+  const startEditing = () => {
+    setDraft(tags.join(', '));
+    setIsEditing(true);
+  };
+
+  const save = () => {
+    setIsEditing(false);
+    const next = parseTagInput(draft);
+    if (next.join(',') !== tags.join(',')) onSave(next);
+  };
+
+  if (isEditing) {
+    return (
+      <input
+        type="text"
+        value={draft}
+        onChange={(e) => setDraft(e.target.value)}
+        onBlur={save}
+        onKeyDown={(e) => {
+          if (e.key === 'Enter') save();
+          if (e.key === 'Escape') setIsEditing(false);
+        }}
+        placeholder="tags, separated, by commas"
+        className="mt-1 w-full rounded border border-gray-300 px-2 py-0.5 text-xs focus:border-primary-500 focus:outline-none"
+        autoFocus
+      />
+    );
+  }
+
+  return (
+    <div className="mt-1 flex flex-wrap items-center gap-1">
+      {tags.map(tag => (
+        <span key={tag} className="rounded-full bg-gray-200 px-2 py-0.5 text-xs text-gray-700">#{tag}</span>
+      ))}
+      <button
+        type="button"
+        onClick={startEditing}
+        className="text-xs text-gray-400 hover:text-primary-600"
+        title="Edit tags"
+      >
+        {tags.length > 0 ? 'Edit' : '+ Tag'}
+      </button>
+    </div>
+  );
+};
+
+export default TagEditor;
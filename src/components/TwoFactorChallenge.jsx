@@ -0,0 +1,99 @@
+import React, { useState } from 'react';
+import { useAuth } from '../context/AuthContext';
+
+/**
+ * The second step of signing in to an account with two-factor authentication: a code from
+ * the authenticator app, or one of the recovery codes when the app is not at hand.
+ *
+ * @param {object} props - The component's props.
+ * @param {(result: { usedRecoveryCode: boolean }) => void} props.onSignedIn - Called once signed in.
+ * @param {() => void} [props.onCancel] - Called after the sign-in was abandoned.
+ */
+const TwoFactorChallenge = ({ onSignedIn, onCancel }) => {
+  const { twoFactorChallenge, completeTwoFactor, cancelTwoFactor } = useAuth();
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  const [code, setCode] = useState('');
+  const [error, setError] = useState('');
+  const [isVerifying, setIsVerifying] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setIsVerifying(true);
+
+    try {
+      await completeTwoFactor(useRecoveryCode ? { recoveryCode: code } : { code });
+      onSignedIn({ usedRecoveryCode: useRecoveryCode });
+    } catch (err) {
+      setError(err.response?.data?.detail || 'The code could not be checked');
+      setIsVerifying(false);
+    }
+  };
+
+  const toggleRecoveryCode = () => {
+    setUseRecoveryCode(value => !value);
+    setCode('');
+    setError('');
+  };
+
+  return (
+    <form className="mt-8 space-y-6" onSubmit={handleSubmit}>
+      <p className="text-center text-sm text-gray-600">
+        {useRecoveryCode
+          ? 'Enter one of the recovery codes you saved when you turned on two-factor authentication. Each code works once.'
+          : `Enter the 6-digit code from your authenticator app${twoFactorChallenge.email ? ` for ${twoFactorChallenge.email}` : ''}.`}
+      </p>
+      <div>
+        <label htmlFor="twoFactorCode" className="block text-sm font-medium text-gray-700">
+          {useRecoveryCode ? 'Recovery code' : 'Authentication code'}
+        </label>
+        <input
+          id="twoFactorCode"
+          name="twoFactorCode"
+          type="text"
+          inputMode={useRecoveryCode ? 'text' : 'numeric'}
+          autoComplete={useRecoveryCode ? 'off' : 'one-time-code'}
+          pattern={useRecoveryCode ? undefined : '[0-9 ]{6,7}'}
+          required
+          autoFocus
+          className="input-field mt-1 text-center tracking-widest"
+          placeholder={useRecoveryCode ? 'xxxxx-xxxxx' : '123456'}
+          value={code}
+          onChange={(e) => setCode(e.target.value)}
+        />
+      </div>
+
+      {error && (
+        <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg text-center">
+          {error}
+        </div>
+      )}
+
+      <button
+        type="submit"
+        disabled={isVerifying}
+        className="btn-primary w-full flex justify-center py-2 px-4 disabled:opacity-50"
+      >
+        {isVerifying ? 'Checking...' : 'Verify'}
+      </button>
+
+      <div className="flex justify-between text-sm">
+        <button type="button" onClick={toggleRecoveryCode} className="text-primary-600 hover:text-primary-500">
+          {useRecoveryCode ? 'Use the authenticator app' : 'Use a recovery code'}
+        </button>
+        <button
+          type="button"
+          onClick={() => {
+            cancelTwoFactor();
+            onCancel?.();
+          }}
+          className="text-gray-500 hover:text-gray-700"
+        >
+          Cancel
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default TwoFactorChallenge;
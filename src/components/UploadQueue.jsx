@@ -0,0 +1,89 @@
+import React from 'react';
+
+const STATUS_LABELS = {
+  queued: 'Waiting',
+  uploading: 'Uploading...',
+  done: 'Uploaded',
+  failed: 'Failed',
+  cancelled: 'Cancelled',
+};
+
+const STATUS_STYLES = {
+  queued: 'text-gray-400',
+  uploading: 'text-primary-600',
+  done: 'text-green-600',
+  failed: 'text-red-600',
+  cancelled: 'text-gray-500',
+};
+
+/**
+ * Lists queued and finished uploads with per-file progress, and lets each file be
+ * cancelled, retried or removed.
+ *
+ * @param {object} props - The component's props.
+ * @param {import('../hooks/useUploadQueue').UploadItem[]} props.items - The upload queue.
+ * @param {(id: string) => void} props.onRetry - Requeues a cancelled upload, or one that failed for a transient reason.
+ * @param {(id: string) => void} props.onRemove - Cancels an upload if running, and removes it.
+ * @param {() => void} props.onClearFinished - Removes every upload that is no longer running.
+ */
+const UploadQueue = ({ items, onRetry, onRemove, onClearFinished }) => {
+  if (items.length === 0) return null;
+
+  const finishedCount = items.filter(item => item.status !== 'queued' && item.status !== 'uploading').length;
+
+  return (
+    <div className="mt-2 rounded-lg border border-gray-200">
+      <div className="flex items-center justify-between px-2 py-1 text-xs text-gray-500 border-b border-gray-100">
+        <span>{finishedCount} of {items.length} finished</span>
+        {finishedCount > 0 && (
+          <button type="button" onClick={onClearFinished} className="hover:text-gray-800">
+            Clear finished
+          </button>
+        )}
+      </div>
+      <ul className="max-h-48 overflow-y-auto divide-y divide-gray-100">
+        {items.map((item) => {
+          const isActive = item.status === 'queued' || item.status === 'uploading';
+          return (
+            <li key={item.id} className="px-2 py-1.5 text-xs">
+              <div className="flex items-center justify-between">
+                <span className="truncate text-gray-800" title={item.file.name}>{item.file.name}</span>
+                <div className="ml-2 flex flex-shrink-0 items-center space-x-2">
+                  <span className={STATUS_STYLES[item.status]}>
+                    {item.status === 'uploading' && item.progress !== null
+                      ? `${Math.round(item.progress * 100)}%`
+                      : STATUS_LABELS[item.status]}
+                  </span>
+                  {item.retryable && (
+                    <button type="button" onClick={() => onRetry(item.id)} className="text-primary-600 hover:text-primary-700">
+                      Retry
+                    </button>
+                  )}
+                  <button
+                    type="button"
+                    onClick={() => onRemove(item.id)}
+                    className="text-gray-400 hover:text-red-600"
+                    title={isActive ? 'Cancel upload' : 'Remove from list'}
+                  >
+                    ×
+                  </button>
+                </div>
+              </div>
+              {item.status === 'uploading' && (
+                <div className="mt-1 h-1 w-full overflow-hidden rounded-full bg-gray-200">
+                  <div
+                    className={`h-1 rounded-full bg-primary-600 transition-all ${item.progress === null ? 'animate-pulse w-full' : ''}`}
+                    style={item.progress === null ? undefined : { width: `${item.progress * 100}%` }}
+                  />
+                </div>
+              )}
+              {item.error && <div className="mt-0.5 text-red-600">{item.error}</div>}
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+};
+
+export default UploadQueue;
@@ -1,5 +1,25 @@
-import React, { createContext, useContext, useState, useEffect } from 'react';
-import { authAPI } from '../services/api';
+import React, { createContext, useContext, useState, useEffect, useCallback } from 'react';
+import { accountAPI, authAPI } from '../services/api';
+import { refreshAccessToken } from '../services/http';
+import {
+  REFRESH_TOKEN_KEY,
+  SESSION_EXPIRED_EVENT,
+  TOKEN_KEY,
+  TOKEN_REFRESHED_EVENT,
+  USER_KEY,
+  clearSession,
+  getTokenExpiry,
+  isTokenExpired,
+  storeSession,
+} from '../services/authSession';
+import { guestService } from '../services/guestService';
+
+// Without a refresh token, the user is warned this long before their session ends.
+const EXPIRY_WARNING_MS = 5 * 60 * 1000;
+// With a refresh token, the session is renewed this long before it ends.
+const REFRESH_LEAD_MS = 60 * 1000;
+// setTimeout fires immediately for delays beyond a signed 32-bit integer.
+const MAX_TIMER_DELAY_MS = 2 ** 31 - 1;
 
 const AuthContext = createContext(undefined);
 
@@ -24,10 +44,18 @@ export const AuthProvider = ({ children }) => {
   const [user, setUser] = useState(null);
   const [isGuestMode, setIsGuestMode] = useState(false);
   const [isLoading, setIsLoading] = useState(true);
+  const [sessionExpiresAt, setSessionExpiresAt] = useState(null);
+  const [sessionExpired, setSessionExpired] = useState(false);
+  const [tokenVersion, setTokenVersion] = useState(0);
+  // A sign-in waiting for its second factor: { token, email }, without the email address
+  // after a single sign-on.
+  const [twoFactorChallenge, setTwoFactorChallenge] = useState(null);
+  // How many recovery codes are left, once the user has signed in with one.
+  const [recoveryCodesRemaining, setRecoveryCodesRemaining] = useState(null);
 
   useEffect(() => {
-    const token = localStorage.getItem('token');
-    const storedUser = localStorage.getItem('user');
+    const token = localStorage.getItem(TOKEN_KEY);
+    const storedUser = localStorage.getItem(USER_KEY);
     const guestMode = localStorage.getItem('guestMode');
     
     if (guestMode === 'true') {
@@ -38,47 +66,283 @@ export const AuthProvider = ({ children }) => {
         full_name: 'Guest User'
       });
     } else if (token && storedUser) {
-      try {
-        setUser(JSON.parse(storedUser));
-      } catch (error) {
-        console.error('Error parsing stored user:', error);
-        localStorage.removeItem('token');
-        localStorage.removeItem('user');
+      if (isTokenExpired(token) && !localStorage.getItem(REFRESH_TOKEN_KEY)) {
+        // The stored session is over and cannot be renewed.
+        clearSession();
+        setSessionExpired(true);
+      } else {
+        try {
+          setUser(JSON.parse(storedUser));
+        } catch (error) {
+          console.error('Error parsing stored user:', error);
+          clearSession();
+        }
       }
     }
     setIsLoading(false);
   }, []);
 
+  /**
+   * Ends a session that can no longer be used. Private routes then send the user to the
+   * login page, remembering where they were so they can be brought back.
+   */
+  const expireSession = useCallback(() => {
+    clearSession();
+    setSessionExpiresAt(null);
+    setSessionExpired(true);
+    setUser(null);
+  }, []);
+
+  useEffect(() => {
+    const handleExpired = () => {
+      if (localStorage.getItem('guestMode') !== 'true') expireSession();
+    };
+    const handleRefreshed = (event) => {
+      if (event.detail?.user) setUser(event.detail.user);
+      setTokenVersion(version => version + 1);
+    };
+
+    window.addEventListener(SESSION_EXPIRED_EVENT, handleExpired);
+    window.addEventListener(TOKEN_REFRESHED_EVENT, handleRefreshed);
+    return () => {
+      window.removeEventListener(SESSION_EXPIRED_EVENT, handleExpired);
+      window.removeEventListener(TOKEN_REFRESHED_EVENT, handleRefreshed);
+    };
+  }, [expireSession]);
+
+  // Schedules a silent refresh shortly before the access token expires, or, when there is
+  // no refresh token, a warning followed by the end of the session.
+  useEffect(() => {
+    setSessionExpiresAt(null);
+    if (!user || isGuestMode) return undefined;
+
+    const expiry = getTokenExpiry(localStorage.getItem(TOKEN_KEY));
+    if (!expiry) return undefined;
+
+    const timers = [];
+    let cancelled = false;
+    const schedule = (callback, at) => {
+      const delay = Math.max(at - Date.now(), 0);
+      if (delay <= MAX_TIMER_DELAY_MS) timers.push(setTimeout(callback, delay));
+    };
+
+    if (localStorage.getItem(REFRESH_TOKEN_KEY)) {
+      // The session only ends once the refresh has failed: a token that is already past
+      // its expiry, e.g. after the computer slept, still gets its refresh first. A refresh
+      // that succeeds bumps tokenVersion, which reschedules everything.
+      schedule(() => {
+        refreshAccessToken().catch((error) => {
+          if (cancelled) return;
+          console.error('Error refreshing session:', error);
+          setSessionExpiresAt(expiry);
+          schedule(expireSession, expiry);
+        });
+      }, expiry - REFRESH_LEAD_MS);
+    } else {
+      schedule(() => setSessionExpiresAt(expiry), expiry - EXPIRY_WARNING_MS);
+      schedule(expireSession, expiry);
+    }
+
+    return () => {
+      cancelled = true;
+      timers.forEach(clearTimeout);
+    };
+  }, [user, isGuestMode, tokenVersion, expireSession]);
+
+  /**
+   * Signs in with an email address and password. Accounts with two-factor authentication
+   * are not signed in yet: completeTwoFactor finishes the sign-in with a one-time code.
+   * @param {string} email
+   * @param {string} password
+   * @returns {Promise<{ twoFactorRequired: boolean }>}
+   */
   const login = async (email, password) => {
     try {
       const response = await authAPI.login(email, password);
-      const { access_token, user: userData } = response;
+      if (response.two_factor_required) {
+        setTwoFactorChallenge({ token: response.challenge_token, email });
+        return { twoFactorRequired: true };
+      }
       
-      localStorage.setItem('token', access_token);
-      localStorage.setItem('user', JSON.stringify(userData));
-      setUser(userData);
+      storeSession(response);
+      setSessionExpired(false);
+      setUser(response.user);
+      return { twoFactorRequired: false };
     } catch (error) {
       console.error('Login error:', error);
       throw error;
     }
   };
 
+  /**
+   * Finishes a sign-in that needs a second factor, with a code from the authenticator app
+   * or a recovery code. An expired sign-in is dropped, so the user starts over.
+   * @param {{ code?: string, recoveryCode?: string }} factor
+   * @returns {Promise<void>}
+   */
+  const completeTwoFactor = async (factor) => {
+    try {
+      const response = await authAPI.verifyTwoFactor(twoFactorChallenge.token, factor);
+      setTwoFactorChallenge(null);
+      setRecoveryCodesRemaining(response.recovery_codes_remaining ?? null);
+
+      storeSession(response);
+      setSessionExpired(false);
+      setUser(response.user);
+    } catch (error) {
+      console.error('Two-factor verification error:', error);
+      if (error.response?.status === 401) setTwoFactorChallenge(null);
+      throw error;
+    }
+  };
+
+  const cancelTwoFactor = () => {
+    setTwoFactorChallenge(null);
+  };
+
+  /**
+   * Signs in with the response of a single sign-on provider. As with login, accounts with
+   * two-factor authentication still need completeTwoFactor.
+   * @param {import('../services/oidc').OidcCallback} callback
+   * @returns {Promise<{ twoFactorRequired: boolean }>}
+   */
+  const loginWithProvider = async (callback) => {
+    try {
+      const response = await authAPI.loginWithProvider(callback);
+      if (response.two_factor_required) {
+        setTwoFactorChallenge({ token: response.challenge_token, email: null });
+        return { twoFactorRequired: true };
+      }
+
+      storeSession(response);
+      setSessionExpired(false);
+      setUser(response.user);
+      return { twoFactorRequired: false };
+    } catch (error) {
+      console.error('Provider login error:', error);
+      throw error;
+    }
+  };
+
   const register = async (email, password, full_name) => {
     try {
       const response = await authAPI.register(email, password, full_name);
-      const { access_token, user: userData } = response;
       
-      localStorage.setItem('token', access_token);
-      localStorage.setItem('user', JSON.stringify(userData));
-      setUser(userData);
+      storeSession(response);
+      setSessionExpired(false);
+      setUser(response.user);
     } catch (error) {
       console.error('Registration error:', error);
       throw error;
     }
   };
 
+  /**
+   * Replaces the signed-in user, both in state and in the stored session.
+   * @param {object} nextUser
+   */
+  const storeUser = (nextUser) => {
+    localStorage.setItem(USER_KEY, JSON.stringify(nextUser));
+    setUser(nextUser);
+  };
+
+  /**
+   * Confirms an email address with the token from a verification link. The link may be
+   * opened while signed in to that account, signed in to another one, or signed out.
+   * @param {string} token - The token from the verification link.
+   * @returns {Promise<object>} The verified user.
+   */
+  const verifyEmail = async (token) => {
+    const verifiedUser = await authAPI.verifyEmail(token);
+    if (!isGuestMode && user?.id === verifiedUser.id) {
+      storeUser(verifiedUser);
+    }
+    return verifiedUser;
+  };
+
+  /**
+   * Fetches the signed-in user again by refreshing the session, e.g. after they confirmed
+   * their email address in another tab.
+   * @returns {Promise<void>}
+   */
+  const reloadUser = async () => {
+    await refreshAccessToken();
+  };
+
+  /**
+   * Updates the signed-in user's name or email address.
+   * @param {{ full_name?: string, email?: string }} updates
+   * @returns {Promise<object>} The updated user.
+   */
+  const updateProfile = async (updates) => {
+    const updatedUser = await accountAPI.updateProfile(updates);
+    storeUser(updatedUser);
+    return updatedUser;
+  };
+
+  /**
+   * Changes the signed-in user's password and keeps the session going with the new tokens.
+   * @param {string | undefined} currentPassword - Omitted when the account has no password yet.
+   * @param {string} newPassword
+   * @returns {Promise<void>}
+   */
+  const changePassword = async (currentPassword, newPassword) => {
+    const response = await accountAPI.changePassword(currentPassword, newPassword);
+    storeSession(response);
+    if (response.user) setUser(response.user);
+    setTokenVersion(version => version + 1);
+  };
+
+  /**
+   * Turns on two-factor authentication with a first code from the authenticator app, after
+   * accountAPI.startTwoFactorSetup.
+   * @param {string} code
+   * @returns {Promise<string[]>} The recovery codes, to show once.
+   */
+  const enableTwoFactor = async (code) => {
+    const { recovery_codes: recoveryCodes, user: updatedUser } = await accountAPI.confirmTwoFactor(code);
+    storeUser(updatedUser);
+    setRecoveryCodesRemaining(null);
+    return recoveryCodes;
+  };
+
+  /**
+   * Replaces the recovery codes.
+   * @param {string} code - A current code from the authenticator app.
+   * @returns {Promise<string[]>} The new recovery codes, to show once.
+   */
+  const regenerateRecoveryCodes = async (code) => {
+    const { recovery_codes: recoveryCodes } = await accountAPI.regenerateRecoveryCodes(code);
+    setRecoveryCodesRemaining(null);
+    return recoveryCodes;
+  };
+
+  /**
+   * Turns off two-factor authentication.
+   * @param {string} code - A current code from the authenticator app.
+   * @returns {Promise<void>}
+   */
+  const disableTwoFactor = async (code) => {
+    storeUser(await accountAPI.disableTwoFactor(code));
+    setRecoveryCodesRemaining(null);
+  };
+
+  /**
+   * Deletes the signed-in user's account and ends the session.
+   * @param {string} [password] - The user's password, confirming the deletion; omitted
+   *   when the account has none.
+   * @returns {Promise<void>}
+   */
+  const deleteAccount = async (password) => {
+    await accountAPI.deleteAccount(password);
+    logout();
+  };
+
   const enterGuestMode = () => {
+    // Returning to guest mode resumes a workspace that was waiting to be imported.
+    guestService.clearPendingImport();
     localStorage.setItem('guestMode', 'true');
+    guestService.beginSession();
     setIsGuestMode(true);
     setUser({
       id: -1,
@@ -87,13 +351,24 @@ export const AuthProvider = ({ children }) => {
     });
   };
 
+  /**
+   * Leaves guest mode to sign in or register, keeping the guest workspace so it can be
+   * imported into the account afterwards.
+   */
+  const leaveGuestMode = () => {
+    guestService.markPendingImport();
+    localStorage.removeItem('guestMode');
+    setUser(null);
+    setIsGuestMode(false);
+  };
+
   const logout = () => {
-    localStorage.removeItem('token');
-    localStorage.removeItem('user');
+    clearSession();
+    setTwoFactorChallenge(null);
+    setRecoveryCodesRemaining(null);
     localStorage.removeItem('guestMode');
     // Clear all guest data
-    localStorage.removeItem('guestDocuments');
-    localStorage.removeItem('guestChatHistory');
+    guestService.clearAllData();
     setUser(null);
     setIsGuestMode(false);
   };
@@ -102,9 +377,26 @@ export const AuthProvider = ({ children }) => {
     user,
     isGuestMode,
     login,
+    twoFactorChallenge,
+    completeTwoFactor,
+    cancelTwoFactor,
+    recoveryCodesRemaining,
+    loginWithProvider,
     register,
+    verifyEmail,
+    reloadUser,
+    updateProfile,
+    changePassword,
+    enableTwoFactor,
+    regenerateRecoveryCodes,
+    disableTwoFactor,
+    deleteAccount,
     enterGuestMode,
+    leaveGuestMode,
     logout,
+    expireSession,
+    sessionExpiresAt,
+    sessionExpired,
     isLoading,
   };
 
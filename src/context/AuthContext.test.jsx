@@ -0,0 +1,93 @@
+import React from 'react';
+import { act, render, screen } from '@testing-library/react';
+import { AuthProvider, useAuth } from './AuthContext';
+import { refreshAccessToken } from '../services/http';
+import {
+  REFRESH_TOKEN_KEY,
+  TOKEN_KEY,
+  TOKEN_REFRESHED_EVENT,
+  USER_KEY,
+  storeSession,
+} from '../services/authSession';
+
+jest.mock('../services/api', () => ({ authAPI: {}, accountAPI: {} }));
+jest.mock('../services/http', () => ({ refreshAccessToken: jest.fn() }));
+jest.mock('../services/guestService', () => ({ guestService: { clearAllData: jest.fn() } }));
+
+const NOW = Date.UTC(2024, 0, 1);
+
+/** An unsigned JWT expiring at `expiresAt` milliseconds. */
+const tokenExpiringAt = (expiresAt) => `header.${btoa(JSON.stringify({ exp: expiresAt / 1000 }))}.signature`;
+
+const SessionStatus = () => {
+  const { user, sessionExpired } = useAuth();
+  return <p>{sessionExpired ? 'expired' : user?.email || 'signed out'}</p>;
+};
+
+/** Lets pending promise callbacks run. */
+const flushPromises = () => act(async () => {
+  await Promise.resolve();
+});
+
+describe('AuthProvider session timers', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.setSystemTime(NOW);
+    localStorage.clear();
+    localStorage.setItem(TOKEN_KEY, tokenExpiringAt(NOW - 60 * 1000));
+    localStorage.setItem(REFRESH_TOKEN_KEY, 'refresh-1');
+    localStorage.setItem(USER_KEY, JSON.stringify({ id: 1, email: 'ada@example.com' }));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    refreshAccessToken.mockReset();
+    console.error.mockRestore();
+  });
+
+  it('refreshes an already expired token instead of ending the session', async () => {
+    let finishRefresh;
+    refreshAccessToken.mockReturnValue(new Promise((resolve) => {
+      finishRefresh = resolve;
+    }));
+    render(<AuthProvider><SessionStatus /></AuthProvider>);
+
+    act(() => {
+      jest.advanceTimersByTime(0);
+    });
+
+    expect(refreshAccessToken).toHaveBeenCalledTimes(1);
+    expect(screen.getByText('ada@example.com')).not.toBeNull();
+
+    const refreshed = { access_token: tokenExpiringAt(NOW + 15 * 60 * 1000), user: { id: 1, email: 'ada@example.com' } };
+    await act(async () => {
+      storeSession(refreshed);
+      window.dispatchEvent(new CustomEvent(TOKEN_REFRESHED_EVENT, { detail: refreshed }));
+      finishRefresh(refreshed.access_token);
+    });
+    act(() => {
+      jest.advanceTimersByTime(10 * 60 * 1000);
+    });
+
+    expect(screen.getByText('ada@example.com')).not.toBeNull();
+    expect(localStorage.getItem(TOKEN_KEY)).toBe(refreshed.access_token);
+    expect(localStorage.getItem(REFRESH_TOKEN_KEY)).toBe('refresh-1');
+  });
+
+  it('ends the session once the refresh has failed', async () => {
+    refreshAccessToken.mockRejectedValue(new Error('Invalid refresh token'));
+    render(<AuthProvider><SessionStatus /></AuthProvider>);
+
+    act(() => {
+      jest.advanceTimersByTime(0);
+    });
+    await flushPromises();
+    act(() => {
+      jest.advanceTimersByTime(0);
+    });
+
+    expect(screen.getByText('expired')).not.toBeNull();
+    expect(localStorage.getItem(TOKEN_KEY)).toBeNull();
+  });
+});
@@ -0,0 +1,318 @@
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import { chatAPI, isRequestCancelled } from '../services/api';
+import { guestService, GuestStorageQuotaError } from '../services/guestService';
+import { buildChatMemory } from '../services/chatMemory';
+import config from '../services/config';
+
+// The earlier turns sent along with a question, within the configured token budget.
+const rememberTurns = (priorTurns) => buildChatMemory(priorTurns, config.chatMemoryTokens);
+
+/**
+ * The turns of the open conversation, and asking, regenerating, editing and deleting them.
+ * Answers stream into the turn on screen; one question is answered at a time, and the
+ * answer in flight is stopped when the dashboard is left.
+ *
+ * @param {object} options
+ * @param {boolean} options.isGuestMode
+ * @param {{id: number} | null} options.user
+ * @param {number | string | null} options.conversationId - The open conversation.
+ * @param {object} options.context - The documents to answer from.
+ * @param {Array<number | string> | undefined} options.context.documentIds - The documents sent as
+ *   context, or undefined for none or all.
+ * @param {boolean} options.context.useAll - Whether all documents are context.
+ * @param {(message: string) => void} options.onError - Called with a message when an action fails.
+ * @param {(question: string) => void} options.onQuestionReturned - Receives a question that was
+ *   stopped before its answer, so it can be sent again.
+ * @param {(conversationId: number | string, question: string) => void} options.onFirstAnswer -
+ *   Called when a conversation's first question has been answered.
+ * @param {(branch: object) => void} options.onBranched - Receives a new branch of the conversation,
+ *   to list and open. Its history is already shown.
+ * @returns {{
+ *   messages: object[],
+ *   setMessages: (update: object[] | ((messages: object[]) => object[])) => void,
+ *   isLoading: boolean,
+ *   nextMemory: import('../services/chatMemory').ChatMemory | null,
+ *   loadChatHistory: () => Promise<void>,
+ *   ask: (question: string) => Promise<void>,
+ *   regenerate: (message: object) => void,
+ *   editAndResend: (message: object, question: string, mode: 'replace' | 'branch') => Promise<void>,
+ *   deleteTurn: (message: object) => Promise<void>,
+ *   stop: () => void,
+ * }}
+ */
+const useChat = ({
+  isGuestMode,
+  user,
+  conversationId,
+  context,
+  onError,
+  onQuestionReturned,
+  onFirstAnswer,
+  onBranched,
+}) => {
+  const [messages, setMessages] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const chatAbortRef = useRef(null);
+  const shownHistoryRef = useRef(null);
+
+  const fetchChatHistory = useCallback(async (historyConversationId) => {
+    if (isGuestMode) {
+      const guestHistory = await guestService.getChatHistory(historyConversationId);
+      return guestHistory.map(msg => ({
+        id: parseInt(msg.id),
+        user_id: -1,
+        message: msg.message,
+        response: msg.response,
+        context_documents: msg.context_documents,
+        created_at: msg.created_at,
+      }));
+    }
+    const response = await chatAPI.getChatHistory(historyConversationId);
+    return response.history;
+  }, [isGuestMode]);
+
+  const loadChatHistory = useCallback(async () => {
+    if (!conversationId) {
+      setMessages([]);
+      return;
+    }
+
+    try {
+      setMessages(await fetchChatHistory(conversationId));
+    } catch (error) {
+      console.error('Error loading chat history:', error);
+    }
+  }, [conversationId, fetchChatHistory]);
+
+  useEffect(() => {
+    // A new branch is shown before its edited question is asked; loading it again here
+    // would drop that question.
+    if (shownHistoryRef.current !== null && shownHistoryRef.current === conversationId) {
+      shownHistoryRef.current = null;
+      return;
+    }
+    loadChatHistory();
+  }, [loadChatHistory, conversationId]);
+
+  // Abort a chat request still in flight when leaving the dashboard; the upload queue
+  // cancels its own uploads.
+  useEffect(() => () => {
+    chatAbortRef.current?.abort();
+  }, []);
+
+  // What the next question will carry, recomputed once an answer has finished streaming.
+  const nextMemory = useMemo(() => (isLoading ? null : rememberTurns(messages)), [messages, isLoading]);
+
+  const updateMessage = (messageId, update) => {
+    setMessages(prev => prev.map(msg => (msg.id === messageId ? update(msg) : msg)));
+  };
+
+  // Streams an answer into `turn`, a message already on screen. `request` does the asking
+  // and resolves to the fields of the stored turn. A cancelled request or an ended session
+  // calls `onCancel` instead, and any other failure `onFailure`.
+  const answerTurn = async (turn, request, { onCancel, onFailure }) => {
+    setIsLoading(true);
+    const controller = new AbortController();
+    chatAbortRef.current = controller;
+
+    try {
+      const answered = await request({
+        onToken: (token) => updateMessage(turn.id, msg => ({ ...msg, response: msg.response + token })),
+        signal: controller.signal,
+      });
+      updateMessage(turn.id, () => ({ ...turn, ...answered }));
+      return true;
+    } catch (error) {
+      const sessionEnded = (error.response?.status ?? error.status) === 401;
+      if (isRequestCancelled(error) || sessionEnded) {
+        onCancel();
+      } else {
+        console.error('Error sending message:', error);
+        onFailure();
+      }
+      return false;
+    } finally {
+      chatAbortRef.current = null;
+      setIsLoading(false);
+    }
+  };
+
+  // Asks a question in a conversation with its context settings and stores the turn.
+  const requestAnswer = async (userMessage, askedConversationId, memory, { onToken, signal }) => {
+    if (isGuestMode) {
+      const useSelectedDocs = context.documentIds?.map(id => id.toString());
+      const response = await guestService.generateAIResponse(userMessage, useSelectedDocs, context.useAll, { memory, onToken, signal });
+
+      const messageData = {
+        message: userMessage,
+        response: response.response,
+        context_documents: response.context_sources.length > 0 ? JSON.stringify(response.context_sources) : undefined,
+      };
+
+      let guestMessage;
+      try {
+        guestMessage = await guestService.saveChatMessage(messageData, askedConversationId);
+      } catch (error) {
+        if (!(error instanceof GuestStorageQuotaError)) throw error;
+        // Still show the answer, but warn that it will not survive a reload.
+        onError(`${error.message} The last answer was not saved.`);
+        guestMessage = { ...messageData, id: Date.now().toString(), created_at: new Date().toISOString(), unsaved: true };
+      }
+
+      return {
+        id: parseInt(guestMessage.id),
+        user_id: -1,
+        message: userMessage,
+        response: response.response,
+        context_documents: guestMessage.context_documents,
+        created_at: guestMessage.created_at,
+        unsaved: Boolean(guestMessage.unsaved),
+      };
+    }
+
+    const response = await chatAPI.sendMessage(userMessage, context.documentIds, context.useAll, {
+      conversationId: askedConversationId,
+      memory,
+      onToken,
+      signal,
+    });
+    return {
+      id: response.message_id ?? Date.now() + 1,
+      user_id: user?.id || 0,
+      message: userMessage,
+      response: response.response,
+      context_documents: JSON.stringify(response.context_sources || []),
+      created_at: new Date().toISOString(),
+      // Without the stored ID the turn can only be changed once the history is reloaded.
+      unsaved: response.message_id === undefined,
+    };
+  };
+
+  // Asks a question after `priorTurns`, the turns shown before it, which it may refer to.
+  const askQuestion = async (userMessage, askedConversationId, priorTurns) => {
+    const memory = rememberTurns(priorTurns);
+    const pendingTurn = {
+      id: Date.now(),
+      user_id: user?.id || 0,
+      message: userMessage,
+      response: '',
+      created_at: new Date().toISOString(),
+      unsaved: true,
+    };
+    setMessages(prev => [...prev, pendingTurn]);
+
+    const answered = await answerTurn(pendingTurn, options => requestAnswer(userMessage, askedConversationId, memory, options), {
+      // Drop the unfinished turn and hand the question back so it can be resent,
+      // after signing in again if the session ended.
+      onCancel: () => {
+        setMessages(prev => prev.filter(msg => msg.id !== pendingTurn.id));
+        onQuestionReturned(userMessage);
+      },
+      onFailure: () => updateMessage(pendingTurn.id, () => ({
+        ...pendingTurn,
+        unsaved: false,
+        notice: true,
+        response: 'Sorry, I encountered an error. Please try again.',
+      })),
+    });
+
+    if (answered && priorTurns.length === 0) onFirstAnswer(askedConversationId, userMessage);
+  };
+
+  const ask = (question) => askQuestion(question, conversationId, messages);
+
+  // Answers a turn's question again with the conversation's current context settings.
+  const regenerate = (message) => {
+    if (isLoading) return;
+    const pendingTurn = { ...message, response: '' };
+    const memory = rememberTurns(messages.slice(0, messages.findIndex(msg => msg.id === message.id)));
+    updateMessage(message.id, () => pendingTurn);
+
+    answerTurn(pendingTurn, async ({ onToken, signal }) => {
+      if (isGuestMode) {
+        const useSelectedDocs = context.documentIds?.map(id => id.toString());
+        const response = await guestService.generateAIResponse(message.message, useSelectedDocs, context.useAll, { memory, onToken, signal });
+        const updated = await guestService.updateChatMessage(message.id.toString(), {
+          response: response.response,
+          context_documents: response.context_sources.length > 0 ? JSON.stringify(response.context_sources) : undefined,
+        });
+        return { response: response.response, context_documents: updated?.context_documents };
+      }
+
+      const response = await chatAPI.regenerateMessage(message.id, context.documentIds, context.useAll, { memory, onToken, signal });
+      return { response: response.response, context_documents: JSON.stringify(response.context_sources || []) };
+    }, {
+      onCancel: () => updateMessage(message.id, () => message),
+      onFailure: () => {
+        updateMessage(message.id, () => message);
+        onError('The answer could not be regenerated. Please try again.');
+      },
+    });
+  };
+
+  // Asks an edited question instead of an earlier one: either in place, dropping that turn
+  // and every later one, or in a new branch of the conversation that keeps the original.
+  const editAndResend = async (message, question, mode) => {
+    if (isLoading) return;
+    const index = messages.findIndex(msg => msg.id === message.id);
+
+    try {
+      if (mode === 'branch') {
+        const branch = isGuestMode
+          ? await guestService.branchConversation(conversationId, message.id.toString())
+          : (await chatAPI.branchConversation(conversationId, message.id)).conversation;
+        const history = await fetchChatHistory(branch.id);
+        shownHistoryRef.current = branch.id;
+        setMessages(history);
+        onBranched(branch);
+        await askQuestion(question, branch.id, history);
+      } else {
+        if (isGuestMode) {
+          await guestService.deleteChatMessage(message.id.toString(), { includeLater: true });
+        } else {
+          await chatAPI.deleteMessage(message.id, { includeLater: true });
+        }
+        setMessages(prev => prev.slice(0, index));
+        await askQuestion(question, conversationId, messages.slice(0, index));
+      }
+    } catch (error) {
+      console.error('Error resending message:', error);
+      onError(error instanceof GuestStorageQuotaError
+        ? error.message
+        : 'The edited question could not be sent. Please try again.');
+    }
+  };
+
+  const deleteTurn = async (message) => {
+    try {
+      if (isGuestMode) {
+        await guestService.deleteChatMessage(message.id.toString());
+      } else {
+        await chatAPI.deleteMessage(message.id);
+      }
+      setMessages(prev => prev.filter(msg => msg.id !== message.id));
+    } catch (error) {
+      console.error('Error deleting message:', error);
+      onError('The message could not be deleted. Please try again.');
+    }
+  };
+
+  const stop = () => {
+    chatAbortRef.current?.abort();
+  };
+
+  return {
+    messages,
+    setMessages,
+    isLoading,
+    nextMemory,
+    loadChatHistory,
+    ask,
+    regenerate,
+    editAndResend,
+    deleteTurn,
+    stop,
+  };
+};
+
+export default useChat;
@@ -0,0 +1,77 @@
+import { useCallback, useState } from 'react';
+import { documentAPI } from '../services/api';
+import { guestService } from '../services/guestService';
+
+/**
+ * Loads and edits the user's document collections, in guest storage or the account.
+ * Collections are kept sorted by name.
+ *
+ * @param {object} options
+ * @param {boolean} options.isGuestMode
+ * @param {(message: string) => void} options.onError - Called with a message when a collection cannot be saved.
+ * @returns {{
+ *   collections: import('../services/collections').Collection[],
+ *   loadCollections: () => Promise<void>,
+ *   saveCollection: (collectionId: number | string | null, contents: object) => Promise<void>,
+ *   deleteCollection: (collectionId: number | string) => Promise<boolean>,
+ * }}
+ */
+const useCollections = ({ isGuestMode, onError }) => {
+  const [collections, setCollections] = useState([]);
+
+  const loadCollections = useCallback(async () => {
+    try {
+      if (isGuestMode) {
+        setCollections(await guestService.getCollections());
+      } else {
+        const response = await documentAPI.getCollections();
+        setCollections(response.collections);
+      }
+    } catch (error) {
+      console.error('Error loading collections:', error);
+    }
+  }, [isGuestMode]);
+
+  // Creates a collection when `collectionId` is null, and replaces its contents otherwise.
+  const saveCollection = async (collectionId, contents) => {
+    const saved = { ...contents };
+    if (isGuestMode) saved.document_ids = contents.document_ids.map(id => id.toString());
+    try {
+      let collection;
+      if (isGuestMode) {
+        collection = collectionId === null
+          ? await guestService.createCollection(saved.name, saved)
+          : await guestService.updateCollection(collectionId, saved);
+      } else {
+        collection = collectionId === null
+          ? (await documentAPI.createCollection(saved.name, saved)).collection
+          : (await documentAPI.updateCollection(collectionId, saved)).collection;
+      }
+      setCollections(prev => [...prev.filter(item => item.id !== collection.id), collection]
+        .sort((a, b) => a.name.localeCompare(b.name)));
+    } catch (error) {
+      console.error('Error saving collection:', error);
+      onError(`The collection "${contents.name}" could not be saved. Please try again.`);
+    }
+  };
+
+  // Resolves to whether the collection was deleted.
+  const deleteCollection = async (collectionId) => {
+    try {
+      if (isGuestMode) {
+        await guestService.deleteCollection(collectionId);
+      } else {
+        await documentAPI.deleteCollection(collectionId);
+      }
+      setCollections(prev => prev.filter(collection => collection.id !== collectionId));
+      return true;
+    } catch (error) {
+      console.error('Error deleting collection:', error);
+      return false;
+    }
+  };
+
+  return { collections, loadCollections, saveCollection, deleteCollection };
+};
+
+export default useCollections;
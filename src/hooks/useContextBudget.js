@@ -0,0 +1,60 @@
+import { useState } from 'react';
+import { searchAPI } from '../services/api';
+import { guestService } from '../services/guestService';
+import { estimateContext, trimToBudget } from '../services/contextBudget';
+import config from '../services/config';
+import { MAX_PASSAGE_CHARS } from '../services/retrieval';
+
+/**
+ * Estimates the share of the model's context the typed question would take, and trims the
+ * documents in context to the ones most relevant to it that fit the model.
+ *
+ * @param {object} options
+ * @param {boolean} options.isGuestMode - Guests send only the passages retrieved for the question.
+ * @param {Array<{id: number | string, content_length?: number, created_at: string}>} options.contextDocuments -
+ *   The documents in context.
+ * @param {string} options.question - The typed question.
+ * @param {number} [options.memoryTokens] - The conversational memory sent with it.
+ * @param {(documentIds: Array<number | string>) => void} options.onTrimmed - Receives the documents
+ *   to keep, most relevant first, as a selection the user can still adjust.
+ * @param {(message: string) => void} options.onError - Called with a message when trimming fails.
+ * @returns {{
+ *   contextEstimate: import('../services/contextBudget').ContextEstimate,
+ *   isTrimming: boolean,
+ *   trimContext: () => Promise<void>,
+ * }}
+ */
+const useContextBudget = ({ isGuestMode, contextDocuments, question, memoryTokens, onTrimmed, onError }) => {
+  const [isTrimming, setIsTrimming] = useState(false);
+
+  const contextEstimate = estimateContext({
+    documents: contextDocuments,
+    question,
+    memoryTokens,
+    maxDocumentChars: isGuestMode ? MAX_PASSAGE_CHARS : undefined,
+  }, config.modelContextTokens);
+
+  const trimContext = async () => {
+    setIsTrimming(true);
+    try {
+      const query = question.trim();
+      let results = [];
+      if (query) {
+        results = isGuestMode ? await guestService.search(query) : (await searchAPI.search(query)).results;
+      }
+      onTrimmed(trimToBudget(contextDocuments, results, {
+        limit: config.modelContextTokens,
+        questionTokens: contextEstimate.questionTokens,
+      }));
+    } catch (error) {
+      console.error('Error trimming context:', error);
+      onError('The context could not be trimmed. Please deselect some documents instead.');
+    } finally {
+      setIsTrimming(false);
+    }
+  };
+
+  return { contextEstimate, isTrimming, trimContext };
+};
+
+export default useContextBudget;
@@ -0,0 +1,39 @@
+import { useCallback, useState } from 'react';
+
+/**
+ * @typedef {object} ViewedDocument
+ * @property {number | string} id
+ * @property {{start: number, end: number} | null} highlight - The passage to scroll to and mark.
+ */
+
+/**
+ * Tracks the document shown in the DocumentViewer, opened from the document list, a
+ * citation or a search result.
+ *
+ * @param {boolean} isGuestMode - Guest document IDs arrive as strings from citations and
+ *   search, but are listed as numbers.
+ * @returns {{
+ *   viewedDocument: ViewedDocument | null,
+ *   openDocument: (documentId: number | string, highlight?: {start: number, end: number} | null) => void,
+ *   closeDocument: () => void,
+ *   forgetDocument: (documentId: number | string) => void,
+ * }}
+ */
+const useDocumentViewer = (isGuestMode) => {
+  const [viewedDocument, setViewedDocument] = useState(null);
+
+  const openDocument = useCallback((documentId, highlight = null) => {
+    setViewedDocument({ id: isGuestMode ? parseInt(documentId) : documentId, highlight });
+  }, [isGuestMode]);
+
+  const closeDocument = useCallback(() => setViewedDocument(null), []);
+
+  // Closes the viewer if it shows a document that was deleted.
+  const forgetDocument = useCallback((documentId) => {
+    setViewedDocument(prev => (prev?.id === documentId ? null : prev));
+  }, []);
+
+  return { viewedDocument, openDocument, closeDocument, forgetDocument };
+};
+
+export default useDocumentViewer;
@@ -0,0 +1,39 @@
+import { useCallback, useEffect, useState } from 'react';
+
+/**
+ * The session storage key of an account's unsent question.
+ * @param {string | number} owner - The user ID, or 'guest'.
+ * @returns {string}
+ */
+const draftStorageKey = (owner) => `askstashDraft:${owner}`;
+
+/**
+ * Keeps the unsent question in session storage, so it survives a trip through the login
+ * page when the session expires. It is kept per account, so whoever signs in next in this
+ * tab does not see it.
+ *
+ * @param {string | number | null} owner - The user ID, 'guest', or null while nobody is signed in.
+ * @returns {[string, (draft: string) => void, () => void]} The draft, its setter, and a
+ *   function that forgets the stored draft, for signing out.
+ */
+const useDraft = (owner) => {
+  const draftKey = owner === null ? null : draftStorageKey(owner);
+  const [draft, setDraft] = useState(() => (draftKey && sessionStorage.getItem(draftKey)) || '');
+
+  useEffect(() => {
+    if (!draftKey) return;
+    if (draft) {
+      sessionStorage.setItem(draftKey, draft);
+    } else {
+      sessionStorage.removeItem(draftKey);
+    }
+  }, [draftKey, draft]);
+
+  const discardDraft = useCallback(() => {
+    if (draftKey) sessionStorage.removeItem(draftKey);
+  }, [draftKey]);
+
+  return [draft, setDraft, discardDraft];
+};
+
+export default useDraft;
@@ -0,0 +1,64 @@
+import { useRef, useState } from 'react';
+import { collectDroppedFiles } from '../utils/uploadFiles';
+
+const hasDraggedFiles = (e) => Array.from(e.dataTransfer?.types || []).includes('Files');
+
+/**
+ * Turns an element into a drop target for files and folders. Drags of anything other than
+ * files, such as selected text, are left alone.
+ *
+ * @param {object} options
+ * @param {(files: File[]) => void} options.onFiles - Receives the dropped files, with the
+ *   contents of dropped folders.
+ * @param {(error: Error) => void} options.onError - Called when the dropped files cannot be read.
+ * @returns {{
+ *   isDraggingFiles: boolean,
+ *   dropHandlers: {
+ *     onDragEnter: (e: DragEvent) => void,
+ *     onDragOver: (e: DragEvent) => void,
+ *     onDragLeave: (e: DragEvent) => void,
+ *     onDrop: (e: DragEvent) => void,
+ *   },
+ * }} Whether files are dragged over the element, and the handlers to spread onto it.
+ */
+const useFileDrop = ({ onFiles, onError }) => {
+  const [isDraggingFiles, setIsDraggingFiles] = useState(false);
+  // Entering a child element fires dragenter before the parent's dragleave.
+  const dragDepthRef = useRef(0);
+
+  const onDragEnter = (e) => {
+    if (!hasDraggedFiles(e)) return;
+    e.preventDefault();
+    dragDepthRef.current += 1;
+    setIsDraggingFiles(true);
+  };
+
+  const onDragOver = (e) => {
+    if (!hasDraggedFiles(e)) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'copy';
+  };
+
+  const onDragLeave = (e) => {
+    if (!hasDraggedFiles(e)) return;
+    dragDepthRef.current = Math.max(dragDepthRef.current - 1, 0);
+    if (dragDepthRef.current === 0) setIsDraggingFiles(false);
+  };
+
+  const onDrop = async (e) => {
+    if (!hasDraggedFiles(e)) return;
+    e.preventDefault();
+    dragDepthRef.current = 0;
+    setIsDraggingFiles(false);
+    try {
+      onFiles(await collectDroppedFiles(e.dataTransfer));
+    } catch (error) {
+      console.error('Error reading dropped files:', error);
+      onError(error);
+    }
+  };
+
+  return { isDraggingFiles, dropHandlers: { onDragEnter, onDragOver, onDragLeave, onDrop } };
+};
+
+export default useFileDrop;
@@ -0,0 +1,24 @@
+import { useCallback, useState } from 'react';
+import { guestService } from '../services/guestService';
+
+/**
+ * How long the guest workspace is kept, as chosen in the guest sidebar. Choosing again
+ * restarts the countdown to its expiry.
+ *
+ * @returns {[
+ *   import('../services/guestService').GuestRetention,
+ *   (retention: import('../services/guestService').GuestRetention) => void,
+ * ]} The retention and a function that stores a new one.
+ */
+const useGuestRetention = () => {
+  const [retention, setRetention] = useState(() => guestService.getRetention());
+
+  const changeRetention = useCallback((nextRetention) => {
+    guestService.setRetention(nextRetention);
+    setRetention(nextRetention);
+  }, []);
+
+  return [retention, changeRetention];
+};
+
+export default useGuestRetention;
@@ -0,0 +1,39 @@
+import { useEffect, useRef, useState } from 'react';
+
+// How long a message picked in search stays highlighted.
+const FOCUS_HIGHLIGHT_MS = 2500;
+
+/**
+ * Keeps the chat scrolled to its latest message, except while a message picked in search
+ * is focused: that one is scrolled into view once its conversation has loaded, and briefly
+ * highlighted. Messages are found by their `message-<id>` element IDs.
+ *
+ * @param {Array<{id: number | string}>} messages - The messages shown.
+ * @returns {{
+ *   messagesEndRef: import('react').RefObject<HTMLElement>,
+ *   focusedMessageId: number | string | null,
+ *   focusMessage: (messageId: number | string) => void,
+ * }} A ref for an element after the last message, and the focused message.
+ */
+const useMessageScroll = (messages) => {
+  const messagesEndRef = useRef(null);
+  const [focusedMessageId, setFocusedMessageId] = useState(null);
+
+  useEffect(() => {
+    messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
+  }, [messages]);
+
+  // Declared after the scroll-to-bottom effect so it wins.
+  useEffect(() => {
+    if (focusedMessageId === null) return undefined;
+    const element = document.getElementById(`message-${focusedMessageId}`);
+    if (!element) return undefined;
+    element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    const timer = setTimeout(() => setFocusedMessageId(null), FOCUS_HIGHLIGHT_MS);
+    return () => clearTimeout(timer);
+  }, [messages, focusedMessageId]);
+
+  return { messagesEndRef, focusedMessageId, focusMessage: setFocusedMessageId };
+};
+
+export default useMessageScroll;
@@ -0,0 +1,27 @@
+import { useCallback, useEffect, useState } from 'react';
+
+/**
+ * Opens and closes the SearchPanel, which Ctrl+K / Cmd+K also opens.
+ * @returns {{isSearchOpen: boolean, openSearch: () => void, closeSearch: () => void}}
+ */
+const useSearchPanel = () => {
+  const [isSearchOpen, setIsSearchOpen] = useState(false);
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'k') {
+        e.preventDefault();
+        setIsSearchOpen(true);
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, []);
+
+  const openSearch = useCallback(() => setIsSearchOpen(true), []);
+  const closeSearch = useCallback(() => setIsSearchOpen(false), []);
+
+  return { isSearchOpen, openSearch, closeSearch };
+};
+
+export default useSearchPanel;
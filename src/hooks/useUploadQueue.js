@@ -0,0 +1,141 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { isRequestCancelled } from '../services/api';
+import { isAcceptedFile } from '../utils/uploadFiles';
+
+/**
+ * @typedef {object} UploadItem
+ * @property {string} id
+ * @property {File} file
+ * @property {'queued' | 'uploading' | 'done' | 'failed' | 'cancelled'} status
+ * @property {number | null} progress - Fraction sent so far, or null while unknown.
+ * @property {string} [error] - Why the upload failed.
+ * @property {boolean} [retryable] - Whether trying again may succeed: set for cancelled
+ *   uploads and for failures of the network or server, not for files that were rejected.
+ */
+
+let nextItemId = 1;
+
+// Statuses of requests that may succeed when sent again unchanged.
+const TRANSIENT_STATUSES = new Set([408, 429]);
+
+/**
+ * Tells whether an upload failed for a reason that may pass: the request never got a
+ * response, timed out, was rate limited, or the server failed.
+ * @param {any} error
+ * @returns {boolean}
+ */
+const isTransientFailure = (error) => {
+  if (!error.isAxiosError) return false;
+  const status = error.response?.status;
+  return status === undefined || status >= 500 || TRANSIENT_STATUSES.has(status);
+};
+
+/**
+ * Runs file uploads through a queue with a concurrency limit, tracking per-file progress
+ * and allowing each file to be cancelled, retried or removed. Uploads still running are
+ * aborted when the component unmounts.
+ *
+ * @param {object} options
+ * @param {(file: File, options: {signal: AbortSignal, onProgress: (progress: number) => void}) => Promise<void>} options.uploadFile -
+ *   Uploads one file; rejections mark the item failed.
+ * @param {(file: File) => void} [options.onUploaded] - Called after each successful upload.
+ * @param {number} [options.concurrency] - How many files upload at once.
+ * @returns {{
+ *   items: UploadItem[],
+ *   isUploading: boolean,
+ *   addFiles: (files: File[]) => void,
+ *   retry: (id: string) => void,
+ *   remove: (id: string) => void,
+ *   clearFinished: () => void,
+ * }}
+ */
+const useUploadQueue = ({ uploadFile, onUploaded, concurrency = 3 }) => {
+  const [items, setItems] = useState([]);
+  const controllersRef = useRef(new Map());
+  // Always call the latest callbacks without restarting uploads when they change.
+  const callbacksRef = useRef({ uploadFile, onUploaded });
+  callbacksRef.current = { uploadFile, onUploaded };
+
+  const updateItem = useCallback((id, changes) => {
+    setItems(prev => prev.map(item => (item.id === id ? { ...item, ...changes } : item)));
+  }, []);
+
+  const start = useCallback(async (item) => {
+    const controller = new AbortController();
+    controllersRef.current.set(item.id, controller);
+    updateItem(item.id, { status: 'uploading', progress: null, error: undefined, retryable: false });
+
+    try {
+      await callbacksRef.current.uploadFile(item.file, {
+        signal: controller.signal,
+        onProgress: (progress) => updateItem(item.id, { progress }),
+      });
+      updateItem(item.id, { status: 'done', progress: 1 });
+      callbacksRef.current.onUploaded?.(item.file);
+    } catch (error) {
+      if (isRequestCancelled(error)) {
+        updateItem(item.id, { status: 'cancelled', retryable: true });
+      } else {
+        console.error(`Error uploading ${item.file.name}:`, error);
+        updateItem(item.id, {
+          status: 'failed',
+          error: error.response?.data?.detail || error.message || 'Upload failed',
+          retryable: isTransientFailure(error),
+        });
+      }
+    } finally {
+      controllersRef.current.delete(item.id);
+    }
+  }, [updateItem]);
+
+  // Starts queued files whenever a slot is free.
+  useEffect(() => {
+    const running = items.filter(item => item.status === 'uploading').length;
+    items
+      .filter(item => item.status === 'queued' && !controllersRef.current.has(item.id))
+      .slice(0, Math.max(concurrency - running, 0))
+      .forEach(start);
+  }, [items, concurrency, start]);
+
+  useEffect(() => {
+    const controllers = controllersRef.current;
+    return () => controllers.forEach(controller => controller.abort());
+  }, []);
+
+  const addFiles = useCallback((files) => {
+    const added = files.map(file => ({
+      id: `upload-${nextItemId++}`,
+      file,
+      ...(isAcceptedFile(file)
+        ? { status: 'queued', progress: null }
+        : { status: 'failed', progress: null, error: 'Unsupported file type', retryable: false }),
+    }));
+    setItems(prev => [...prev, ...added]);
+  }, []);
+
+  const retry = useCallback((id) => {
+    setItems(prev => prev.map(item => (
+      item.id === id && item.retryable ? { ...item, status: 'queued', progress: null, error: undefined } : item
+    )));
+  }, []);
+
+  const remove = useCallback((id) => {
+    controllersRef.current.get(id)?.abort();
+    setItems(prev => prev.filter(item => item.id !== id));
+  }, []);
+
+  const clearFinished = useCallback(() => {
+    setItems(prev => prev.filter(item => item.status === 'queued' || item.status === 'uploading'));
+  }, []);
+
+  return {
+    items,
+    isUploading: items.some(item => item.status === 'queued' || item.status === 'uploading'),
+    addFiles,
+    retry,
+    remove,
+    clearFinished,
+  };
+};
+
+export default useUploadQueue;
@@ -1,74 +1,137 @@
-import React, { useState, useEffect, useRef, useCallback } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
 import { chatAPI, documentAPI } from '../services/api';
 import { guestService } from '../services/guestService';
+import { resolveCollection } from '../services/collections';
+import { formatTokens } from '../services/tokens';
 import ConfirmationModal from '../components/ConfirmationModal';
+import AnswerWithCitations from '../components/AnswerWithCitations';
+import ChatMemoryStatus from '../components/ChatMemoryStatus';
+import CollectionsModal from '../components/CollectionsModal';
+import ContextBudgetWarning from '../components/ContextBudgetWarning';
+import ContextModePicker from '../components/ContextModePicker';
+import ConversationExportMenu from '../components/ConversationExportMenu';
+import ConversationList from '../components/ConversationList';
+import DocumentUploader from '../components/DocumentUploader';
+import DocumentViewer from '../components/DocumentViewer';
+import FileDropOverlay from '../components/FileDropOverlay';
+import GuestExpiryNotice from '../components/GuestExpiryNotice';
+import GuestImportModal from '../components/GuestImportModal';
+import GuestSidebar from '../components/GuestSidebar';
+import MessageActions from '../components/MessageActions';
+import QuestionEditor from '../components/QuestionEditor';
+import SearchPanel from '../components/SearchPanel';
+import TagEditor from '../components/TagEditor';
+import useChat from '../hooks/useChat';
+import useCollections from '../hooks/useCollections';
+import useContextBudget from '../hooks/useContextBudget';
+import useDocumentViewer from '../hooks/useDocumentViewer';
+import useDraft from '../hooks/useDraft';
+import useFileDrop from '../hooks/useFileDrop';
+import useGuestRetention from '../hooks/useGuestRetention';
+import useMessageScroll from '../hooks/useMessageScroll';
+import useSearchPanel from '../hooks/useSearchPanel';
+import useUploadQueue from '../hooks/useUploadQueue';
 
-// A simple component to render text with basic Markdown formatting
-const MarkdownRenderer = ({ text }) => {
-  // First, replace **text** with <strong>text</strong> for bolding
-  let formattedHtml = text.replace(/\*\*(.*?)\*\*/g, '<strong>$1</strong>');
-  
-  // Then, replace lines starting with * with a bullet point character (•)
-  // The 'g' flag ensures all occurrences are replaced, and 'm' allows ^ to match the start of each line
-  formattedHtml = formattedHtml.replace(/^\* (.*$)/gm, '• $1');
-  
-  return (
-    <p 
-      className="text-sm text-gray-800 whitespace-pre-wrap break-words"
-      dangerouslySetInnerHTML={{ __html: formattedHtml }} 
-    />
-  );
-};
+const DEFAULT_CONVERSATION_TITLE = 'New conversation';
 
 const DashboardPage = () => {
-  const { user, logout, isGuestMode } = useAuth();
+  const { user, logout, isGuestMode, leaveGuestMode } = useAuth();
   const navigate = useNavigate();
-  const [messages, setMessages] = useState([]);
-  const [inputMessage, setInputMessage] = useState('');
-  const [isLoading, setIsLoading] = useState(false);
+  const [inputMessage, setInputMessage, discardDraft] = useDraft(isGuestMode ? 'guest' : user?.id ?? null);
+  const { viewedDocument, openDocument, closeDocument, forgetDocument } = useDocumentViewer(isGuestMode);
+  const { isSearchOpen, openSearch, closeSearch } = useSearchPanel();
   const [documents, setDocuments] = useState([]);
-  const [isUploading, setIsUploading] = useState(false);
+  const [guestRetention, changeGuestRetention] = useGuestRetention();
   const [sidebarOpen, setSidebarOpen] = useState(false);
   const [selectedDocuments, setSelectedDocuments] = useState([]);
   const [contextMode, setContextMode] = useState('none');
+  const [activeCollectionId, setActiveCollectionId] = useState(null);
+  const [isCollectionsOpen, setIsCollectionsOpen] = useState(false);
   const [isModalOpen, setIsModalOpen] = useState(false);
   const [documentToDelete, setDocumentToDelete] = useState(null);
-  const messagesEndRef = useRef(null);
+  const [editingMessageId, setEditingMessageId] = useState(null);
+  const [turnToDelete, setTurnToDelete] = useState(null);
+  const [conversations, setConversations] = useState([]);
+  const [activeConversationId, setActiveConversationId] = useState(null);
+  const [conversationToDelete, setConversationToDelete] = useState(null);
+  const [errorMessage, setErrorMessage] = useState('');
+  const { collections, loadCollections, saveCollection, deleteCollection } = useCollections({
+    isGuestMode,
+    onError: setErrorMessage,
+  });
+  const [showGuestImport, setShowGuestImport] = useState(() => !isGuestMode && guestService.hasPendingImport());
+
+  // Opens a conversation and restores the context settings saved with it.
+  const openConversation = (conversation) => {
+    setActiveConversationId(conversation.id);
+    setContextMode(conversation.context_mode || 'none');
+    setSelectedDocuments(conversation.selected_documents || []);
+    setActiveCollectionId(conversation.collection_id ?? null);
+  };
 
-  const loadChatHistory = useCallback(async () => {
+  const createConversation = async () => {
+    if (isGuestMode) {
+      return guestService.createConversation(DEFAULT_CONVERSATION_TITLE);
+    }
+    const response = await chatAPI.createConversation(DEFAULT_CONVERSATION_TITLE);
+    return response.conversation;
+  };
+
+  const loadConversations = useCallback(async () => {
     try {
+      let loaded;
       if (isGuestMode) {
-        const guestHistory = guestService.getChatHistory();
-        const convertedMessages = guestHistory.map(msg => ({
-          id: parseInt(msg.id),
-          user_id: -1,
-          message: msg.message,
-          response: msg.response,
-          context_documents: msg.context_documents,
-          created_at: msg.created_at,
-        }));
-        setMessages(convertedMessages);
+        loaded = await guestService.getConversations();
       } else {
-        const response = await chatAPI.getChatHistory();
-        setMessages(response.history); 
+        const response = await chatAPI.getConversations();
+        loaded = response.conversations;
+      }
+
+      if (loaded.length === 0) {
+        loaded = [isGuestMode
+          ? await guestService.createConversation(DEFAULT_CONVERSATION_TITLE)
+          : (await chatAPI.createConversation(DEFAULT_CONVERSATION_TITLE)).conversation];
       }
+
+      setConversations(loaded);
+      setActiveConversationId(loaded[0].id);
+      setContextMode(loaded[0].context_mode || 'none');
+      setSelectedDocuments(loaded[0].selected_documents || []);
+      setActiveCollectionId(loaded[0].collection_id ?? null);
     } catch (error) {
-      console.error('Error loading chat history:', error);
+      console.error('Error loading conversations:', error);
     }
   }, [isGuestMode]);
 
+  const updateConversation = async (conversationId, updates) => {
+    setConversations(prev => prev.map(conv => (
+      conv.id === conversationId ? { ...conv, ...updates } : conv
+    )));
+
+    try {
+      if (isGuestMode) {
+        await guestService.updateConversation(conversationId, updates);
+      } else {
+        await chatAPI.updateConversation(conversationId, updates);
+      }
+    } catch (error) {
+      console.error('Error updating conversation:', error);
+    }
+  };
+
   const loadDocuments = useCallback(async () => {
     try {
       if (isGuestMode) {
-        const guestDocs = guestService.getDocuments();
+        const guestDocs = await guestService.getDocuments();
         const convertedDocs = guestDocs.map(doc => ({
           id: parseInt(doc.id),
           filename: doc.filename,
           file_type: doc.file_type,
           created_at: doc.created_at,
           content_length: doc.content.length,
+          tags: doc.tags || [],
         }));
         setDocuments(convertedDocs);
       } else {
@@ -81,145 +144,217 @@ const DashboardPage = () => {
   }, [isGuestMode]);
 
   useEffect(() => {
-    loadChatHistory();
+    loadConversations();
     loadDocuments();
-  }, [loadChatHistory, loadDocuments]);
+    loadCollections();
+  }, [loadConversations, loadDocuments, loadCollections]);
 
-  useEffect(() => {
-    messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
-  }, [messages]);
+  const activeCollection = collections.find(collection => String(collection.id) === String(activeCollectionId));
+  const collectionDocumentIds = resolveCollection(activeCollection, documents);
+  // The documents sent as context, unless there are none or all are used.
+  const contextDocumentIds = contextMode === 'selected'
+    ? selectedDocuments
+    : contextMode === 'collection' ? collectionDocumentIds : undefined;
+  const isContextMissing = (contextMode === 'selected' || contextMode === 'collection') && contextDocumentIds.length === 0;
+
+  const chat = useChat({
+    isGuestMode,
+    user,
+    conversationId: activeConversationId,
+    context: { documentIds: contextDocumentIds, useAll: contextMode === 'all' },
+    onError: setErrorMessage,
+    onQuestionReturned: setInputMessage,
+    // Name untitled conversations after their first question.
+    onFirstAnswer: (conversationId, question) => {
+      const conversation = conversations.find(conv => conv.id === conversationId);
+      if (conversation?.title !== DEFAULT_CONVERSATION_TITLE) return;
+      const title = question.length > 40 ? `${question.slice(0, 40)}…` : question;
+      updateConversation(conversationId, { title });
+    },
+    onBranched: (branch) => {
+      setConversations(prev => [branch, ...prev]);
+      openConversation(branch);
+    },
+  });
+  const { messages, setMessages, isLoading, nextMemory } = chat;
+  const { messagesEndRef, focusedMessageId, focusMessage } = useMessageScroll(messages);
+
+  const contextDocuments = contextMode === 'all'
+    ? documents
+    : documents.filter(doc => contextDocumentIds?.includes(doc.id));
+  const { contextEstimate, isTrimming, trimContext } = useContextBudget({
+    isGuestMode,
+    contextDocuments,
+    question: inputMessage,
+    memoryTokens: nextMemory?.tokens,
+    // The trimmed context becomes a selection the user can still adjust.
+    onTrimmed: (kept) => {
+      setContextMode('selected');
+      setSelectedDocuments(kept);
+      updateConversation(activeConversationId, { context_mode: 'selected', selected_documents: kept });
+    },
+    onError: setErrorMessage,
+  });
 
   const handleSendMessage = async (e) => {
     e.preventDefault();
-    if (!inputMessage.trim() || isLoading) return;
+    if (!inputMessage.trim() || isLoading || contextEstimate.status === 'over') return;
 
     const userMessage = inputMessage;
     setInputMessage('');
-    setIsLoading(true);
+    await chat.ask(userMessage);
+  };
+
+  const handleEditAndResend = (message, question, mode) => {
+    if (isLoading) return;
+    setEditingMessageId(null);
+    chat.editAndResend(message, question, mode);
+  };
+
+  const confirmDeleteTurn = async () => {
+    if (!turnToDelete) return;
+    await chat.deleteTurn(turnToDelete);
+    setTurnToDelete(null);
+  };
+
+  // Uploads one file from the queue: guests keep the extracted text locally, signed-in
+  // users send the file to the server.
+  const uploadFile = useCallback(async (file, { signal, onProgress }) => {
+    if (isGuestMode) {
+      const extractedText = await guestService.extractTextFromFile(file, { signal, onProgress });
+      await guestService.saveDocument({
+        filename: file.name,
+        content: extractedText,
+        file_type: file.type || 'unknown',
+        original: file.type.startsWith('image/') ? file : undefined,
+      });
+    } else {
+      await documentAPI.upload(file, { signal, onProgress });
+    }
+  }, [isGuestMode]);
 
-    const newUserMessage = {
+  const handleFileUploaded = useCallback((file) => {
+    loadDocuments();
+
+    const systemMessage = {
       id: Date.now(),
-      user_id: user?.id || 0,
-      message: userMessage,
-      response: '',
+      user_id: isGuestMode ? -1 : user?.id || 0,
+      message: `Uploaded document: ${file.name}`,
+      response: `Successfully uploaded "${file.name}". You can now ask questions about this document.`,
       created_at: new Date().toISOString(),
+      notice: true,
     };
 
-    setMessages(prev => [...prev, newUserMessage]);
+    setMessages(prev => [...prev, systemMessage]);
+  }, [isGuestMode, loadDocuments, setMessages, user]);
+
+  const uploadQueue = useUploadQueue({ uploadFile, onUploaded: handleFileUploaded });
+  const { isDraggingFiles, dropHandlers } = useFileDrop({
+    onFiles: uploadQueue.addFiles,
+    onError: () => setErrorMessage('Some of the dropped files could not be read.'),
+  });
+
+  const handleLogout = () => {
+    discardDraft();
+    logout();
+  };
+
+  const closeGuestImport = useCallback(() => setShowGuestImport(false), []);
 
+  // Opens the cited document with the cited passage highlighted.
+  const openCitation = useCallback((citation) => {
+    openDocument(citation.documentId, { start: citation.start, end: citation.end });
+  }, [openDocument]);
+
+  const handleGuestImported = () => {
+    loadConversations();
+    loadDocuments();
+    loadCollections();
+  };
+
+  const handleDocumentSelect = (documentId) => {
+    const nextSelected = selectedDocuments.includes(documentId)
+      ? selectedDocuments.filter(id => id !== documentId)
+      : [...selectedDocuments, documentId];
+
+    setSelectedDocuments(nextSelected);
+    updateConversation(activeConversationId, { selected_documents: nextSelected });
+  };
+
+  const handleCreateConversation = async () => {
     try {
-      if (isGuestMode) {
-        const useSelectedDocs = contextMode === 'selected' ? selectedDocuments.map(id => id.toString()) : undefined;
-        const useAllDocs = contextMode === 'all';
-        
-        const response = await guestService.generateAIResponse(userMessage, useSelectedDocs, useAllDocs);
-        
-        const guestMessage = guestService.saveChatMessage({
-          message: userMessage,
-          response: response.response,
-          context_documents: response.context_sources.length > 0 ? JSON.stringify(response.context_sources) : undefined,
-        });
-
-        const assistantMessage = {
-          id: parseInt(guestMessage.id),
-          user_id: -1,
-          message: userMessage,
-          response: response.response,
-          context_documents: guestMessage.context_documents,
-          created_at: guestMessage.created_at,
-        };
-
-        setMessages(prev => [...prev.slice(0, -1), assistantMessage]);
-      } else {
-        const useSelectedDocs = contextMode === 'selected' ? selectedDocuments : undefined;
-        const useAllDocs = contextMode === 'all';
-        
-        const response = await chatAPI.sendMessage(userMessage, useSelectedDocs, useAllDocs);
-        
-        const assistantMessage = {
-          id: Date.now() + 1,
-          user_id: user?.id || 0,
-          message: userMessage,
-          response: response.response,
-          context_documents: JSON.stringify(response.context_sources),
-          created_at: new Date().toISOString(),
-        };
-
-        setMessages(prev => [...prev.slice(0, -1), assistantMessage]);
-      }
+      const conversation = await createConversation();
+      setConversations(prev => [conversation, ...prev]);
+      openConversation(conversation);
     } catch (error) {
-      console.error('Error sending message:', error);
-      setMessages(prev => [...prev.slice(0, -1), {
-        ...newUserMessage,
-        response: 'Sorry, I encountered an error. Please try again.',
-      }]);
-    } finally {
-      setIsLoading(false);
+      console.error('Error creating conversation:', error);
+    }
+  };
+
+  // Jumps to a search result: the message in its conversation, or the passage in its document.
+  const handleOpenSearchResult = (result) => {
+    closeSearch();
+    if (result.type === 'document') {
+      openDocument(result.document_id, { start: result.start, end: result.end });
+      return;
+    }
+
+    const conversation = conversations.find(conv => String(conv.id) === String(result.conversation_id));
+    if (!conversation) return;
+    if (conversation.id !== activeConversationId && !isLoading) {
+      openConversation(conversation);
     }
+    // Guest message IDs are shown as numbers.
+    focusMessage(isGuestMode ? parseInt(result.message_id) : result.message_id);
+    setSidebarOpen(false);
+  };
+
+  const handleSelectConversation = (conversationId) => {
+    if (conversationId === activeConversationId || isLoading) return;
+    const conversation = conversations.find(conv => conv.id === conversationId);
+    if (conversation) {
+      openConversation(conversation);
+      setSidebarOpen(false);
+    }
+  };
+
+  const handleRenameConversation = (conversationId, title) => {
+    updateConversation(conversationId, { title });
   };
 
-  const handleFileUpload = async (e) => {
-    const file = e.target.files?.[0];
-    if (!file) return;
+  const handleConversationImported = (conversation) => {
+    setConversations(prev => [conversation, ...prev]);
+    openConversation(conversation);
+  };
 
-    setIsUploading(true);
+  const confirmDeleteConversation = async () => {
+    if (!conversationToDelete) return;
 
     try {
       if (isGuestMode) {
-        const extractedText = await guestService.extractTextFromFile(file);
-        
-        guestService.saveDocument({
-          filename: file.name,
-          content: extractedText,
-          file_type: file.type || 'unknown',
-        });
+        await guestService.deleteConversation(conversationToDelete);
+      } else {
+        await chatAPI.deleteConversation(conversationToDelete);
+      }
 
-        loadDocuments();
-        
-        const systemMessage = {
-          id: Date.now(),
-          user_id: -1,
-          message: `Uploaded document: ${file.name}`,
-          response: `Successfully uploaded "${file.name}". You can now ask questions about this document.`,
-          created_at: new Date().toISOString(),
-        };
-        
-        setMessages(prev => [...prev, systemMessage]);
+      const remaining = conversations.filter(conv => conv.id !== conversationToDelete);
+      if (remaining.length === 0) {
+        const conversation = await createConversation();
+        setConversations([conversation]);
+        openConversation(conversation);
       } else {
-        await documentAPI.upload(file);
-        loadDocuments();
-        
-        const systemMessage = {
-          id: Date.now(),
-          user_id: user?.id || 0,
-          message: `Uploaded document: ${file.name}`,
-          response: `Successfully uploaded "${file.name}". You can now ask questions about this document.`,
-          created_at: new Date().toISOString(),
-        };
-        
-        setMessages(prev => [...prev, systemMessage]);
+        setConversations(remaining);
+        if (conversationToDelete === activeConversationId) {
+          openConversation(remaining[0]);
+        }
       }
     } catch (error) {
-      console.error('Error uploading file:', error);
+      console.error('Error deleting conversation:', error);
     } finally {
-      setIsUploading(false);
+      setConversationToDelete(null);
     }
   };
 
-  const handleLogout = () => {
-    logout();
-  };
-
-  const handleDocumentSelect = (documentId) => {
-    setSelectedDocuments(prev => {
-      if (prev.includes(documentId)) {
-        return prev.filter(id => id !== documentId);
-      } else {
-        return [...prev, documentId];
-      }
-    });
-  };
-
   const handleDeleteDocument = (documentId) => {
     setDocumentToDelete(documentId);
     setIsModalOpen(true);
@@ -230,7 +365,7 @@ const DashboardPage = () => {
 
     try {
       if (isGuestMode) {
-        const success = guestService.deleteDocument(documentToDelete.toString());
+        const success = await guestService.deleteDocument(documentToDelete.toString());
         if (success) {
           setDocuments(prev => prev.filter(doc => doc.id !== documentToDelete));
           setSelectedDocuments(prev => prev.filter(id => id !== documentToDelete));
@@ -240,6 +375,7 @@ const DashboardPage = () => {
         setDocuments(prev => prev.filter(doc => doc.id !== documentToDelete));
         setSelectedDocuments(prev => prev.filter(id => id !== documentToDelete));
       }
+      forgetDocument(documentToDelete);
     } catch (error) {
       console.error('Error deleting document:', error);
     } finally {
@@ -248,15 +384,44 @@ const DashboardPage = () => {
     }
   };
 
+  // The selection and collection are kept when switching modes, so switching back restores them.
   const handleContextModeChange = (mode) => {
     setContextMode(mode);
-    if (mode === 'none' || mode === 'all') {
-      setSelectedDocuments([]);
+    const updates = { context_mode: mode };
+    if (mode === 'collection' && activeCollectionId === null && collections.length > 0) {
+      setActiveCollectionId(collections[0].id);
+      updates.collection_id = collections[0].id;
+    }
+    updateConversation(activeConversationId, updates);
+  };
+
+  const handleCollectionSelect = (collectionId) => {
+    setActiveCollectionId(collectionId);
+    updateConversation(activeConversationId, { collection_id: collectionId });
+  };
+
+  const handleSaveDocumentTags = async (documentId, tags) => {
+    try {
+      const updated = isGuestMode
+        ? await guestService.updateDocument(documentId.toString(), { tags })
+        : (await documentAPI.updateDocument(documentId, { tags })).document;
+      if (!updated) return;
+      setDocuments(prev => prev.map(doc => (doc.id === documentId ? { ...doc, tags: updated.tags } : doc)));
+    } catch (error) {
+      console.error('Error saving tags:', error);
+      setErrorMessage('The tags could not be saved. Please try again.');
+    }
+  };
+
+  const handleDeleteCollection = async (collectionId) => {
+    if (await deleteCollection(collectionId) && activeCollectionId === collectionId) {
+      handleCollectionSelect(null);
     }
   };
 
   return (
-    <div className="flex h-screen bg-gray-100">
+    <div className="flex h-screen bg-gray-100" {...dropHandlers}>
+      <FileDropOverlay isVisible={isDraggingFiles} />
       {/* Sidebar */}
       <div className={`${sidebarOpen ? 'translate-x-0' : '-translate-x-full'} fixed inset-y-0 left-0 z-50 w-64 bg-white shadow-lg transform transition-transform duration-300 ease-in-out lg:translate-x-0 lg:static lg:inset-0 flex flex-col`}>
         {/* Sidebar Header */}
@@ -280,81 +445,41 @@ const DashboardPage = () => {
         {/* Scrollable content area */}
         <div className="flex-1 overflow-y-auto p-4">
           {isGuestMode && (
-            <div className="mb-4 p-3 bg-amber-50 border border-amber-200 rounded-lg">
-              <div className="flex items-center mb-2">
-                <svg className="w-4 h-4 text-amber-600 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M13 16h-1v-4h-1m1-4h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z" />
-                </svg>
-                <span className="text-sm font-medium text-amber-800">Guest Mode Active</span>
-              </div>
-              <p className="text-xs text-amber-700">
-                Full functionality available! Your data is stored locally and will be cleared when you close the browser. 
-                <span className="block mt-1 font-medium">Register for permanent storage across devices!</span>
-              </p>
-            </div>
+            <GuestSidebar
+              retention={guestRetention}
+              onRetentionChange={changeGuestRetention}
+              refreshKey={`${documents.length}-${messages.length}`}
+              onDeleteDocument={handleDeleteDocument}
+              onMessagesPruned={chat.loadChatHistory}
+            />
           )}
 
-          <div className="mb-4">
-            <label htmlFor="file-upload" className="btn-primary block text-center cursor-pointer">
-              {isUploading ? 'Uploading...' : 'Upload Document'}
-            </label>
-            <input
-              id="file-upload"
-              type="file"
-              className="hidden"
-              accept=".pdf,.doc,.docx,.txt,.md,.csv,.jpg,.jpeg,.png,.gif,.bmp,.webp,.tiff"
-              onChange={handleFileUpload}
-              disabled={isUploading}
-            />
-          </div>
+          <ConversationList
+            conversations={conversations}
+            activeConversationId={activeConversationId}
+            onSelect={handleSelectConversation}
+            onCreate={handleCreateConversation}
+            onRename={handleRenameConversation}
+            onDelete={setConversationToDelete}
+            isGuestMode={isGuestMode}
+            documents={documents}
+            onImported={handleConversationImported}
+            onImportError={setErrorMessage}
+          />
+
+          <DocumentUploader queue={uploadQueue} />
+
+          <ContextModePicker
+            contextMode={contextMode}
+            onModeChange={handleContextModeChange}
+            selectedCount={selectedDocuments.length}
+            collections={collections}
+            activeCollection={activeCollection}
+            collectionDocumentCount={collectionDocumentIds.length}
+            onCollectionSelect={handleCollectionSelect}
+            onManageCollections={() => setIsCollectionsOpen(true)}
+          />
 
-          <div className="mb-4">
-            <h3 className="text-sm font-medium text-gray-700 mb-2">Context Mode</h3>
-            <div className="space-y-2">
-              <label className="flex items-center">
-                <input
-                  type="radio"
-                  name="contextMode"
-                  value="none"
-                  checked={contextMode === 'none'}
-                  onChange={() => handleContextModeChange('none')}
-                  className="mr-2"
-                />
-                <span className="text-sm">No context (General AI)</span>
-              </label>
-              
-              <label className="flex items-center">
-                <input
-                  type="radio"
-                  name="contextMode"
-                  value="selected"
-                  checked={contextMode === 'selected'}
-                  onChange={() => handleContextModeChange('selected')}
-                  className="mr-2"
-                />
-                <span className="text-sm">Selected documents</span>
-              </label>
-              
-              <label className="flex items-center">
-                <input
-                  type="radio"
-                  name="contextMode"
-                  value="all"
-                  checked={contextMode === 'all'}
-                  onChange={() => handleContextModeChange('all')}
-                  className="mr-2"
-                />
-                <span className="text-sm">All documents</span>
-              </label>
-            </div>
-            
-            {contextMode === 'selected' && (
-              <div className="mt-2 text-xs text-blue-600">
-                {selectedDocuments.length} document(s) selected
-              </div>
-            )}
-          </div>
-          
           <div className="mb-4">
             <h3 className="text-sm font-medium text-gray-700 mb-2">
               Your Documents ({documents.length})
@@ -365,7 +490,7 @@ const DashboardPage = () => {
               ) : (
                 documents.map((doc) => (
                   <div key={doc.id} className={`text-sm p-3 border rounded-lg transition-colors ${
-                    selectedDocuments.includes(doc.id) && contextMode === 'selected'
+                    (contextMode === 'selected' || contextMode === 'collection') && contextDocumentIds.includes(doc.id)
                       ? 'bg-blue-50 border-blue-200' 
                       : 'bg-gray-50 border-gray-200 hover:bg-gray-100'
                   }`}>
@@ -380,7 +505,13 @@ const DashboardPage = () => {
                               className="mr-2 mt-0.5"
                             />
                           )}
-                          <div className="font-medium text-gray-900 truncate">{doc.filename}</div>
+                          <button
+                            onClick={() => openDocument(doc.id)}
+                            className="font-medium text-gray-900 truncate text-left hover:text-primary-600 hover:underline"
+                            title="View extracted text"
+                          >
+                            {doc.filename}
+                          </button>
                         </div>
                         <div className="text-xs text-gray-500 space-y-1">
                           <div>{new Date(doc.created_at).toLocaleDateString()}</div>
@@ -388,6 +519,7 @@ const DashboardPage = () => {
                             <div>{doc.content_length.toLocaleString()} characters</div>
                           )}
                         </div>
+                        <TagEditor tags={doc.tags || []} onSave={(tags) => handleSaveDocumentTags(doc.id, tags)} />
                       </div>
                       
                       <button
@@ -413,7 +545,7 @@ const DashboardPage = () => {
             <div className="space-y-3">
               <button
                 onClick={() => {
-                  logout();
+                  leaveGuestMode();
                   navigate('/register');
                 }}
                 className="w-full btn-primary text-center"
@@ -422,7 +554,7 @@ const DashboardPage = () => {
               </button>
               <button
                 onClick={() => {
-                  logout();
+                  leaveGuestMode();
                   navigate('/login');
                 }}
                 className="w-full btn-secondary text-center"
@@ -446,6 +578,12 @@ const DashboardPage = () => {
                 </div>
                 <span className="text-sm font-medium text-gray-700">{user?.full_name}</span>
               </div>
+              <button
+                onClick={() => navigate('/settings')}
+                className="w-full mb-2 text-sm text-gray-600 hover:text-gray-800 text-left"
+              >
+                Account settings
+              </button>
               <button
                 onClick={handleLogout}
                 className="w-full btn-secondary text-left"
@@ -459,6 +597,7 @@ const DashboardPage = () => {
 
       {/* Main Content */}
       <div className="flex-1 flex flex-col">
+        {isGuestMode && <GuestExpiryNotice retention={guestRetention} onClear={handleLogout} />}
         {/* Header */}
         <header className="bg-white shadow-sm border-b h-16 flex items-center px-4">
           <button
@@ -469,38 +608,91 @@ const DashboardPage = () => {
               <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 6h16M4 12h16M4 18h16" />
             </svg>
           </button>
-          <h1 className="text-xl font-semibold text-gray-800">AI Assistant</h1>
+          <h1 className="text-xl font-semibold text-gray-800 truncate">
+            {conversations.find(conv => conv.id === activeConversationId)?.title || 'AI Assistant'}
+          </h1>
+          <button
+            onClick={openSearch}
+            className="ml-auto mr-2 flex items-center text-sm text-gray-500 hover:text-gray-700"
+            title="Search conversations and documents (Ctrl+K)"
+          >
+            <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M21 21l-4.35-4.35M10.5 18a7.5 7.5 0 100-15 7.5 7.5 0 000 15z" />
+            </svg>
+            <span className="hidden sm:inline ml-1">Search</span>
+          </button>
+          <ConversationExportMenu
+            conversation={conversations.find(conv => conv.id === activeConversationId)}
+            isGuestMode={isGuestMode}
+            onError={setErrorMessage}
+          />
         </header>
 
         {/* Chat Messages */}
         <div className="flex-1 overflow-y-auto p-4 space-y-4">
+          {errorMessage && (
+            <div className="flex items-start justify-between bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg text-sm">
+              <span>{errorMessage}</span>
+              <button
+                onClick={() => setErrorMessage('')}
+                className="ml-4 text-red-400 hover:text-red-600"
+                title="Dismiss"
+              >
+                <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                </svg>
+              </button>
+            </div>
+          )}
+
           {messages.length === 0 ? (
             <div className="text-center text-gray-500 mt-8">
               <p>Welcome! Upload a document and start chatting.</p>
             </div>
           ) : (
             messages.map((message) => (
-              <div key={message.id} className="space-y-2">
+              <div
+                key={message.id}
+                id={`message-${message.id}`}
+                className={`space-y-2 rounded-lg transition-shadow ${message.id === focusedMessageId ? 'ring-2 ring-yellow-300 ring-offset-4' : ''}`}
+              >
                 {/* User Message */}
                 <div className="flex justify-end">
-                  <div className="chat-message user max-w-xs sm:max-w-sm md:max-w-md lg:max-w-lg xl:max-w-xl">
-                    <p className="text-sm text-gray-800 break-words">{message.message}</p>
-                  </div>
+                  {editingMessageId === message.id ? (
+                    <QuestionEditor
+                      question={message.message}
+                      onSubmit={(question, mode) => handleEditAndResend(message, question, mode)}
+                      onCancel={() => setEditingMessageId(null)}
+                    />
+                  ) : (
+                    <div className="chat-message user max-w-xs sm:max-w-sm md:max-w-md lg:max-w-lg xl:max-w-xl">
+                      <p className="text-sm text-gray-800 break-words">{message.message}</p>
+                    </div>
+                  )}
                 </div>
                 
                 {/* Assistant Response */}
-                {message.response && (
+                {message.response ? (
+                  <div className="flex flex-col items-start space-y-1">
+                    <div className="chat-message assistant max-w-xs sm:max-w-sm md:max-w-md lg:max-w-lg xl:max-w-xl">
+                      <AnswerWithCitations message={message} onOpenCitation={openCitation} />
+                    </div>
+                    <MessageActions
+                      message={message}
+                      disabled={isLoading}
+                      onRegenerate={() => chat.regenerate(message)}
+                      onEdit={() => setEditingMessageId(message.id)}
+                      onDelete={() => setTurnToDelete(message)}
+                      onDismiss={() => setMessages(prev => prev.filter(msg => msg.id !== message.id))}
+                    />
+                  </div>
+                ) : isLoading && (
                   <div className="flex justify-start">
                     <div className="chat-message assistant max-w-xs sm:max-w-sm md:max-w-md lg:max-w-lg xl:max-w-xl">
-                      {/* Context indicator */}
-                      {message.context_documents && JSON.parse(message.context_documents).length > 0 && (
-                        <div className="mb-2 text-xs text-blue-600 bg-blue-50 px-2 py-1 rounded break-all">
-                          📄 Using context from: {
-                            JSON.parse(message.context_documents).map((doc) => doc.filename).join(', ')
-                          }
-                        </div>
-                      )}
-                      <MarkdownRenderer text={message.response} />
+                      <div className="flex items-center space-x-2">
+                        <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-primary-600"></div>
+                        <span className="text-sm text-gray-600">Thinking...</span>
+                      </div>
                     </div>
                   </div>
                 )}
@@ -508,35 +700,33 @@ const DashboardPage = () => {
             ))
           )}
           
-          {isLoading && (
-            <div className="flex justify-start">
-              <div className="chat-message assistant max-w-xs sm:max-w-sm md:max-w-md lg:max-w-lg xl:max-w-xl">
-                <div className="flex items-center space-x-2">
-                  <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-primary-600"></div>
-                  <span className="text-sm text-gray-600">Thinking...</span>
-                </div>
-              </div>
-            </div>
-          )}
-          
           <div ref={messagesEndRef} />
         </div>
 
         {/* Message Input */}
         <div className="bg-white border-t p-4">
           {/* Context status indicator */}
-          {(contextMode === 'selected' && selectedDocuments.length > 0) || contextMode === 'all' ? (
+          {contextMode === 'all' || (contextMode !== 'none' && !isContextMissing) ? (
             <div className="mb-3 text-xs text-blue-600 bg-blue-50 px-3 py-2 rounded-lg">
               💬 Context: {
                 contextMode === 'all' 
                   ? `Using all ${documents.length} document(s) as context`
-                  : `Using ${selectedDocuments.length} selected document(s) as context`
+                  : contextMode === 'collection'
+                    ? `Using ${collectionDocumentIds.length} document(s) from "${activeCollection.name}" as context`
+                    : `Using ${selectedDocuments.length} selected document(s) as context`
               }
+              <span className="text-blue-400"> · ~{formatTokens(contextEstimate.total)} of {formatTokens(contextEstimate.limit)} tokens</span>
             </div>
-          ) : contextMode === 'selected' && selectedDocuments.length === 0 ? (
+          ) : contextMode === 'selected' ? (
             <div className="mb-3 text-xs text-amber-600 bg-amber-50 px-3 py-2 rounded-lg">
               ⚠️ No documents selected. Select documents in the sidebar or switch to "All documents" mode.
             </div>
+          ) : contextMode === 'collection' ? (
+            <div className="mb-3 text-xs text-amber-600 bg-amber-50 px-3 py-2 rounded-lg">
+              ⚠️ {activeCollection
+                ? `"${activeCollection.name}" has no documents. Add documents or tags to it in the sidebar.`
+                : 'No collection chosen. Choose or create one in the sidebar.'}
+            </div>
           ) : (
             <div className="mb-3 text-xs text-gray-500 bg-gray-50 px-3 py-2 rounded-lg flex items-center">
               <img src="/ailogo.svg" alt="AI mode" className="w-4 h-4 mr-2" />
@@ -544,6 +734,16 @@ const DashboardPage = () => {
             </div>
           )}
           
+          {contextDocuments.length > 0 && (
+            <ContextBudgetWarning
+              estimate={contextEstimate}
+              onTrim={trimContext}
+              isTrimming={isTrimming}
+              disabled={isLoading}
+            />
+          )}
+
+          {messages.length > 0 && <ChatMemoryStatus memory={nextMemory} />}
           <form onSubmit={handleSendMessage} className="flex space-x-2">
             <input
               type="text"
@@ -557,13 +757,23 @@ const DashboardPage = () => {
               className="flex-1 input-field"
               disabled={isLoading}
             />
-            <button
-              type="submit"
-              disabled={isLoading || !inputMessage.trim() || (contextMode === 'selected' && selectedDocuments.length === 0)}
-              className="btn-primary disabled:opacity-50"
-            >
-              Send
-            </button>
+            {isLoading ? (
+              <button
+                type="button"
+                onClick={chat.stop}
+                className="btn-secondary"
+              >
+                Stop
+              </button>
+            ) : (
+              <button
+                type="submit"
+                disabled={!inputMessage.trim() || isContextMissing || contextEstimate.status === 'over'}
+                className="btn-primary disabled:opacity-50"
+              >
+                Send
+              </button>
+            )}
           </form>
         </div>
       </div>
@@ -574,6 +784,45 @@ const DashboardPage = () => {
         title="Delete Document"
         message="Are you sure you want to permanently delete this document? This action cannot be undone."
       />
+      <ConfirmationModal
+        isOpen={turnToDelete !== null}
+        onClose={() => setTurnToDelete(null)}
+        onConfirm={confirmDeleteTurn}
+        title="Delete Message"
+        message="Are you sure you want to permanently delete this question and its answer? This action cannot be undone."
+      />
+      <ConfirmationModal
+        isOpen={conversationToDelete !== null}
+        onClose={() => setConversationToDelete(null)}
+        onConfirm={confirmDeleteConversation}
+        title="Delete Conversation"
+        message="Are you sure you want to permanently delete this conversation and all of its messages? This action cannot be undone."
+      />
+      <CollectionsModal
+        isOpen={isCollectionsOpen}
+        collections={collections}
+        documents={documents}
+        onSave={saveCollection}
+        onDelete={handleDeleteCollection}
+        onClose={() => setIsCollectionsOpen(false)}
+      />
+      <SearchPanel
+        isOpen={isSearchOpen}
+        isGuestMode={isGuestMode}
+        onClose={closeSearch}
+        onOpenResult={handleOpenSearchResult}
+      />
+      <DocumentViewer
+        documentId={viewedDocument?.id ?? null}
+        highlight={viewedDocument?.highlight}
+        isGuestMode={isGuestMode}
+        onClose={closeDocument}
+      />
+      <GuestImportModal
+        isOpen={showGuestImport}
+        onClose={closeGuestImport}
+        onImported={handleGuestImported}
+      />
     </div>
   );
 };
@@ -1,6 +1,10 @@
 import React, { useState } from 'react';
-import { Link, useNavigate } from 'react-router-dom';
+import { Link, useLocation, useNavigate } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
+import TwoFactorChallenge from '../components/TwoFactorChallenge';
+import config from '../services/config';
+import { beginOidcLogin } from '../services/oidc';
+import { getReturnPath } from '../utils/returnPath';
 
 const LoginPage = () => {
   const [email, setEmail] = useState('');
@@ -8,8 +12,9 @@ const LoginPage = () => {
   const [error, setError] = useState('');
   const [isLoading, setIsLoading] = useState(false);
   
-  const { login, enterGuestMode } = useAuth();
+  const { login, twoFactorChallenge, enterGuestMode, sessionExpired } = useAuth();
   const navigate = useNavigate();
+  const location = useLocation();
 
   const handleSubmit = async (e) => {
     e.preventDefault();
@@ -17,8 +22,8 @@ const LoginPage = () => {
     setIsLoading(true);
 
     try {
-      await login(email, password);
-      navigate('/dashboard');
+      const { twoFactorRequired } = await login(email, password);
+      if (!twoFactorRequired) navigate(getReturnPath(location), { replace: true });
     } catch (err) {
       setError(err.response?.data?.detail || 'Login failed');
     } finally {
@@ -26,6 +31,23 @@ const LoginPage = () => {
     }
   };
 
+  const handleProviderLogin = async (provider) => {
+    setError('');
+    setIsLoading(true);
+    try {
+      await beginOidcLogin(provider, getReturnPath(location));
+    } catch (err) {
+      console.error('Error starting provider login:', err);
+      setError(`Sign-in with ${provider.name} could not be started`);
+      setIsLoading(false);
+    }
+  };
+
+  // After a recovery code, the settings page shows how many are left.
+  const handleTwoFactorSignedIn = ({ usedRecoveryCode }) => {
+    navigate(usedRecoveryCode ? '/settings' : getReturnPath(location), { replace: true });
+  };
+
   const handleGuestMode = () => {
     enterGuestMode();
     navigate('/dashboard');
@@ -48,87 +70,122 @@ const LoginPage = () => {
             </Link>
           </p>
         </div>
-        <form className="mt-8 space-y-6" onSubmit={handleSubmit}>
-          <div className="space-y-4">
-            <div>
-              <label htmlFor="email" className="block text-sm font-medium text-gray-700">
-                Email address
-              </label>
-              <input
-                id="email"
-                name="email"
-                type="email"
-                autoComplete="email"
-                required
-                className="input-field mt-1"
-                placeholder="Enter your email"
-                value={email}
-                onChange={(e) => setEmail(e.target.value)}
-              />
-            </div>
-            <div>
-              <label htmlFor="password" className="block text-sm font-medium text-gray-700">
-                Password
-              </label>
-              <input
-                id="password"
-                name="password"
-                type="password"
-                autoComplete="current-password"
-                required
-                className="input-field mt-1"
-                placeholder="Enter your password"
-                value={password}
-                onChange={(e) => setPassword(e.target.value)}
-              />
-            </div>
+        {location.state?.notice && (
+          <div className="bg-green-50 border border-green-200 text-green-800 px-4 py-3 rounded-lg text-center text-sm">
+            {location.state.notice}
           </div>
-
-          {error && (
-            <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg text-center">
-              {error}
+        )}
+        {sessionExpired && (
+          <div className="bg-amber-50 border border-amber-200 text-amber-800 px-4 py-3 rounded-lg text-center text-sm">
+            Your session has expired. Sign in again to pick up where you left off.
+          </div>
+        )}
+        {twoFactorChallenge ? (
+          <TwoFactorChallenge onSignedIn={handleTwoFactorSignedIn} />
+        ) : (
+          <form className="mt-8 space-y-6" onSubmit={handleSubmit}>
+            <div className="space-y-4">
+              <div>
+                <label htmlFor="email" className="block text-sm font-medium text-gray-700">
+                  Email address
+                </label>
+                <input
+                  id="email"
+                  name="email"
+                  type="email"
+                  autoComplete="email"
+                  required
+                  className="input-field mt-1"
+                  placeholder="Enter your email"
+                  value={email}
+                  onChange={(e) => setEmail(e.target.value)}
+                />
+              </div>
+              <div>
+                <div className="flex items-center justify-between">
+                  <label htmlFor="password" className="block text-sm font-medium text-gray-700">
+                    Password
+                  </label>
+                  <Link to="/forgot-password" className="text-sm text-primary-600 hover:text-primary-500">
+                    Forgot your password?
+                  </Link>
+                </div>
+                <input
+                  id="password"
+                  name="password"
+                  type="password"
+                  autoComplete="current-password"
+                  required
+                  className="input-field mt-1"
+                  placeholder="Enter your password"
+                  value={password}
+                  onChange={(e) => setPassword(e.target.value)}
+                />
+              </div>
             </div>
-          )}
 
-          <div>
-            <button
-              type="submit"
-              disabled={isLoading}
-              className="btn-primary w-full flex justify-center py-2 px-4 disabled:opacity-50"
-            >
-              {isLoading ? 'Signing in...' : 'Sign in'}
-            </button>
-          </div>
+            {error && (
+              <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg text-center">
+                {error}
+              </div>
+            )}
+
+            <div>
+              <button
+                type="submit"
+                disabled={isLoading}
+                className="btn-primary w-full flex justify-center py-2 px-4 disabled:opacity-50"
+              >
+                {isLoading ? 'Signing in...' : 'Sign in'}
+              </button>
+            </div>
 
-          <div className="text-center">
-            <div className="relative">
-              <div className="absolute inset-0 flex items-center">
-                <div className="w-full border-t border-gray-300" />
+            {config.oidcProviders.length > 0 && (
+              <div className="space-y-2">
+                {config.oidcProviders.map(provider => (
+                  <button
+                    key={provider.id}
+                    type="button"
+                    onClick={() => handleProviderLogin(provider)}
+                    disabled={isLoading}
+                    className="w-full flex justify-center py-2 px-4 border border-gray-300 rounded-md shadow-sm bg-white text-sm font-medium text-gray-700 hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500 disabled:opacity-50"
+                  >
+                    Sign in with {provider.name}
+                  </button>
+                ))}
               </div>
-              <div className="relative flex justify-center text-sm">
-                <span className="px-2 bg-gray-50 text-gray-500">Or</span>
+            )}
+
+            <div className="text-center">
+              <div className="relative">
+                <div className="absolute inset-0 flex items-center">
+                  <div className="w-full border-t border-gray-300" />
+                </div>
+                <div className="relative flex justify-center text-sm">
+                  <span className="px-2 bg-gray-50 text-gray-500">Or</span>
+                </div>
               </div>
             </div>
-          </div>
 
-          <div>
-            <button
-              type="button"
-              onClick={handleGuestMode}
-              className="w-full flex justify-center py-2 px-4 border border-gray-300 rounded-md shadow-sm bg-white text-sm font-medium text-gray-700 hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500"
-            >
-              <svg className="w-5 h-5 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M16 7a4 4 0 11-8 0 4 4 0 018 0zM12 14a7 7 0 00-7 7h14a7 7 0 00-7-7z" />
-              </svg>
-              Try as Guest
-            </button>
-          </div>
+            <div>
+              <button
+                type="button"
+                onClick={handleGuestMode}
+                className="w-full flex justify-center py-2 px-4 border border-gray-300 rounded-md shadow-sm bg-white text-sm font-medium text-gray-700 hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500"
+              >
+                <svg className="w-5 h-5 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M16 7a4 4 0 11-8 0 4 4 0 018 0zM12 14a7 7 0 00-7 7h14a7 7 0 00-7-7z" />
+                </svg>
+                Try as Guest
+              </button>
+            </div>
 
-          <div className="text-center text-xs text-gray-500 mt-4">
-            <p>🔒 Guest mode provides full functionality with local storage.</p>
-            <p>Data is cleared when you close the browser. Create an account for permanent storage across devices.</p>
-          </div>
-        </form>
+            <div className="text-center text-xs text-gray-500 mt-4">
+              <p>🔒 Guest mode provides full functionality with local storage.</p>
+              <p>Data is cleared when you close the browser. Create an account for permanent storage across devices.</p>
+            </div>
+          </form>
+        )}
       </div>
     </div>
   );
@@ -0,0 +1,58 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { getSentMail } from '../services/mockBackend';
+
+/**
+ * The mock backend's outbox, at `/dev/mail` when it is enabled: every email it would
+ * have sent, with the verification and reset links ready to follow.
+ */
+const MailSinkPage = () => {
+  const [mail, setMail] = useState([]);
+
+  const loadMail = useCallback(() => setMail(getSentMail()), []);
+
+  useEffect(() => {
+    loadMail();
+    window.addEventListener('focus', loadMail);
+    return () => window.removeEventListener('focus', loadMail);
+  }, [loadMail]);
+
+  return (
+    <div className="max-w-3xl mx-auto py-12 px-4 space-y-6">
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Mock mail sink</h1>
+          <p className="text-sm text-gray-500">Emails sent by the mock backend, newest first.</p>
+        </div>
+        <button type="button" onClick={loadMail} className="btn-secondary">
+          Refresh
+        </button>
+      </div>
+
+      {mail.length === 0 ? (
+        <p className="text-sm italic text-gray-500">No emails sent yet.</p>
+      ) : (
+        <ul className="space-y-4">
+          {mail.map(message => (
+            <li key={message.id} className="rounded-lg bg-white p-4 shadow-sm border">
+              <div className="flex justify-between text-xs text-gray-500">
+                <span>To: {message.to}</span>
+                <span>{new Date(message.sent_at).toLocaleString()}</span>
+              </div>
+              <h2 className="mt-1 font-medium text-gray-900">{message.subject}</h2>
+              <p className="mt-2 whitespace-pre-wrap break-all text-sm text-gray-700">{message.body}</p>
+              <Link
+                to={new URL(message.link).pathname}
+                className="mt-2 inline-block text-sm font-medium text-primary-600 hover:text-primary-700"
+              >
+                Open link
+              </Link>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default MailSinkPage;
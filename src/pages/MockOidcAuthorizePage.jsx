@@ -0,0 +1,83 @@
+import React, { useState } from 'react';
+import { mockAuthorizationRedirect, mockAuthorizationRequestError } from '../services/mockBackend';
+
+/**
+ * The sign-in page of the mock backend's stand-in provider, at `/dev/oidc/authorize` when
+ * it is enabled. Anyone can sign in as any email address; the backend links such an identity
+ * only to the account it created for it.
+ */
+const MockOidcAuthorizePage = () => {
+  const params = new URLSearchParams(window.location.search);
+  const [email, setEmail] = useState('');
+  const [fullName, setFullName] = useState('');
+
+  const requestError = mockAuthorizationRequestError(params);
+
+  if (requestError) {
+    return (
+      <div className="max-w-md mx-auto py-12 px-4 text-center text-sm text-red-700">
+        {requestError}
+      </div>
+    );
+  }
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    window.location.assign(mockAuthorizationRedirect(params, { email, full_name: fullName || email.split('@')[0] }));
+  };
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-md w-full space-y-6">
+        <div className="text-center">
+          <h2 className="text-2xl font-extrabold text-gray-900">Mock SSO</h2>
+          <p className="mt-2 text-sm text-gray-600">
+            A local stand-in identity provider. Choose who to sign in as for <span className="font-mono">{params.get('client_id')}</span>.
+          </p>
+        </div>
+        <form className="space-y-4" onSubmit={handleSubmit}>
+          <div>
+            <label htmlFor="email" className="block text-sm font-medium text-gray-700">
+              Email address
+            </label>
+            <input
+              id="email"
+              type="email"
+              required
+              className="input-field mt-1"
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
+            />
+          </div>
+          <div>
+            <label htmlFor="fullName" className="block text-sm font-medium text-gray-700">
+              Full Name
+            </label>
+            <input
+              id="fullName"
+              type="text"
+              className="input-field mt-1"
+              placeholder="Used when a new account is created"
+              value={fullName}
+              onChange={(e) => setFullName(e.target.value)}
+            />
+          </div>
+          <div className="flex gap-3">
+            <button type="submit" className="btn-primary flex-1">
+              Sign in
+            </button>
+            <button
+              type="button"
+              onClick={() => window.location.assign(mockAuthorizationRedirect(params, null))}
+              className="btn-secondary flex-1"
+            >
+              Deny
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default MockOidcAuthorizePage;
@@ -0,0 +1,81 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import LoadingSpinner from '../components/LoadingSpinner';
+import TwoFactorChallenge from '../components/TwoFactorChallenge';
+import { OidcError, readOidcCallback } from '../services/oidc';
+
+/**
+ * Where single sign-on providers send the browser back to: completes the sign-in, with the
+ * second factor for accounts that have two-factor authentication, and goes on to the page
+ * the user started from.
+ */
+const OidcCallbackPage = () => {
+  const { user, loginWithProvider, twoFactorChallenge } = useAuth();
+  const navigate = useNavigate();
+  const [error, setError] = useState('');
+  // Set while the second factor is asked for.
+  const [pendingReturnPath, setPendingReturnPath] = useState(null);
+  // The callback can be used only once, even if the effect runs twice.
+  const handledRef = useRef(false);
+
+  useEffect(() => {
+    if (handledRef.current) return;
+    handledRef.current = true;
+
+    const complete = async () => {
+      try {
+        const callback = readOidcCallback(new URLSearchParams(window.location.search));
+        const { twoFactorRequired } = await loginWithProvider(callback);
+        if (twoFactorRequired) {
+          setPendingReturnPath(callback.returnPath || '/dashboard');
+          return;
+        }
+        navigate(callback.returnPath || '/dashboard', { replace: true });
+      } catch (err) {
+        setError(err instanceof OidcError
+          ? err.message
+          : err.response?.data?.detail || 'Sign-in with your provider failed');
+      }
+    };
+    complete();
+  }, [loginWithProvider, navigate]);
+
+  if (pendingReturnPath !== null && twoFactorChallenge) {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
+        <div className="max-w-md w-full space-y-8">
+          <h2 className="text-center text-3xl font-extrabold text-gray-900">
+            Sign in to your <span className="text-primary-600">AskStash</span> account
+          </h2>
+          <TwoFactorChallenge
+            onSignedIn={({ usedRecoveryCode }) => navigate(usedRecoveryCode ? '/settings' : pendingReturnPath, { replace: true })}
+            onCancel={() => navigate('/login', { replace: true })}
+          />
+        </div>
+      </div>
+    );
+  }
+
+  // The challenge is dropped when it expires or too many codes were wrong.
+  const message = error || (pendingReturnPath !== null && !twoFactorChallenge && !user
+    ? 'The sign-in took too long to confirm. Please start again.'
+    : '');
+  if (!message) {
+    return <LoadingSpinner />;
+  }
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-md w-full space-y-6 text-center">
+        <h2 className="text-2xl font-extrabold text-gray-900">Sign-in did not complete</h2>
+        <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg">{message}</div>
+        <Link to="/login" className="font-medium text-primary-600 hover:text-primary-500">
+          Back to sign in
+        </Link>
+      </div>
+    </div>
+  );
+};
+
+export default OidcCallbackPage;
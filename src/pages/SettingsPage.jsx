@@ -0,0 +1,541 @@
+import React, { useState } from 'react';
+import { Link, Navigate, useNavigate } from 'react-router-dom';
+import QRCode from 'qrcode';
+import { useAuth } from '../context/AuthContext';
+import { accountAPI } from '../services/api';
+import { buildAccountArchive } from '../services/accountExport';
+import { downloadFile } from '../services/conversationExport';
+
+// Typed to confirm that the account should be deleted.
+const DELETE_CONFIRMATION = 'delete my account';
+
+/**
+ * A settings section with a heading and its own form.
+ * @param {object} props - The component's props.
+ * @param {string} props.title
+ * @param {string} [props.description]
+ * @param {boolean} [props.danger] - Marks an irreversible action.
+ * @param {React.ReactNode} props.children
+ */
+const Section = ({ title, description, danger = false, children }) => (
+  <section className={`bg-white rounded-lg shadow-sm border p-6 ${danger ? 'border-red-200' : ''}`}>
+    <h2 className={`text-lg font-semibold ${danger ? 'text-red-700' : 'text-gray-900'}`}>{title}</h2>
+    {description && <p className="mt-1 text-sm text-gray-500">{description}</p>}
+    <div className="mt-4">{children}</div>
+  </section>
+);
+
+/**
+ * Shows the outcome of a section's last action.
+ * @param {{ status: { type: 'success' | 'error', text: string } | null }} props
+ */
+const StatusMessage = ({ status }) => {
+  if (!status) return null;
+  const styles = status.type === 'error'
+    ? 'bg-red-50 border-red-200 text-red-700'
+    : 'bg-green-50 border-green-200 text-green-800';
+  return <div className={`border px-4 py-2 rounded-lg text-sm ${styles}`}>{status.text}</div>;
+};
+
+const errorText = (error, fallback) => error.response?.data?.detail || fallback;
+
+const ProfileForm = () => {
+  const { user, updateProfile } = useAuth();
+  const [fullName, setFullName] = useState(user.full_name || '');
+  const [email, setEmail] = useState(user.email);
+  const [status, setStatus] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const isChanged = fullName !== (user.full_name || '') || email !== user.email;
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setStatus(null);
+    setIsSaving(true);
+    const updates = {};
+    if (fullName !== user.full_name) updates.full_name = fullName;
+    if (email !== user.email) updates.email = email;
+
+    try {
+      const updated = await updateProfile(updates);
+      setStatus({
+        type: 'success',
+        text: updated.email_verified === false
+          ? `Saved. Confirm ${updated.email} with the link we sent to it.`
+          : 'Your profile has been saved.',
+      });
+    } catch (error) {
+      console.error('Error updating profile:', error);
+      setStatus({ type: 'error', text: errorText(error, 'Your profile could not be saved') });
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <form className="space-y-4" onSubmit={handleSubmit}>
+      <div>
+        <label htmlFor="fullName" className="block text-sm font-medium text-gray-700">
+          Full Name
+        </label>
+        <input
+          id="fullName"
+          type="text"
+          autoComplete="name"
+          required
+          className="input-field mt-1"
+          value={fullName}
+          onChange={(e) => setFullName(e.target.value)}
+        />
+      </div>
+      <div>
+        <label htmlFor="email" className="block text-sm font-medium text-gray-700">
+          Email address
+        </label>
+        <input
+          id="email"
+          type="email"
+          autoComplete="email"
+          required
+          className="input-field mt-1"
+          value={email}
+          onChange={(e) => setEmail(e.target.value)}
+        />
+        {email !== user.email && (
+          <p className="mt-1 text-xs text-gray-500">You will need to confirm the new address before using your account again.</p>
+        )}
+      </div>
+      <StatusMessage status={status} />
+      <button type="submit" disabled={!isChanged || isSaving} className="btn-primary disabled:opacity-50">
+        {isSaving ? 'Saving...' : 'Save profile'}
+      </button>
+    </form>
+  );
+};
+
+const PasswordForm = () => {
+  const { user, changePassword } = useAuth();
+  // Accounts created through single sign-on have no password until they set one.
+  const hasPassword = user.has_password !== false;
+  const [currentPassword, setCurrentPassword] = useState('');
+  const [newPassword, setNewPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [status, setStatus] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (newPassword !== confirmPassword) {
+      setStatus({ type: 'error', text: 'The new passwords do not match' });
+      return;
+    }
+    setStatus(null);
+    setIsSaving(true);
+
+    try {
+      await changePassword(hasPassword ? currentPassword : undefined, newPassword);
+      setCurrentPassword('');
+      setNewPassword('');
+      setConfirmPassword('');
+      setStatus({ type: 'success', text: hasPassword ? 'Your password has been changed.' : 'Your password has been set.' });
+    } catch (error) {
+      console.error('Error changing password:', error);
+      setStatus({ type: 'error', text: errorText(error, 'Your password could not be changed') });
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <form className="space-y-4" onSubmit={handleSubmit}>
+      {hasPassword ? (
+        <div>
+          <label htmlFor="currentPassword" className="block text-sm font-medium text-gray-700">
+            Current password
+          </label>
+          <input
+            id="currentPassword"
+            type="password"
+            autoComplete="current-password"
+            required
+            className="input-field mt-1"
+            value={currentPassword}
+            onChange={(e) => setCurrentPassword(e.target.value)}
+          />
+        </div>
+      ) : (
+        <p className="text-sm text-gray-700">
+          You sign in through single sign-on. Set a password to also sign in with your email address.
+        </p>
+      )}
+      <div>
+        <label htmlFor="newPassword" className="block text-sm font-medium text-gray-700">
+          New password
+        </label>
+        <input
+          id="newPassword"
+          type="password"
+          autoComplete="new-password"
+          required
+          className="input-field mt-1"
+          value={newPassword}
+          onChange={(e) => setNewPassword(e.target.value)}
+        />
+      </div>
+      <div>
+        <label htmlFor="confirmPassword" className="block text-sm font-medium text-gray-700">
+          Confirm new password
+        </label>
+        <input
+          id="confirmPassword"
+          type="password"
+          autoComplete="new-password"
+          required
+          className="input-field mt-1"
+          value={confirmPassword}
+          onChange={(e) => setConfirmPassword(e.target.value)}
+        />
+      </div>
+      <StatusMessage status={status} />
+      <button type="submit" disabled={isSaving} className="btn-primary disabled:opacity-50">
+        {isSaving ? 'Saving...' : hasPassword ? 'Change password' : 'Set password'}
+      </button>
+    </form>
+  );
+};
+
+/**
+ * Shows freshly issued recovery codes, which cannot be displayed again.
+ * @param {object} props - The component's props.
+ * @param {string[]} props.codes
+ * @param {() => void} props.onDone
+ */
+const RecoveryCodes = ({ codes, onDone }) => {
+  const [copied, setCopied] = useState(false);
+  const text = `AskStash recovery codes\n\n${codes.join('\n')}\n`;
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(text);
+      setCopied(true);
+    } catch (error) {
+      console.error('Error copying recovery codes:', error);
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      <p className="text-sm text-gray-700">
+        Save these recovery codes somewhere safe. Each one signs you in once if you lose your authenticator app.
+        They will not be shown again.
+      </p>
+      <ul className="grid grid-cols-2 gap-2 rounded-lg bg-gray-50 p-4 font-mono text-sm text-gray-900">
+        {codes.map(code => <li key={code}>{code}</li>)}
+      </ul>
+      <div className="flex flex-wrap gap-3">
+        <button type="button" onClick={handleCopy} className="btn-secondary">
+          {copied ? 'Copied' : 'Copy'}
+        </button>
+        <button
+          type="button"
+          onClick={() => downloadFile(text, 'askstash-recovery-codes.txt', 'text/plain')}
+          className="btn-secondary"
+        >
+          Download
+        </button>
+        <button type="button" onClick={onDone} className="btn-primary">
+          I have saved them
+        </button>
+      </div>
+    </div>
+  );
+};
+
+const TwoFactorSettings = () => {
+  const { user, recoveryCodesRemaining, enableTwoFactor, regenerateRecoveryCodes, disableTwoFactor } = useAuth();
+  const [setup, setSetup] = useState(null);
+  const [code, setCode] = useState('');
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [status, setStatus] = useState(null);
+  const [isBusy, setIsBusy] = useState(false);
+
+  /**
+   * Runs an action with the code field, reporting failures in the section.
+   * @param {() => Promise<void>} action
+   * @param {string} failure - Shown when the server gives no reason.
+   */
+  const run = async (action, failure) => {
+    setStatus(null);
+    setIsBusy(true);
+    try {
+      await action();
+      setCode('');
+    } catch (error) {
+      console.error('Error updating two-factor authentication:', error);
+      setStatus({ type: 'error', text: errorText(error, failure) });
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const handleStartSetup = () => run(async () => {
+    const started = await accountAPI.startTwoFactorSetup();
+    setSetup({ ...started, qrCode: await QRCode.toDataURL(started.otpauth_url, { margin: 1, width: 192 }) });
+  }, 'Two-factor authentication could not be set up');
+
+  const handleEnable = (e) => {
+    e.preventDefault();
+    run(async () => {
+      setRecoveryCodes(await enableTwoFactor(code));
+      setSetup(null);
+    }, 'Two-factor authentication could not be turned on');
+  };
+
+  const handleRegenerate = () => run(async () => {
+    setRecoveryCodes(await regenerateRecoveryCodes(code));
+  }, 'New recovery codes could not be created');
+
+  const handleDisable = () => run(async () => {
+    await disableTwoFactor(code);
+    setStatus({ type: 'success', text: 'Two-factor authentication is off.' });
+  }, 'Two-factor authentication could not be turned off');
+
+  const codeInput = (
+    <div>
+      <label htmlFor="totpCode" className="block text-sm font-medium text-gray-700">
+        Code from your authenticator app
+      </label>
+      <input
+        id="totpCode"
+        type="text"
+        inputMode="numeric"
+        autoComplete="one-time-code"
+        pattern="[0-9 ]{6,7}"
+        required
+        className="input-field mt-1 max-w-xs tracking-widest"
+        placeholder="123456"
+        value={code}
+        onChange={(e) => setCode(e.target.value)}
+      />
+    </div>
+  );
+
+  if (recoveryCodes) {
+    return <RecoveryCodes codes={recoveryCodes} onDone={() => setRecoveryCodes(null)} />;
+  }
+
+  if (user.two_factor_enabled) {
+    return (
+      <form className="space-y-4" onSubmit={(e) => e.preventDefault()}>
+        <p className="text-sm text-gray-700">
+          Two-factor authentication is <span className="font-medium text-green-700">on</span>. Signing in asks for a code from your authenticator app.
+        </p>
+        {recoveryCodesRemaining !== null && (
+          <div className="bg-amber-50 border border-amber-200 text-amber-800 px-4 py-2 rounded-lg text-sm">
+            You signed in with a recovery code. {recoveryCodesRemaining} of them are left; create new ones if you are running low.
+          </div>
+        )}
+        {codeInput}
+        <StatusMessage status={status} />
+        <div className="flex flex-wrap gap-3">
+          <button type="button" onClick={handleRegenerate} disabled={isBusy || !code} className="btn-secondary disabled:opacity-50">
+            Create new recovery codes
+          </button>
+          <button
+            type="button"
+            onClick={handleDisable}
+            disabled={isBusy || !code}
+            className="px-4 py-2 rounded-lg border border-red-300 text-sm font-medium text-red-700 hover:bg-red-50 disabled:opacity-50"
+          >
+            Turn off
+          </button>
+        </div>
+      </form>
+    );
+  }
+
+  if (setup) {
+    return (
+      <form className="space-y-4" onSubmit={handleEnable}>
+        <p className="text-sm text-gray-700">
+          Scan this QR code with an authenticator app, then enter the code it shows.
+        </p>
+        <img src={setup.qrCode} alt="QR code for your authenticator app" className="h-48 w-48 border rounded" />
+        <p className="text-xs text-gray-500">
+          Can&apos;t scan it? Enter this key instead: <span className="font-mono text-gray-900 break-all">{setup.secret}</span>
+        </p>
+        {codeInput}
+        <StatusMessage status={status} />
+        <div className="flex gap-3">
+          <button type="submit" disabled={isBusy} className="btn-primary disabled:opacity-50">
+            {isBusy ? 'Checking...' : 'Turn on'}
+          </button>
+          <button type="button" onClick={() => { setSetup(null); setStatus(null); }} className="btn-secondary">
+            Cancel
+          </button>
+        </div>
+      </form>
+    );
+  }
+
+  return (
+    <div className="space-y-4">
+      <p className="text-sm text-gray-700">
+        Protect your documents with a second step when signing in: a code from an authenticator app on your phone.
+      </p>
+      <StatusMessage status={status} />
+      <button type="button" onClick={handleStartSetup} disabled={isBusy} className="btn-primary disabled:opacity-50">
+        Set up two-factor authentication
+      </button>
+    </div>
+  );
+};
+
+const DataExport = () => {
+  const { user } = useAuth();
+  const [progress, setProgress] = useState('');
+  const [status, setStatus] = useState(null);
+
+  const handleExport = async () => {
+    setStatus(null);
+    setProgress('Starting');
+    try {
+      const archive = await buildAccountArchive(user, { onProgress: setProgress });
+      downloadFile(archive, `askstash-export-${new Date().toISOString().slice(0, 10)}.zip`, 'application/zip');
+    } catch (error) {
+      console.error('Error exporting account data:', error);
+      setStatus({ type: 'error', text: 'Your data could not be exported. Please try again.' });
+    } finally {
+      setProgress('');
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      <StatusMessage status={status} />
+      <button type="button" onClick={handleExport} disabled={Boolean(progress)} className="btn-secondary disabled:opacity-50">
+        {progress ? `Preparing... ${progress}` : 'Download my data (.zip)'}
+      </button>
+    </div>
+  );
+};
+
+const AccountDeletion = () => {
+  const { user, deleteAccount } = useAuth();
+  const navigate = useNavigate();
+  const [confirmation, setConfirmation] = useState('');
+  const [password, setPassword] = useState('');
+  const [status, setStatus] = useState(null);
+  const [isDeleting, setIsDeleting] = useState(false);
+
+  // Without a password, the typed confirmation alone confirms the deletion.
+  const hasPassword = user.has_password !== false;
+  const isConfirmed = confirmation.trim().toLowerCase() === DELETE_CONFIRMATION && (!hasPassword || password !== '');
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!isConfirmed) return;
+    setStatus(null);
+    setIsDeleting(true);
+
+    try {
+      await deleteAccount(hasPassword ? password : undefined);
+      navigate('/login', { replace: true, state: { notice: 'Your account and all of its data have been deleted.' } });
+    } catch (error) {
+      console.error('Error deleting account:', error);
+      setStatus({ type: 'error', text: errorText(error, 'Your account could not be deleted') });
+      setIsDeleting(false);
+    }
+  };
+
+  return (
+    <form className="space-y-4" onSubmit={handleSubmit}>
+      <div>
+        <label htmlFor="deleteConfirmation" className="block text-sm font-medium text-gray-700">
+          Type <span className="font-mono text-red-700">{DELETE_CONFIRMATION}</span> to confirm
+        </label>
+        <input
+          id="deleteConfirmation"
+          type="text"
+          autoComplete="off"
+          className="input-field mt-1"
+          value={confirmation}
+          onChange={(e) => setConfirmation(e.target.value)}
+        />
+      </div>
+      {hasPassword && (
+        <div>
+          <label htmlFor="deletePassword" className="block text-sm font-medium text-gray-700">
+            Password
+          </label>
+          <input
+            id="deletePassword"
+            type="password"
+            autoComplete="current-password"
+            className="input-field mt-1"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+          />
+        </div>
+      )}
+      <StatusMessage status={status} />
+      <button
+        type="submit"
+        disabled={!isConfirmed || isDeleting}
+        className="px-4 py-2 rounded-lg bg-red-600 text-white text-sm font-medium hover:bg-red-700 disabled:opacity-50"
+      >
+        {isDeleting ? 'Deleting...' : 'Delete my account'}
+      </button>
+    </form>
+  );
+};
+
+const SettingsPage = () => {
+  const { isGuestMode } = useAuth();
+
+  if (isGuestMode) {
+    return <Navigate to="/dashboard" replace />;
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-2xl mx-auto space-y-6">
+        <div className="flex items-center justify-between">
+          <h1 className="text-3xl font-extrabold text-gray-900">Account settings</h1>
+          <Link to="/dashboard" className="text-sm font-medium text-primary-600 hover:text-primary-500">
+            Back to dashboard
+          </Link>
+        </div>
+
+        <Section title="Profile">
+          <ProfileForm />
+        </Section>
+
+        <Section title="Password">
+          <PasswordForm />
+        </Section>
+
+        <Section title="Two-factor authentication">
+          <TwoFactorSettings />
+        </Section>
+
+        <Section
+          title="Export your data"
+          description="A zip archive of all your documents, with their original files where available, and every conversation as Markdown and JSON."
+        >
+          <DataExport />
+        </Section>
+
+        <Section
+          title="Delete account"
+          description="Permanently deletes your account, documents and conversations. This cannot be undone; export your data first if you want to keep it."
+          danger
+        >
+          <AccountDeletion />
+        </Section>
+      </div>
+    </div>
+  );
+};
+
+export default SettingsPage;
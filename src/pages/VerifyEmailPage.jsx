@@ -0,0 +1,147 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Link, Navigate, useParams } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import { authAPI } from '../services/api';
+
+/**
+ * Follows a verification link: confirms the address in the token and says where to go next.
+ */
+const VerifyEmailLink = ({ token }) => {
+  const { user, isGuestMode, isLoading, verifyEmail } = useAuth();
+  const [status, setStatus] = useState('verifying');
+  const [error, setError] = useState('');
+  // Links are single-use, so the token must be sent only once even if the effect runs twice.
+  const sentTokenRef = useRef(null);
+
+  const isSignedIn = Boolean(user) && !isGuestMode;
+
+  useEffect(() => {
+    // Wait for the stored session, so a signed-in user's account is updated as well.
+    if (isLoading || sentTokenRef.current === token) return;
+    sentTokenRef.current = token;
+    verifyEmail(token)
+      .then(() => setStatus('verified'))
+      .catch((err) => {
+        console.error('Error verifying email:', err);
+        setError(err.response?.data?.detail || 'Your email address could not be confirmed');
+        setStatus('failed');
+      });
+  }, [isLoading, token, verifyEmail]);
+
+  if (status === 'verifying') {
+    return <p className="text-center text-sm text-gray-600">Confirming your email address...</p>;
+  }
+
+  if (status === 'failed') {
+    return (
+      <div className="space-y-4 text-center">
+        <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg">{error}</div>
+        <Link to={isSignedIn ? '/verify-email' : '/login'} className="font-medium text-primary-600 hover:text-primary-500">
+          {isSignedIn ? 'Send a new link' : 'Sign in to send a new link'}
+        </Link>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-4 text-center">
+      <div className="bg-green-50 border border-green-200 text-green-800 px-4 py-3 rounded-lg">
+        Your email address is confirmed.
+      </div>
+      <Link to={isSignedIn ? '/dashboard' : '/login'} className="btn-primary inline-flex justify-center py-2 px-4">
+        {isSignedIn ? 'Continue to your dashboard' : 'Sign in'}
+      </Link>
+    </div>
+  );
+};
+
+/**
+ * Shown to signed-in users whose email address is not confirmed yet: private pages stay
+ * closed until they follow the link sent to them.
+ */
+const VerificationPending = () => {
+  const { user, reloadUser, logout } = useAuth();
+  const [notice, setNotice] = useState('');
+  const [error, setError] = useState('');
+  const [isSending, setIsSending] = useState(false);
+
+  if (user.email_verified !== false) {
+    return <Navigate to="/dashboard" replace />;
+  }
+
+  const handleResend = async () => {
+    setNotice('');
+    setError('');
+    setIsSending(true);
+    try {
+      await authAPI.resendVerification();
+      setNotice(`A new link is on its way to ${user.email}.`);
+    } catch (err) {
+      setError(err.response?.data?.detail || 'The link could not be sent. Please try again.');
+    } finally {
+      setIsSending(false);
+    }
+  };
+
+  const handleAlreadyConfirmed = async () => {
+    setNotice('');
+    setError('');
+    try {
+      await reloadUser();
+      setNotice('Your address is not confirmed yet. Follow the link in the email first.');
+    } catch (err) {
+      console.error('Error reloading user:', err);
+      setError('Your account could not be checked. Sign in again to continue.');
+    }
+  };
+
+  return (
+    <div className="space-y-6 text-center">
+      <p className="text-sm text-gray-600">
+        We sent a confirmation link to <span className="font-medium text-gray-900">{user.email}</span>.
+        Follow it to start using your account.
+      </p>
+
+      {notice && (
+        <div className="bg-green-50 border border-green-200 text-green-800 px-4 py-3 rounded-lg text-sm">{notice}</div>
+      )}
+      {error && (
+        <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg text-sm">{error}</div>
+      )}
+
+      <div className="space-y-3">
+        <button
+          type="button"
+          onClick={handleResend}
+          disabled={isSending}
+          className="btn-primary w-full flex justify-center py-2 px-4 disabled:opacity-50"
+        >
+          {isSending ? 'Sending...' : 'Send the link again'}
+        </button>
+        <button type="button" onClick={handleAlreadyConfirmed} className="btn-secondary w-full">
+          I have confirmed it
+        </button>
+        <button type="button" onClick={logout} className="text-sm text-gray-500 hover:text-gray-700">
+          Sign out
+        </button>
+      </div>
+    </div>
+  );
+};
+
+const VerifyEmailPage = () => {
+  const { token } = useParams();
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-md w-full space-y-8">
+        <h2 className="mt-6 text-center text-3xl font-extrabold text-gray-900">
+          Confirm your email address
+        </h2>
+        {token ? <VerifyEmailLink token={token} /> : <VerificationPending />}
+      </div>
+    </div>
+  );
+};
+
+export default VerifyEmailPage;
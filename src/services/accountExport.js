@@ -0,0 +1,78 @@
+import JSZip from 'jszip';
+import { chatAPI, documentAPI } from './api';
+import { buildConversationExport, toJson, toMarkdown } from './conversationExport';
+
+/**
+ * A full export of an account as a zip archive:
+ *
+ * - `account.json`: the profile and when the export was made.
+ * - `documents/`: each document's extracted text, plus the original upload where the
+ *   server still has it, under `documents/originals/`.
+ * - `conversations/`: each conversation as Markdown and as JSON in the conversation export
+ *   format, so it can be imported again.
+ */
+
+const ACCOUNT_EXPORT_FORMAT = 'askstash.account';
+
+// Messages saved before conversations existed belong to none; they are exported together.
+const UNFILED_TITLE = 'Earlier chats';
+
+/**
+ * Turns a title or file name into a name that is safe in any file system.
+ * @param {string} name
+ * @returns {string}
+ */
+const safeName = (name) => name.replace(/[\\/:*?"<>|\s]+/g, ' ').trim().slice(0, 80) || 'untitled';
+
+/**
+ * Builds the export archive of the signed-in account.
+ * @param {import('./api').User} user
+ * @param {object} [options]
+ * @param {(step: string) => void} [options.onProgress] - Told what is being collected.
+ * @returns {Promise<Blob>}
+ */
+export const buildAccountArchive = async (user, { onProgress = () => {} } = {}) => {
+  const zip = new JSZip();
+  zip.file('account.json', toJson({
+    format: ACCOUNT_EXPORT_FORMAT,
+    version: 1,
+    exported_at: new Date().toISOString(),
+    user: { email: user.email, full_name: user.full_name },
+  }));
+
+  const { documents } = await documentAPI.getDocuments();
+  for (const [index, summary] of documents.entries()) {
+    onProgress(`Document ${index + 1} of ${documents.length}`);
+    const { document } = await documentAPI.getDocument(summary.id);
+    const name = `${document.id}-${safeName(document.filename)}`;
+    zip.file(`documents/${name}.txt`, document.content || '');
+    try {
+      zip.file(`documents/originals/${name}`, await documentAPI.getDocumentFile(document.id));
+    } catch (error) {
+      // Not every server keeps the originals; the extracted text is exported regardless.
+    }
+  }
+
+  onProgress('Conversations');
+  const [{ conversations }, { history }] = await Promise.all([
+    chatAPI.getConversations(),
+    chatAPI.getChatHistory(),
+  ]);
+  const known = new Set(conversations.map(conversation => conversation.id));
+  const unfiled = history.filter(msg => !known.has(msg.conversation_id));
+  const groups = conversations.map(conversation => ({
+    conversation,
+    messages: history.filter(msg => msg.conversation_id === conversation.id),
+  }));
+  if (unfiled.length > 0) groups.push({ conversation: { id: 'unfiled', title: UNFILED_TITLE }, messages: unfiled });
+
+  groups.forEach(({ conversation, messages }) => {
+    const data = buildConversationExport(conversation, messages);
+    const name = `${conversation.id}-${safeName(conversation.title)}`;
+    zip.file(`conversations/${name}.md`, toMarkdown(data));
+    zip.file(`conversations/${name}.json`, toJson(data));
+  });
+
+  onProgress('Compressing');
+  return zip.generateAsync({ type: 'blob', compression: 'DEFLATE' });
+};
@@ -1,42 +1,8 @@
-import axios from 'axios';
+import api, { isRequestCancelled, setSessionRefresher, toProgressHandler } from './http';
+import { streamChat, StreamUnsupportedError } from './stream';
+import { memoryPayload } from './chatMemory';
 
-const API_BASE_URL = 'https://askstashserver.onrender.com';
-//'https://vaibhavmurarka2.pythonanywhere.com';
-
-const api = axios.create({
-  baseURL: API_BASE_URL,
-  headers: {
-    'Content-Type': 'application/json',
-  },
-});
-
-// Request interceptor to add auth token
-api.interceptors.request.use(
-  (config) => {
-    const token = localStorage.getItem('token');
-    if (token) {
-      config.headers.Authorization = `Bearer ${token}`;
-    }
-    return config;
-  },
-  (error) => {
-    return Promise.reject(error);
-  }
-);
-
-// Response interceptor to handle auth errors
-api.interceptors.response.use(
-  (response) => response,
-  (error) => {
-    if (error.response?.status === 401) {
-      // On authentication failure, clear local storage and redirect to login
-      localStorage.removeItem('token');
-      localStorage.removeItem('user');
-      window.location.href = '/login';
-    }
-    return Promise.reject(error);
-  }
-);
+export { isRequestCancelled };
 
 /**
  * JSDoc comments for API object shapes.
@@ -46,10 +12,25 @@ api.interceptors.response.use(
  * @property {number} id
  * @property {string} email
  * @property {string} full_name
+ * @property {boolean} [email_verified] - False until the address is confirmed; servers
+ *   without email verification omit it.
+ * @property {boolean} [two_factor_enabled] - Whether signing in asks for a one-time code.
+ * @property {boolean} [has_password] - False for accounts created through single sign-on
+ *   until they set a password; servers without single sign-on omit it.
+ *
+ * @typedef {object} TwoFactorChallenge - Returned by login instead of an AuthResponse when
+ *   the account also needs a one-time code.
+ * @property {true} two_factor_required
+ * @property {string} challenge_token - Identifies the sign-in to authAPI.verifyTwoFactor.
+ *
+ * @typedef {object} TwoFactorSetup
+ * @property {string} secret - The TOTP secret in base32, for entering by hand.
+ * @property {string} otpauth_url - The `otpauth://` URI to show as a QR code.
  *
  * @typedef {object} AuthResponse
  * @property {string} access_token
  * @property {string} token_type
+ * @property {string} [refresh_token] - Long-lived token for authAPI.refresh, when the server issues one.
  * @property {User} user
  *
  * @typedef {object} Document
@@ -59,6 +40,7 @@ api.interceptors.response.use(
  * @property {string} created_at
  * @property {number} [content_length]
  * @property {string} [content]
+ * @property {string[]} [tags]
  *
  * @typedef {object} ChatMessage
  * @property {number} id
@@ -66,12 +48,24 @@ api.interceptors.response.use(
  * @property {string} message
  * @property {string} response
  * @property {string} [context_documents]
+ * @property {number} [conversation_id]
+ * @property {string} created_at
+ *
+ * @typedef {object} Conversation
+ * @property {number} id
+ * @property {string} title
+ * @property {'none' | 'selected' | 'all' | 'collection'} context_mode
+ * @property {number[]} selected_documents
+ * @property {number | null} [collection_id] - The collection used in 'collection' mode.
  * @property {string} created_at
+ * @property {string} updated_at
  *
  * @typedef {object} ChatResponse
  * @property {string} response
  * @property {boolean} context_used
- * @property {Array<{id: number, filename: string}>} context_sources
+ * @property {number} [message_id] - The ID of the stored message, when the server reports it.
+ * @property {import('./citations').ContextSource[]} context_sources - The documents used, each
+ *   with the passages the answer cites through `[n]` markers when the server reports them.
  */
 
 export const authAPI = {
@@ -91,21 +85,189 @@ export const authAPI = {
    * Logs in a user.
    * @param {string} email - The user's email.
    * @param {string} password - The user's password.
-   * @returns {Promise<AuthResponse>}
+   * @returns {Promise<AuthResponse | TwoFactorChallenge>} A challenge when the account has
+   *   two-factor authentication on.
    */
   login: async (email, password) => {
     const response = await api.post('/api/auth/login', { email, password });
     return response.data;
   },
+
+  /**
+   * Exchanges a refresh token for a new access token.
+   * @param {string} refreshToken - The refresh token from an earlier AuthResponse.
+   * @returns {Promise<AuthResponse>}
+   */
+  refresh: async (refreshToken) => {
+    const response = await api.post('/api/auth/refresh', { refresh_token: refreshToken });
+    return response.data;
+  },
+
+  /**
+   * Completes a sign-in that needs a second factor, with a code from the authenticator app
+   * or one of the recovery codes.
+   * @param {string} challengeToken - From the TwoFactorChallenge.
+   * @param {{ code?: string, recoveryCode?: string }} factor
+   * @returns {Promise<AuthResponse & { recovery_codes_remaining?: number }>} Says how many
+   *   recovery codes are left when one was used.
+   */
+  verifyTwoFactor: async (challengeToken, { code, recoveryCode }) => {
+    const response = await api.post('/api/auth/2fa/verify', recoveryCode !== undefined
+      ? { challenge_token: challengeToken, recovery_code: recoveryCode }
+      : { challenge_token: challengeToken, code });
+    return response.data;
+  },
+
+  /**
+   * Completes a single sign-on: the backend exchanges the authorization code with the
+   * provider and signs in, or registers, the user it identifies.
+   * @param {import('./oidc').OidcCallback} callback - The provider's response.
+   * @returns {Promise<AuthResponse | TwoFactorChallenge>} A challenge when the account has
+   *   two-factor authentication on.
+   */
+  loginWithProvider: async ({ providerId, code, codeVerifier, redirectUri, nonce }) => {
+    const response = await api.post('/api/auth/oidc/callback', {
+      provider: providerId,
+      code,
+      code_verifier: codeVerifier,
+      redirect_uri: redirectUri,
+      nonce,
+    });
+    return response.data;
+  },
+
+  /**
+   * Emails a password reset link, if an account uses the address. The response is the
+   * same either way, so it does not reveal which addresses have accounts.
+   * @param {string} email - The account's email.
+   * @returns {Promise<{message: string}>}
+   */
+  requestPasswordReset: async (email) => {
+    const response = await api.post('/api/auth/forgot-password', { email });
+    return response.data;
+  },
+
+  /**
+   * Sets a new password with the token from a reset link.
+   * @param {string} token - The token from the reset link.
+   * @param {string} password - The new password.
+   * @returns {Promise<{message: string}>}
+   */
+  resetPassword: async (token, password) => {
+    const response = await api.post('/api/auth/reset-password', { token, password });
+    return response.data;
+  },
+
+  /**
+   * Confirms an email address with the token from a verification link.
+   * @param {string} token - The token from the verification link.
+   * @returns {Promise<User>} The verified user.
+   */
+  verifyEmail: async (token) => {
+    const response = await api.post('/api/auth/verify-email', { token });
+    return response.data;
+  },
+
+  /**
+   * Sends the signed-in user a new verification link.
+   * @returns {Promise<{message: string}>}
+   */
+  resendVerification: async () => {
+    const response = await api.post('/api/auth/resend-verification');
+    return response.data;
+  },
+};
+
+setSessionRefresher(authAPI.refresh);
+
+export const accountAPI = {
+  /**
+   * Updates the signed-in user's profile. A new email address has to be confirmed again.
+   * @param {{ full_name?: string, email?: string }} updates
+   * @returns {Promise<User>} The updated user.
+   */
+  updateProfile: async (updates) => {
+    const response = await api.patch('/api/users/me', updates);
+    return response.data;
+  },
+
+  /**
+   * Changes the signed-in user's password, or sets a first one for an account without
+   * one. The server issues new tokens, as it may end sessions that used the old password.
+   * @param {string | undefined} currentPassword - Omitted when the account has no password.
+   * @param {string} newPassword
+   * @returns {Promise<AuthResponse>}
+   */
+  changePassword: async (currentPassword, newPassword) => {
+    const response = await api.post('/api/users/me/password', {
+      current_password: currentPassword,
+      new_password: newPassword,
+    });
+    return response.data;
+  },
+
+  /**
+   * Starts turning on two-factor authentication. It stays off until confirmTwoFactor
+   * receives a code from the authenticator app.
+   * @returns {Promise<TwoFactorSetup>}
+   */
+  startTwoFactorSetup: async () => {
+    const response = await api.post('/api/users/me/2fa/setup');
+    return response.data;
+  },
+
+  /**
+   * Turns on two-factor authentication with a first code from the authenticator app.
+   * @param {string} code
+   * @returns {Promise<{ recovery_codes: string[], user: User }>} Recovery codes, shown once.
+   */
+  confirmTwoFactor: async (code) => {
+    const response = await api.post('/api/users/me/2fa/confirm', { code });
+    return response.data;
+  },
+
+  /**
+   * Replaces the recovery codes; the old ones stop working.
+   * @param {string} code - A current code from the authenticator app.
+   * @returns {Promise<{ recovery_codes: string[] }>}
+   */
+  regenerateRecoveryCodes: async (code) => {
+    const response = await api.post('/api/users/me/2fa/recovery-codes', { code });
+    return response.data;
+  },
+
+  /**
+   * Turns off two-factor authentication.
+   * @param {string} code - A current code from the authenticator app.
+   * @returns {Promise<User>}
+   */
+  disableTwoFactor: async (code) => {
+    const response = await api.delete('/api/users/me/2fa', { data: { code } });
+    return response.data;
+  },
+
+  /**
+   * Deletes the signed-in user's account with all of its documents and conversations.
+   * @param {string} [password] - The user's password, confirming the deletion; omitted
+   *   when the account has none.
+   * @returns {Promise<{message: string}>}
+   */
+  deleteAccount: async (password) => {
+    const response = await api.delete('/api/users/me', { data: { password } });
+    return response.data;
+  },
 };
 
 export const documentAPI = {
   /**
    * Uploads a file.
    * @param {File} file - The file to upload.
+   * @param {object} [options]
+   * @param {AbortSignal} [options.signal] - Cancels the upload when aborted.
+   * @param {(progress: number) => void} [options.onProgress] - Called with the fraction of the file sent so far.
    * @returns {Promise<any>}
    */
-  upload: async (file) => {
+  upload: async (file, options = {}) => {
     const formData = new FormData();
     formData.append('file', file);
     
@@ -113,6 +275,8 @@ export const documentAPI = {
       headers: {
         'Content-Type': 'multipart/form-data',
       },
+      signal: options.signal,
+      onUploadProgress: toProgressHandler(options.onProgress),
     });
     return response.data;
   },
@@ -136,6 +300,69 @@ export const documentAPI = {
     return response.data;
   },
 
+  /**
+   * Downloads the originally uploaded file of a document, e.g. to preview an image.
+   * @param {number} documentId - The ID of the document.
+   * @param {{ signal?: AbortSignal }} [options]
+   * @returns {Promise<Blob>}
+   */
+  getDocumentFile: async (documentId, { signal } = {}) => {
+    const response = await api.get(`/api/documents/${documentId}/file`, { responseType: 'blob', signal });
+    return response.data;
+  },
+
+  /**
+   * Updates a document's tags.
+   * @param {number} documentId - The ID of the document.
+   * @param {{ tags: string[] }} updates
+   * @returns {Promise<{ document: Document }>}
+   */
+  updateDocument: async (documentId, updates) => {
+    const response = await api.patch(`/api/documents/${documentId}`, updates);
+    return response.data;
+  },
+
+  /**
+   * Retrieves the user's document collections.
+   * @returns {Promise<{ collections: import('./collections').Collection[] }>}
+   */
+  getCollections: async () => {
+    const response = await api.get('/api/collections');
+    return response.data;
+  },
+
+  /**
+   * Creates a document collection.
+   * @param {string} name - The collection name.
+   * @param {{ document_ids?: number[], tags?: string[] }} [contents] - The documents and tags it includes.
+   * @returns {Promise<{ collection: import('./collections').Collection }>}
+   */
+  createCollection: async (name, contents = {}) => {
+    const response = await api.post('/api/collections', { name, ...contents });
+    return response.data;
+  },
+
+  /**
+   * Renames a collection or changes what it includes.
+   * @param {number} collectionId - The ID of the collection.
+   * @param {Partial<Pick<import('./collections').Collection, 'name' | 'document_ids' | 'tags'>>} updates
+   * @returns {Promise<{ collection: import('./collections').Collection }>}
+   */
+  updateCollection: async (collectionId, updates) => {
+    const response = await api.patch(`/api/collections/${collectionId}`, updates);
+    return response.data;
+  },
+
+  /**
+   * Deletes a collection. Its documents are kept.
+   * @param {number} collectionId - The ID of the collection to delete.
+   * @returns {Promise<{ message: string }>}
+   */
+  deleteCollection: async (collectionId) => {
+    const response = await api.delete(`/api/collections/${collectionId}`);
+    return response.data;
+  },
+
   /**
    * Deletes a document by its ID.
    * @param {number} documentId - The ID of the document to delete.
@@ -147,37 +374,194 @@ export const documentAPI = {
   },
 };
 
+/**
+ * Builds the context part of a chat request body.
+ * @param {number[]} [selectedDocuments]
+ * @param {boolean} [useAllDocuments]
+ * @returns {{selected_documents?: number[], use_all_documents?: boolean}}
+ */
+const contextPayload = (selectedDocuments, useAllDocuments) => {
+  const payload = {};
+
+  if (selectedDocuments && selectedDocuments.length > 0) {
+    payload.selected_documents = selectedDocuments;
+  }
+
+  if (useAllDocuments) {
+    payload.use_all_documents = true;
+  }
+  return payload;
+};
+
+/**
+ * Posts a chat request. With a token callback the answer is streamed from `${path}/stream`,
+ * falling back to a single request to `path` if the server does not stream.
+ * @param {string} path
+ * @param {object} payload
+ * @param {{onToken?: (token: string) => void, signal?: AbortSignal}} options
+ * @returns {Promise<ChatResponse>}
+ */
+const postChat = async (path, payload, { onToken, signal }) => {
+  if (onToken) {
+    try {
+      return await streamChat(`${path}/stream`, payload, { onToken, signal });
+    } catch (error) {
+      if (!(error instanceof StreamUnsupportedError)) throw error;
+    }
+  }
+
+  const response = await api.post(path, payload, { signal });
+  return response.data;
+};
+
 export const chatAPI = {
   /**
    * Sends a message to the chat API.
    * @param {string} message - The user's message.
    * @param {number[]} [selectedDocuments] - An array of selected document IDs for context.
    * @param {boolean} [useAllDocuments] - Flag to use all documents as context.
+   * @param {object} [options]
+   * @param {number} [options.conversationId] - The conversation the message belongs to.
+   * @param {import('./chatMemory').ChatMemory} [options.memory] - Earlier turns to send along.
+   * @param {(token: string) => void} [options.onToken] - When given, the answer is streamed and
+   *   reported piece by piece, falling back to a single request if the server does not stream.
+   * @param {AbortSignal} [options.signal] - Cancels the request when aborted.
    * @returns {Promise<ChatResponse>}
    */
-  sendMessage: async (message, selectedDocuments, useAllDocuments) => {
-    const payload = { message };
-    
-    if (selectedDocuments && selectedDocuments.length > 0) {
-      payload.selected_documents = selectedDocuments;
-    }
-    
-    if (useAllDocuments) {
-      payload.use_all_documents = true;
+  sendMessage: async (message, selectedDocuments, useAllDocuments, options = {}) => {
+    const payload = {
+      message,
+      ...contextPayload(selectedDocuments, useAllDocuments),
+      ...memoryPayload(options.memory),
+    };
+
+    if (options.conversationId) {
+      payload.conversation_id = options.conversationId;
     }
-    
-    const response = await api.post('/api/chat', payload);
+
+    return postChat('/api/chat', payload, options);
+  },
+
+  /**
+   * Asks a stored message's question again and replaces its answer.
+   * @param {number} messageId - The ID of the message to answer again.
+   * @param {number[]} [selectedDocuments] - An array of selected document IDs for context.
+   * @param {boolean} [useAllDocuments] - Flag to use all documents as context.
+   * @param {object} [options]
+   * @param {import('./chatMemory').ChatMemory} [options.memory] - The turns before it, to send along.
+   * @param {(token: string) => void} [options.onToken] - When given, the answer is streamed.
+   * @param {AbortSignal} [options.signal] - Cancels the request when aborted.
+   * @returns {Promise<ChatResponse>}
+   */
+  regenerateMessage: async (messageId, selectedDocuments, useAllDocuments, options = {}) => (
+    postChat(`/api/chat/messages/${messageId}/regenerate`, {
+      ...contextPayload(selectedDocuments, useAllDocuments),
+      ...memoryPayload(options.memory),
+    }, options)
+  ),
+
+  /**
+   * Deletes a question and its answer from the chat history.
+   * @param {number} messageId - The ID of the message to delete.
+   * @param {{ includeLater?: boolean }} [options] - Also delete every later message of its conversation.
+   * @returns {Promise<{ message: string }>}
+   */
+  deleteMessage: async (messageId, { includeLater = false } = {}) => {
+    const response = await api.delete(`/api/chat/messages/${messageId}`, {
+      params: includeLater ? { include_later: true } : undefined,
+    });
     return response.data;
   },
 
   /**
-   * Retrieves the user's chat history.
+   * Retrieves the user's chat history, optionally scoped to one conversation.
+   * @param {number} [conversationId] - The conversation whose messages to load.
    * @returns {Promise<{ history: ChatMessage[] }>}
    */
-  getChatHistory: async () => {
-    const response = await api.get('/api/chat/history');
+  getChatHistory: async (conversationId) => {
+    const response = await api.get('/api/chat/history', {
+      params: conversationId ? { conversation_id: conversationId } : undefined,
+    });
+    return response.data;
+  },
+
+  /**
+   * Retrieves all conversations for the user, most recently updated first.
+   * @returns {Promise<{ conversations: Conversation[] }>}
+   */
+  getConversations: async () => {
+    const response = await api.get('/api/conversations');
+    return response.data;
+  },
+
+  /**
+   * Creates a new, empty conversation.
+   * @param {string} title - The conversation title.
+   * @returns {Promise<{ conversation: Conversation }>}
+   */
+  createConversation: async (title) => {
+    const response = await api.post('/api/conversations', { title });
+    return response.data;
+  },
+
+  /**
+   * Updates a conversation's title or context settings.
+   * @param {number} conversationId - The ID of the conversation.
+   * @param {Partial<Pick<Conversation, 'title' | 'context_mode' | 'selected_documents' | 'collection_id'>>} updates
+   * @returns {Promise<{ conversation: Conversation }>}
+   */
+  updateConversation: async (conversationId, updates) => {
+    const response = await api.patch(`/api/conversations/${conversationId}`, updates);
+    return response.data;
+  },
+
+  /**
+   * Imports a conversation with its existing messages, without asking the AI again.
+   * Used to bring a guest session's history into a new account.
+   * @param {Pick<Conversation, 'title' | 'context_mode' | 'selected_documents' | 'collection_id'>} conversation
+   * @param {Array<Pick<ChatMessage, 'message' | 'response' | 'context_documents' | 'created_at'>>} messages
+   * @returns {Promise<{ conversation: Conversation }>}
+   */
+  importConversation: async (conversation, messages) => {
+    const response = await api.post('/api/conversations/import', { ...conversation, messages });
+    return response.data;
+  },
+
+  /**
+   * Copies a conversation up to, but not including, one of its messages into a new
+   * conversation, so that turn can be asked differently without losing the original.
+   * @param {number} conversationId - The ID of the conversation to branch.
+   * @param {number} beforeMessageId - The first message not to copy.
+   * @returns {Promise<{ conversation: Conversation }>}
+   */
+  branchConversation: async (conversationId, beforeMessageId) => {
+    const response = await api.post(`/api/conversations/${conversationId}/branch`, { before_message_id: beforeMessageId });
+    return response.data;
+  },
+
+  /**
+   * Deletes a conversation and all of its messages.
+   * @param {number} conversationId - The ID of the conversation to delete.
+   * @returns {Promise<{ message: string }>}
+   */
+  deleteConversation: async (conversationId) => {
+    const response = await api.delete(`/api/conversations/${conversationId}`);
+    return response.data;
+  },
+};
+
+export const searchAPI = {
+  /**
+   * Searches the user's chat history and document text.
+   * @param {string} query - The search terms.
+   * @param {object} [options]
+   * @param {AbortSignal} [options.signal] - Cancels the search when aborted.
+   * @returns {Promise<{ results: import('./search').SearchResult[] }>}
+   */
+  search: async (query, options = {}) => {
+    const response = await api.get('/api/search', { params: { q: query }, signal: options.signal });
     return response.data;
   },
 };
 
-export default api;
\ No newline at end of file
+export default api;
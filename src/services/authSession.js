@@ -0,0 +1,79 @@
+/**
+ * Helpers for the signed-in session kept in localStorage: the access token, the optional
+ * refresh token and the cached user, plus decoding of the access token's expiry.
+ */
+
+export const TOKEN_KEY = 'token';
+export const REFRESH_TOKEN_KEY = 'refreshToken';
+export const USER_KEY = 'user';
+
+/** Dispatched on `window` when the session can no longer be refreshed. */
+export const SESSION_EXPIRED_EVENT = 'askstash:session-expired';
+
+/** Dispatched on `window` after the access token has been replaced by a refresh. */
+export const TOKEN_REFRESHED_EVENT = 'askstash:token-refreshed';
+
+/**
+ * Stores the tokens and user from an AuthResponse. A response without a refresh token
+ * keeps the current one, as refresh endpoints may not rotate it.
+ * @param {{access_token: string, refresh_token?: string, user?: object}} authResponse
+ */
+export const storeSession = ({ access_token: accessToken, refresh_token: refreshToken, user }) => {
+  localStorage.setItem(TOKEN_KEY, accessToken);
+  if (refreshToken) {
+    localStorage.setItem(REFRESH_TOKEN_KEY, refreshToken);
+  }
+  if (user) {
+    localStorage.setItem(USER_KEY, JSON.stringify(user));
+  }
+};
+
+/**
+ * Removes every trace of the signed-in session.
+ */
+export const clearSession = () => {
+  localStorage.removeItem(TOKEN_KEY);
+  localStorage.removeItem(REFRESH_TOKEN_KEY);
+  localStorage.removeItem(USER_KEY);
+};
+
+/**
+ * Decodes the payload of a JWT without verifying it; the server remains the authority.
+ * @param {string | null} token
+ * @returns {object | null} The payload, or null if the token is not a JWT.
+ */
+export const decodeTokenPayload = (token) => {
+  const payload = token?.split('.')[1];
+  if (!payload) return null;
+  try {
+    const base64 = payload.replace(/-/g, '+').replace(/_/g, '/');
+    const padded = base64.padEnd(base64.length + ((4 - (base64.length % 4)) % 4), '=');
+    return JSON.parse(decodeURIComponent(
+      atob(padded).split('').map(c => `%${c.charCodeAt(0).toString(16).padStart(2, '0')}`).join('')
+    ));
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Returns when a token expires, from its `exp` claim.
+ * @param {string | null} token
+ * @returns {number | null} Milliseconds since the epoch, or null if the token carries no expiry.
+ */
+export const getTokenExpiry = (token) => {
+  const exp = decodeTokenPayload(token)?.exp;
+  return typeof exp === 'number' ? exp * 1000 : null;
+};
+
+/**
+ * Tells whether a token has expired, or will within the given margin.
+ * Tokens without an expiry never count as expired.
+ * @param {string | null} token
+ * @param {number} [marginMs]
+ * @returns {boolean}
+ */
+export const isTokenExpired = (token, marginMs = 0) => {
+  const expiry = getTokenExpiry(token);
+  return expiry !== null && expiry - marginMs <= Date.now();
+};
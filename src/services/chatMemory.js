@@ -0,0 +1,109 @@
+import { estimateTokens } from './tokens';
+
+/**
+ * Conversational memory sent with each question, so follow-ups can refer to earlier turns.
+ * The most recent turns go along verbatim while they fit the token budget; older turns are
+ * condensed into a short summary written in the browser.
+ *
+ * @typedef {object} ChatMemory
+ * @property {Array<{role: 'user' | 'assistant', content: string}>} history - The recent turns, oldest first.
+ * @property {string} summary - A digest of the older turns, empty when none were left out.
+ * @property {number} carriedTurns - Turns sent verbatim.
+ * @property {number} summarizedTurns - Turns only included in the summary.
+ * @property {number} tokens - Estimated size of the history and summary together.
+ */
+
+// Share of the budget the summary of older turns may take.
+const SUMMARY_SHARE = 0.2;
+const SUMMARY_QUESTION_LENGTH = 100;
+const SUMMARY_ANSWER_LENGTH = 140;
+
+const EMPTY_MEMORY = { history: [], summary: '', carriedTurns: 0, summarizedTurns: 0, tokens: 0 };
+
+const truncate = (text, length) => (text.length > length ? `${text.slice(0, length - 1).trimEnd()}…` : text);
+
+/**
+ * Reduces a Markdown answer to plain text: formatting, citation markers and code blocks
+ * matter little in a summary.
+ * @param {string} markdown
+ * @returns {string}
+ */
+const plainText = (markdown) => markdown
+  .replace(/```[\s\S]*?```/g, ' (code) ')
+  .replace(/\[(\d+)\]/g, '')
+  .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1')
+  .replace(/[*_`#>|]/g, '')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+/**
+ * Condenses a turn to one line: the question and the start of its answer.
+ * @param {{message: string, response: string}} turn
+ * @returns {string}
+ */
+const summarizeTurn = (turn) => {
+  const text = plainText(turn.response);
+  const answer = text.match(/^.*?[.!?](?=\s|$)/)?.[0] || text;
+  return `- Asked "${truncate(plainText(turn.message), SUMMARY_QUESTION_LENGTH)}": ${truncate(answer, SUMMARY_ANSWER_LENGTH)}`;
+};
+
+/**
+ * Picks the memory to send with the next question. Notices, such as upload confirmations
+ * and error placeholders, and turns still without an answer are not part of the chat.
+ * @param {Array<{message: string, response: string, notice?: boolean}>} shownTurns - The
+ *   earlier turns, oldest first.
+ * @param {number} tokenBudget - The most tokens the memory may take; 0 turns memory off.
+ * @returns {ChatMemory}
+ */
+export const buildChatMemory = (shownTurns, tokenBudget) => {
+  const turns = shownTurns.filter(turn => turn.response && !turn.notice);
+  if (tokenBudget <= 0 || turns.length === 0) return EMPTY_MEMORY;
+
+  const summaryBudget = Math.floor(tokenBudget * SUMMARY_SHARE);
+  const historyBudget = tokenBudget - summaryBudget;
+
+  // Walk back from the latest turn while whole turns still fit.
+  let historyTokens = 0;
+  let firstCarried = turns.length;
+  while (firstCarried > 0) {
+    const turn = turns[firstCarried - 1];
+    const turnTokens = estimateTokens(turn.message) + estimateTokens(turn.response);
+    if (historyTokens + turnTokens > historyBudget) break;
+    historyTokens += turnTokens;
+    firstCarried -= 1;
+  }
+
+  // Summarize the older turns, dropping the oldest lines if even the summary is too long.
+  const summaryLines = turns.slice(0, firstCarried).map(summarizeTurn);
+  const writeSummary = () => (summaryLines.length > 0
+    ? `Earlier in this conversation:\n${summaryLines.join('\n')}`
+    : '');
+  let summary = writeSummary();
+  while (summaryLines.length > 0 && estimateTokens(summary) > summaryBudget) {
+    summaryLines.shift();
+    summary = writeSummary();
+  }
+
+  return {
+    history: turns.slice(firstCarried).flatMap(turn => [
+      { role: 'user', content: turn.message },
+      { role: 'assistant', content: turn.response },
+    ]),
+    summary,
+    carriedTurns: turns.length - firstCarried,
+    summarizedTurns: summaryLines.length,
+    tokens: historyTokens + estimateTokens(summary),
+  };
+};
+
+/**
+ * The fields a chat request carries its memory in.
+ * @param {ChatMemory} [memory]
+ * @returns {{history?: ChatMemory['history'], history_summary?: string}}
+ */
+export const memoryPayload = (memory) => {
+  const payload = {};
+  if (memory?.history.length > 0) payload.history = memory.history;
+  if (memory?.summary) payload.history_summary = memory.summary;
+  return payload;
+};
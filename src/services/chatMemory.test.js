@@ -0,0 +1,95 @@
+import { buildChatMemory, memoryPayload } from './chatMemory';
+import { estimateTokens } from './tokens';
+
+const turn = (index, response = `Answer ${index}. ${'More detail follows here. '.repeat(7)}`) => ({
+  message: `Question ${index}?`,
+  response,
+});
+
+const turnTokens = (t) => estimateTokens(t.message) + estimateTokens(t.response);
+
+describe('buildChatMemory', () => {
+  it('sends nothing when memory is off or there is no earlier turn', () => {
+    expect(buildChatMemory([turn(1)], 0)).toMatchObject({ history: [], summary: '', tokens: 0 });
+    expect(buildChatMemory([], 2000)).toMatchObject({ history: [], summary: '', tokens: 0 });
+  });
+
+  it('leaves out notices and unanswered turns', () => {
+    const memory = buildChatMemory([
+      turn(1),
+      { message: 'Uploaded document: a.txt', response: 'Successfully uploaded "a.txt".', notice: true },
+      { message: 'Question 2?', response: '' },
+    ], 2000);
+
+    expect(memory.history.map(entry => entry.content)).toEqual(['Question 1?', turn(1).response]);
+  });
+
+  it('carries every turn verbatim while they fit', () => {
+    const turns = [turn(1), turn(2)];
+
+    const memory = buildChatMemory(turns, 2000);
+
+    expect(memory.history).toEqual([
+      { role: 'user', content: 'Question 1?' },
+      { role: 'assistant', content: turns[0].response },
+      { role: 'user', content: 'Question 2?' },
+      { role: 'assistant', content: turns[1].response },
+    ]);
+    expect(memory).toMatchObject({ summary: '', carriedTurns: 2, summarizedTurns: 0 });
+    expect(memory.tokens).toBe(turnTokens(turns[0]) + turnTokens(turns[1]));
+  });
+
+  it('carries the latest turns and summarizes older ones within the budget', () => {
+    const turns = Array.from({ length: 10 }, (_, index) => turn(index + 1));
+    // Room for three turns verbatim in the 80% history share.
+    const budget = Math.ceil((turnTokens(turns[0]) * 3) / 0.8) + 1;
+
+    const memory = buildChatMemory(turns, budget);
+
+    expect(memory.carriedTurns).toBe(3);
+    expect(memory.history[0].content).toBe('Question 8?');
+    expect(memory.summarizedTurns).toBeGreaterThan(0);
+    expect(memory.summary).toMatch(/^Earlier in this conversation:\n/);
+    expect(memory.tokens).toBeLessThanOrEqual(budget);
+  });
+
+  it('drops the oldest summary lines first', () => {
+    const turns = Array.from({ length: 10 }, (_, index) => turn(index + 1));
+    const budget = Math.ceil((turnTokens(turns[0]) * 3) / 0.8) + 1;
+
+    const { summary, summarizedTurns } = buildChatMemory(turns, budget);
+
+    expect(summarizedTurns).toBeLessThan(7);
+    expect(summary).toContain('Question 7?');
+    expect(summary).not.toContain('Question 1?');
+  });
+
+  it('summarizes a turn as its question and the first sentence of its plain-text answer', () => {
+    const turns = [
+      turn(1, '**Paris** is the capital [1]. It is also the largest city.'),
+      turn(2, 'x'.repeat(3000)),
+    ];
+
+    // Room for the last turn only.
+    const memory = buildChatMemory(turns, Math.ceil((turnTokens(turns[1]) + 1) / 0.8));
+
+    expect(memory.carriedTurns).toBe(1);
+    expect(memory.summary).toBe('Earlier in this conversation:\n- Asked "Question 1?": Paris is the capital .');
+  });
+
+  it('leaves out a last turn too long for the budget', () => {
+    const memory = buildChatMemory([turn(1, 'x'.repeat(40000))], 1000);
+
+    expect(memory.carriedTurns).toBe(0);
+    expect(memory.summarizedTurns).toBe(1);
+  });
+});
+
+describe('memoryPayload', () => {
+  it('adds only the parts of the memory that are not empty', () => {
+    expect(memoryPayload(undefined)).toEqual({});
+    expect(memoryPayload({ history: [], summary: '' })).toEqual({});
+    expect(memoryPayload({ history: [{ role: 'user', content: 'Hi' }], summary: 'Earlier' }))
+      .toEqual({ history: [{ role: 'user', content: 'Hi' }], history_summary: 'Earlier' });
+  });
+});
@@ -0,0 +1,82 @@
+/**
+ * Helpers for passage-level citations. Each context source may list the passages that
+ * were sent to the model; passages are numbered across the whole answer, and the answer
+ * refers to them with markers such as `[1]` or `[2, 3]`.
+ *
+ * @typedef {object} CitedPassage
+ * @property {number} number - The marker number used in the answer.
+ * @property {string} [chunk_id] - The retrieval chunk the passage came from.
+ * @property {number} start - Offset of the passage in the document's extracted text.
+ * @property {number} end - End offset (exclusive) of the passage.
+ * @property {string} snippet - A short quote from the start of the passage.
+ *
+ * @typedef {object} ContextSource
+ * @property {number | string} id - The document ID.
+ * @property {string} filename
+ * @property {CitedPassage[]} [passages]
+ *
+ * @typedef {object} Citation
+ * @property {number} number
+ * @property {number | string} documentId
+ * @property {string} filename
+ * @property {number} start
+ * @property {number} end
+ * @property {string} snippet
+ */
+
+const SNIPPET_LENGTH = 160;
+
+/** Matches a citation marker such as `[1]` or `[2, 3]`, capturing the numbers. */
+export const CITATION_MARKER = /\[(\d+(?:\s*,\s*\d+)*)\]/g;
+
+/**
+ * Shortens passage text to a quotable snippet, cut at a word boundary.
+ * @param {string} text
+ * @returns {string}
+ */
+export const makeSnippet = (text) => {
+  const normalized = text.replace(/\s+/g, ' ').trim();
+  if (normalized.length <= SNIPPET_LENGTH) return normalized;
+  const cut = normalized.slice(0, SNIPPET_LENGTH);
+  const lastSpace = cut.lastIndexOf(' ');
+  return `${lastSpace > SNIPPET_LENGTH / 2 ? cut.slice(0, lastSpace) : cut}…`;
+};
+
+/**
+ * Reads the context sources stored with a chat message.
+ * @param {string | undefined} contextDocuments - JSON string of context sources.
+ * @returns {ContextSource[]}
+ */
+export const parseContextSources = (contextDocuments) => {
+  if (!contextDocuments) return [];
+  try {
+    const sources = JSON.parse(contextDocuments);
+    return Array.isArray(sources) ? sources : [];
+  } catch {
+    return [];
+  }
+};
+
+/**
+ * Lists the cited passages of an answer in marker order. Passages the model was given but
+ * did not refer to are left out when the answer is passed.
+ * @param {ContextSource[]} sources
+ * @param {string} [response] - The answer, whose markers pick the passages.
+ * @returns {Citation[]}
+ */
+export const collectCitations = (sources, response) => {
+  const cited = typeof response !== 'string'
+    ? null
+    : new Set([...response.matchAll(CITATION_MARKER)].flatMap(match => match[1].split(',').map(Number)));
+  return sources
+    .flatMap(source => (source.passages || []).map(passage => ({
+      number: passage.number,
+      documentId: source.id,
+      filename: source.filename,
+      start: passage.start,
+      end: passage.end,
+      snippet: passage.snippet,
+    })))
+    .filter(citation => Number.isInteger(citation.number) && (!cited || cited.has(citation.number)))
+    .sort((a, b) => a.number - b.number);
+};
@@ -0,0 +1,53 @@
+import { collectCitations, makeSnippet, parseContextSources } from './citations';
+
+const sources = [
+  {
+    id: 4,
+    filename: 'report.pdf',
+    passages: [
+      { number: 2, start: 100, end: 200, snippet: 'Second' },
+      { number: 1, start: 0, end: 100, snippet: 'First' },
+    ],
+  },
+  { id: 7, filename: 'notes.txt', passages: [{ number: 3, start: 0, end: 50, snippet: 'Third' }] },
+  { id: 9, filename: 'old.txt' },
+];
+
+describe('parseContextSources', () => {
+  it('reads a JSON array and ignores anything else', () => {
+    expect(parseContextSources(JSON.stringify(sources))).toEqual(sources);
+    expect(parseContextSources(undefined)).toEqual([]);
+    expect(parseContextSources('{"id": 1}')).toEqual([]);
+    expect(parseContextSources('not json')).toEqual([]);
+  });
+});
+
+describe('collectCitations', () => {
+  it('lists every passage in marker order without an answer', () => {
+    expect(collectCitations(sources).map(citation => [citation.number, citation.documentId])).toEqual([
+      [1, 4],
+      [2, 4],
+      [3, 7],
+    ]);
+  });
+
+  it('keeps only the passages the answer refers to', () => {
+    const citations = collectCitations(sources, 'Revenue grew [3], as planned [1, 3].');
+
+    expect(citations.map(citation => citation.number)).toEqual([1, 3]);
+    expect(citations[1]).toEqual({ number: 3, documentId: 7, filename: 'notes.txt', start: 0, end: 50, snippet: 'Third' });
+  });
+
+  it('lists nothing for an answer without markers', () => {
+    expect(collectCitations(sources, 'No sources cited.')).toEqual([]);
+  });
+});
+
+describe('makeSnippet', () => {
+  it('collapses whitespace and cuts long text at a word', () => {
+    expect(makeSnippet('  Short\n text ')).toBe('Short text');
+    const snippet = makeSnippet('word '.repeat(60));
+    expect(snippet.endsWith('word…')).toBe(true);
+    expect(snippet.length).toBeLessThanOrEqual(161);
+  });
+});
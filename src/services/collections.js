@@ -0,0 +1,54 @@
+/**
+ * Document tags and collections. A collection is a named, reusable context set: the
+ * documents picked for it plus every document carrying one of its tags, so newly tagged
+ * uploads join it without editing the collection.
+ *
+ * @typedef {object} Collection
+ * @property {number | string} id
+ * @property {string} name
+ * @property {Array<number | string>} document_ids - Documents added by hand.
+ * @property {string[]} tags - Documents with any of these tags belong to the collection.
+ * @property {string} created_at - ISO string format.
+ */
+
+const MAX_TAG_LENGTH = 32;
+
+/**
+ * Cleans up tags typed by a user: trimmed, lowercase, without duplicates or blanks.
+ * @param {string[]} tags
+ * @returns {string[]}
+ */
+export const normalizeTags = (tags) => [...new Set(
+  tags
+    .map(tag => String(tag).trim().toLowerCase().replace(/\s+/g, '-').slice(0, MAX_TAG_LENGTH))
+    .filter(Boolean),
+)];
+
+/**
+ * Splits comma-separated tag input into tags.
+ * @param {string} text
+ * @returns {string[]}
+ */
+export const parseTagInput = (text) => normalizeTags(text.split(','));
+
+/**
+ * Lists every tag used by the documents, alphabetically.
+ * @param {Array<{tags?: string[]}>} documents
+ * @returns {string[]}
+ */
+export const collectTags = (documents) => [...new Set(documents.flatMap(doc => doc.tags || []))].sort();
+
+/**
+ * Lists the IDs of the documents in a collection, in the order of `documents`. IDs of
+ * documents deleted since are dropped.
+ * @param {Collection | undefined} collection
+ * @param {Array<{id: number | string, tags?: string[]}>} documents
+ * @returns {Array<number | string>}
+ */
+export const resolveCollection = (collection, documents) => {
+  if (!collection) return [];
+  const picked = new Set(collection.document_ids.map(String));
+  return documents
+    .filter(doc => picked.has(String(doc.id)) || (doc.tags || []).some(tag => collection.tags.includes(tag)))
+    .map(doc => doc.id);
+};
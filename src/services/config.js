@@ -0,0 +1,82 @@
+/**
+ * Runtime configuration, read from `REACT_APP_*` environment variables at build time
+ * (see `.env.example`).
+ */
+
+const DEFAULT_API_BASE_URL = 'https://askstashserver.onrender.com';
+
+/**
+ * @typedef {object} OidcProvider
+ * @property {string} id - Sent to the backend, which holds the provider's client secret.
+ * @property {string} name - Shown on the login button.
+ * @property {string} authorizationUrl - The provider's authorization endpoint.
+ * @property {string} clientId
+ * @property {string} [scope] - Defaults to `openid email profile`.
+ */
+
+// The mock backend's stand-in provider, offered when it is enabled and none is configured.
+const MOCK_OIDC_PROVIDER = {
+  id: 'mock',
+  name: 'Mock SSO',
+  authorizationUrl: '/dev/oidc/authorize',
+  clientId: 'askstash-dev',
+};
+
+/**
+ * Reads the single sign-on providers from a JSON array.
+ * @param {string | undefined} value
+ * @returns {OidcProvider[]}
+ */
+const parseOidcProviders = (value) => {
+  if (!value) return [];
+  try {
+    const providers = JSON.parse(value);
+    return Array.isArray(providers)
+      ? providers.filter(provider => provider.id && provider.name && provider.authorizationUrl && provider.clientId)
+      : [];
+  } catch (error) {
+    console.error('Error reading REACT_APP_OIDC_PROVIDERS:', error);
+    return [];
+  }
+};
+
+/**
+ * Reads a numeric setting, falling back to the default when it is unset, empty or not a number.
+ * @param {string | undefined} value
+ * @param {number} fallback
+ * @returns {number}
+ */
+const parseNumber = (value, fallback) => {
+  // Number('') is 0, so an empty variable has to count as unset.
+  if (value === undefined || value.trim() === '') return fallback;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : fallback;
+};
+
+const useMockBackend = process.env.REACT_APP_USE_MOCK_BACKEND === 'true';
+const oidcProviders = parseOidcProviders(process.env.REACT_APP_OIDC_PROVIDERS);
+
+const config = {
+  /** Base URL shared by every backend call, authenticated and guest alike. */
+  apiBaseUrl: (process.env.REACT_APP_API_BASE_URL || DEFAULT_API_BASE_URL).replace(/\/+$/, ''),
+
+  /** Serve every request from the in-browser mock backend instead of the network. */
+  useMockBackend,
+
+  /** Single sign-on providers offered on the login page, signing in with OpenID Connect. */
+  oidcProviders: oidcProviders.length === 0 && useMockBackend ? [MOCK_OIDC_PROVIDER] : oidcProviders,
+
+  /**
+   * Most tokens of earlier turns sent with each question as conversational memory;
+   * 0 sends only the question.
+   */
+  chatMemoryTokens: Math.max(parseNumber(process.env.REACT_APP_CHAT_MEMORY_TOKENS, 2000), 0),
+
+  /** The model's context window in tokens; larger questions are blocked before sending. */
+  modelContextTokens: Math.max(parseNumber(process.env.REACT_APP_MODEL_CONTEXT_TOKENS, 32000), 1000),
+
+  /** Artificial latency of mock responses, in milliseconds. */
+  mockLatencyMs: parseNumber(process.env.REACT_APP_MOCK_LATENCY_MS, 300),
+};
+
+export default config;
@@ -0,0 +1,79 @@
+import { estimateTokens, estimateTokensFromLength } from './tokens';
+
+/**
+ * Estimates how much of the model's context window a question would take, before it is
+ * sent, and trims the documents in context to the ones that matter most.
+ *
+ * @typedef {object} ContextEstimate
+ * @property {number} documentTokens
+ * @property {number} questionTokens - The question and the conversational memory sent with it.
+ * @property {number} total
+ * @property {number} limit - The model's context window.
+ * @property {'ok' | 'warn' | 'over'} status - 'warn' once the estimate nears the limit.
+ */
+
+// Share of the limit at which a warning is shown.
+const WARN_SHARE = 0.8;
+// Trimming aims below the limit so the answer and small estimation errors still fit.
+const TRIM_SHARE = 0.75;
+
+/**
+ * Estimates the tokens a question would take with its documents and memory.
+ * @param {object} request
+ * @param {Array<{content_length?: number}>} request.documents - The documents in context.
+ * @param {string} request.question
+ * @param {number} [request.memoryTokens]
+ * @param {number} [request.maxDocumentChars] - The most document text sent, when only
+ *   retrieved passages are sent rather than whole documents.
+ * @param {number} limit - The model's context window, in tokens.
+ * @returns {ContextEstimate}
+ */
+export const estimateContext = ({ documents, question, memoryTokens = 0, maxDocumentChars = Infinity }, limit) => {
+  const documentTokens = Math.min(
+    documents.reduce((sum, doc) => sum + estimateTokensFromLength(doc.content_length), 0),
+    estimateTokensFromLength(maxDocumentChars),
+  );
+  const questionTokens = estimateTokens(question) + memoryTokens;
+  const total = documentTokens + questionTokens;
+  let status = 'ok';
+  if (total > limit) {
+    status = 'over';
+  } else if (total > limit * WARN_SHARE) {
+    status = 'warn';
+  }
+  return { documentTokens, questionTokens, total, limit, status };
+};
+
+/**
+ * Picks the most relevant documents that fit the budget together with the question.
+ * Documents are ranked by their best search score for the question, then newest first.
+ * @param {Array<{id: number | string, content_length?: number, created_at: string}>} documents - The candidates.
+ * @param {Array<{type: string, document_id?: number | string, score: number}>} searchResults - Search results for the question.
+ * @param {{limit: number, questionTokens: number}} budget
+ * @returns {Array<number | string>} The IDs of the documents to keep, most relevant first.
+ */
+export const trimToBudget = (documents, searchResults, { limit, questionTokens }) => {
+  const scores = new Map();
+  searchResults
+    .filter(result => result.type === 'document')
+    .forEach(result => {
+      const key = String(result.document_id);
+      scores.set(key, Math.max(scores.get(key) || 0, result.score));
+    });
+
+  const ranked = [...documents].sort((a, b) => (
+    (scores.get(String(b.id)) || 0) - (scores.get(String(a.id)) || 0)
+    || b.created_at.localeCompare(a.created_at)
+  ));
+
+  let remaining = Math.floor(limit * TRIM_SHARE) - questionTokens;
+  const kept = [];
+  ranked.forEach(doc => {
+    const tokens = estimateTokensFromLength(doc.content_length);
+    if (tokens <= remaining) {
+      kept.push(doc.id);
+      remaining -= tokens;
+    }
+  });
+  return kept;
+};
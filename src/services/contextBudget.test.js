@@ -0,0 +1,76 @@
+import { estimateContext, trimToBudget } from './contextBudget';
+
+describe('estimateContext', () => {
+  it('adds up documents, question and memory', () => {
+    const estimate = estimateContext({
+      documents: [{ content_length: 4000 }, { content_length: 400 }, {}],
+      question: 'What changed in the budget?',
+      memoryTokens: 50,
+    }, 32000);
+
+    expect(estimate).toEqual({
+      documentTokens: 1100,
+      questionTokens: 57,
+      total: 1157,
+      limit: 32000,
+      status: 'ok',
+    });
+  });
+
+  it('counts no more document text than is sent', () => {
+    const estimate = estimateContext({
+      documents: [{ content_length: 40000 }, { content_length: 40000 }],
+      question: '',
+      maxDocumentChars: 12000,
+    }, 32000);
+
+    expect(estimate).toMatchObject({ documentTokens: 3000, total: 3000, status: 'ok' });
+  });
+
+  it('warns near the limit and blocks past it', () => {
+    const estimate = (length) => estimateContext({ documents: [{ content_length: length }], question: '' }, 1000).status;
+
+    expect(estimate(3200)).toBe('ok');
+    expect(estimate(3204)).toBe('warn');
+    expect(estimate(4004)).toBe('over');
+  });
+});
+
+describe('trimToBudget', () => {
+  const documents = [
+    { id: 1, content_length: 2000, created_at: '2024-01-01T00:00:00Z' },
+    { id: 2, content_length: 2000, created_at: '2024-02-01T00:00:00Z' },
+    { id: 3, content_length: 2000, created_at: '2024-03-01T00:00:00Z' },
+  ];
+
+  it('keeps the best-matching documents that fit three quarters of the limit', () => {
+    const searchResults = [
+      { type: 'document', document_id: 1, score: 200 },
+      { type: 'document', document_id: 1, score: 300 },
+      { type: 'document', document_id: 2, score: 250 },
+      { type: 'message', message_id: 3, score: 900 },
+    ];
+
+    // 750 tokens of room: the question takes 200, each document 500.
+    expect(trimToBudget(documents, searchResults, { limit: 1000, questionTokens: 200 })).toEqual([1]);
+    expect(trimToBudget(documents, searchResults, { limit: 2000, questionTokens: 200 })).toEqual([1, 2]);
+  });
+
+  it('prefers newer documents when none match the question', () => {
+    expect(trimToBudget(documents, [], { limit: 2000, questionTokens: 0 })).toEqual([3, 2, 1]);
+    expect(trimToBudget(documents, [], { limit: 1400, questionTokens: 0 })).toEqual([3, 2]);
+  });
+
+  it('skips a document too large for the room left and keeps smaller ones', () => {
+    const mixed = [
+      { id: 'big', content_length: 8000, created_at: '2024-03-01T00:00:00Z' },
+      { id: 'small', content_length: 400, created_at: '2024-01-01T00:00:00Z' },
+    ];
+
+    expect(trimToBudget(mixed, [], { limit: 1000, questionTokens: 0 })).toEqual(['small']);
+  });
+
+  it('keeps nothing when the question alone fills the room', () => {
+    expect(trimToBudget(documents, [], { limit: 1000, questionTokens: 800 })).toEqual([]);
+  });
+});
@@ -0,0 +1,218 @@
+import { collectCitations, parseContextSources } from './citations';
+
+/**
+ * Export and import of conversations. Exports are built from the stored chat history and
+ * carry each answer's context sources and timestamps; the JSON format can be imported back
+ * into guest storage or an account.
+ *
+ * @typedef {object} ConversationExport
+ * @property {'askstash.conversation'} format
+ * @property {number} version
+ * @property {string} exported_at - ISO string format.
+ * @property {{title: string, created_at?: string, updated_at?: string}} conversation
+ * @property {Array<{message: string, response: string, created_at: string, context_sources: import('./citations').ContextSource[]}>} messages
+ */
+
+export const EXPORT_FORMAT = 'askstash.conversation';
+export const EXPORT_VERSION = 1;
+
+/**
+ * Thrown when a file to import is not a conversation export this version understands.
+ */
+export class ConversationImportError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ConversationImportError';
+  }
+}
+
+/**
+ * Gathers a conversation and its stored history into the export format.
+ * @param {{title: string, created_at?: string, updated_at?: string}} conversation
+ * @param {Array<{message: string, response: string, created_at: string, context_documents?: string}>} history
+ * @returns {ConversationExport}
+ */
+export const buildConversationExport = (conversation, history) => ({
+  format: EXPORT_FORMAT,
+  version: EXPORT_VERSION,
+  exported_at: new Date().toISOString(),
+  conversation: {
+    title: conversation.title,
+    created_at: conversation.created_at,
+    updated_at: conversation.updated_at,
+  },
+  messages: history.map(msg => ({
+    message: msg.message,
+    response: msg.response,
+    created_at: msg.created_at,
+    context_sources: parseContextSources(msg.context_documents),
+  })),
+});
+
+const formatTimestamp = (timestamp) => (timestamp ? new Date(timestamp).toLocaleString() : '');
+
+/**
+ * Lists the sources of an answer as Markdown: cited passages when known, otherwise filenames.
+ * @param {import('./citations').ContextSource[]} sources
+ * @param {string} response - The answer, whose markers pick the passages.
+ * @returns {string[]} Markdown lines.
+ */
+const sourceLines = (sources, response) => {
+  const citations = collectCitations(sources, response);
+  if (citations.length > 0) {
+    return citations.map(citation => `${citation.number}. **${citation.filename}**: "${citation.snippet}"`);
+  }
+  return sources.map(source => `- ${source.filename}`);
+};
+
+/**
+ * Writes an export as a Markdown document.
+ * @param {ConversationExport} data
+ * @returns {string}
+ */
+export const toMarkdown = (data) => {
+  const lines = [`# ${data.conversation.title}`, '', `_Exported from AskStash on ${formatTimestamp(data.exported_at)}_`];
+  data.messages.forEach(msg => {
+    lines.push('', '---', '', `### Question (${formatTimestamp(msg.created_at)})`, '', msg.message, '', '### Answer', '', msg.response);
+    if (msg.context_sources.length > 0) {
+      lines.push('', '**Sources**', '', ...sourceLines(msg.context_sources, msg.response));
+    }
+  });
+  return `${lines.join('\n')}\n`;
+};
+
+/**
+ * Writes an export as JSON for later import.
+ * @param {ConversationExport} data
+ * @returns {string}
+ */
+export const toJson = (data) => `${JSON.stringify(data, null, 2)}\n`;
+
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const PRINT_STYLES = `
+  body { font-family: system-ui, -apple-system, sans-serif; max-width: 46rem; margin: 2rem auto; padding: 0 1rem; color: #1f2937; line-height: 1.5; }
+  h1 { font-size: 1.5rem; margin-bottom: 0.25rem; }
+  .meta, time { color: #6b7280; font-size: 0.8rem; }
+  .turn { border-top: 1px solid #e5e7eb; padding: 1rem 0; break-inside: avoid-page; }
+  .question { background: #f3f4f6; border-radius: 0.5rem; padding: 0.5rem 0.75rem; white-space: pre-wrap; }
+  .answer { margin-top: 0.75rem; font-size: 0.9rem; }
+  .answer pre { background: #f9fafb; border: 1px solid #e5e7eb; padding: 0.5rem; overflow-x: auto; white-space: pre-wrap; }
+  .answer table { border-collapse: collapse; } .answer th, .answer td { border: 1px solid #d1d5db; padding: 0.25rem 0.5rem; }
+  .answer button { display: none; }
+  .katex-html { display: none; }
+  .sources { font-size: 0.8rem; color: #4b5563; margin-top: 0.5rem; }
+  .toolbar { text-align: right; } .toolbar button { padding: 0.4rem 1rem; }
+  @media print { .toolbar { display: none; } body { margin: 0; } }
+`;
+
+/**
+ * Writes an export as a standalone, print-ready HTML page.
+ * @param {ConversationExport} data
+ * @param {(markdown: string) => string} renderAnswer - Renders an answer's Markdown to safe HTML.
+ * @returns {string}
+ */
+export const toPrintableHtml = (data, renderAnswer) => {
+  const turns = data.messages.map(msg => {
+    const citations = collectCitations(msg.context_sources, msg.response);
+    const sources = citations.length > 0
+      ? `<ol class="sources">${citations.map(citation => `<li value="${citation.number}"><strong>${escapeHtml(citation.filename)}</strong>: “${escapeHtml(citation.snippet)}”</li>`).join('')}</ol>`
+      : msg.context_sources.length > 0
+        ? `<p class="sources">Sources: ${msg.context_sources.map(source => escapeHtml(source.filename)).join(', ')}</p>`
+        : '';
+    return `<section class="turn">
+  <time>${escapeHtml(formatTimestamp(msg.created_at))}</time>
+  <div class="question">${escapeHtml(msg.message)}</div>
+  <div class="answer">${renderAnswer(msg.response)}</div>
+  ${sources}
+</section>`;
+  }).join('\n');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(data.conversation.title)}</title>
+<style>${PRINT_STYLES}</style>
+</head>
+<body>
+<div class="toolbar"><button onclick="window.print()">Print</button></div>
+<h1>${escapeHtml(data.conversation.title)}</h1>
+<p class="meta">Exported from AskStash on ${escapeHtml(formatTimestamp(data.exported_at))}</p>
+${turns}
+</body>
+</html>
+`;
+};
+
+/**
+ * Reads a JSON export and prepares it for import. Sources are matched to the target
+ * workspace's documents by filename, so citations open the right document; sources
+ * without a match keep their quotes but cannot be opened.
+ * @param {string} text - The file contents.
+ * @param {Array<{id: number | string, filename: string}>} documents - Documents in the target workspace.
+ * @returns {{conversation: {title: string}, messages: Array<{message: string, response: string, created_at?: string, context_documents?: string}>}}
+ * @throws {ConversationImportError} When the file is not a valid export.
+ */
+export const parseConversationImport = (text, documents) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new ConversationImportError('This file is not valid JSON.');
+  }
+  if (data?.format !== EXPORT_FORMAT) {
+    throw new ConversationImportError('This file is not an AskStash conversation export.');
+  }
+  if (data.version > EXPORT_VERSION) {
+    throw new ConversationImportError('This export comes from a newer version of AskStash.');
+  }
+  if (!Array.isArray(data.messages)
+      || data.messages.some(msg => typeof msg?.message !== 'string' || typeof msg?.response !== 'string')) {
+    throw new ConversationImportError('The export has no readable messages.');
+  }
+
+  const documentIds = new Map(documents.map(doc => [doc.filename, doc.id]));
+  return {
+    conversation: { title: String(data.conversation?.title || 'Imported conversation') },
+    messages: data.messages.map(msg => {
+      const sources = (Array.isArray(msg.context_sources) ? msg.context_sources : [])
+        .map(source => ({ ...source, id: documentIds.get(source.filename) ?? null }));
+      return {
+        message: msg.message,
+        response: msg.response,
+        created_at: msg.created_at,
+        context_documents: sources.length > 0 ? JSON.stringify(sources) : undefined,
+      };
+    }),
+  };
+};
+
+/**
+ * Saves text as a file download.
+ * @param {string | Blob} content
+ * @param {string} filename
+ * @param {string} type - The MIME type.
+ */
+export const downloadFile = (content, filename, type) => {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+/**
+ * Turns a conversation title into a safe file name stem.
+ * @param {string} title
+ * @returns {string}
+ */
+export const exportFileStem = (title) => {
+  const slug = title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 60);
+  return `askstash-${slug || 'conversation'}-${new Date().toISOString().slice(0, 10)}`;
+};
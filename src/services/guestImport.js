@@ -0,0 +1,154 @@
+import { chatAPI, documentAPI } from './api';
+import { guestService } from './guestService';
+
+/**
+ * Moves a former guest's workspace into their new account: documents are uploaded
+ * through documentAPI, collections are recreated around the uploaded documents, and
+ * conversations are imported with their existing answers.
+ *
+ * @typedef {object} ImportItem
+ * @property {string} key - Unique key for rendering.
+ * @property {'document' | 'collection' | 'conversation'} kind
+ * @property {string} label - What the user sees in the progress list.
+ * @property {'pending' | 'importing' | 'done' | 'failed'} status
+ * @property {string} [error] - Why the item failed.
+ * @property {object} source - The guest document or collection, or `{ conversation, messages }`.
+ *
+ * @typedef {object} ImportIdMaps - Guest IDs to account IDs of what has been imported so far.
+ * @property {Map<string, number>} documents
+ * @property {Map<string, number>} collections
+ */
+
+/**
+ * Guest storage keeps only extracted text, so non-text uploads are sent as `.txt`
+ * files to stop the server from parsing them as their original format.
+ * @param {import('./guestService').GuestDocument} doc
+ * @returns {File}
+ */
+const toUploadFile = (doc) => {
+  const isText = doc.file_type?.startsWith('text/') || /\.(txt|md|csv)$/i.test(doc.filename);
+  const filename = isText ? doc.filename : `${doc.filename}.txt`;
+  const type = isText && doc.file_type?.startsWith('text/') ? doc.file_type : 'text/plain';
+  return new File([doc.content], filename, { type });
+};
+
+/**
+ * Lists everything in the guest workspace as pending import items, documents first and
+ * collections next, so later items can refer to their new IDs.
+ * @returns {Promise<ImportItem[]>}
+ */
+export const buildImportItems = async () => {
+  const documents = await guestService.getDocuments();
+  const collections = await guestService.getCollections();
+  const conversations = await guestService.getConversations();
+
+  const documentItems = documents.map(doc => ({
+    key: `document-${doc.id}`,
+    kind: 'document',
+    label: doc.filename,
+    status: 'pending',
+    source: doc,
+  }));
+
+  const collectionItems = collections.map(collection => ({
+    key: `collection-${collection.id}`,
+    kind: 'collection',
+    label: collection.name,
+    status: 'pending',
+    source: collection,
+  }));
+
+  const conversationItems = [];
+  for (const conversation of conversations) {
+    const messages = await guestService.getChatHistory(conversation.id);
+    if (messages.length > 0) {
+      conversationItems.push({
+        key: `conversation-${conversation.id}`,
+        kind: 'conversation',
+        label: `${conversation.title} (${messages.length} message${messages.length === 1 ? '' : 's'})`,
+        status: 'pending',
+        source: { conversation, messages },
+      });
+    }
+  }
+
+  return [...documentItems, ...collectionItems, ...conversationItems];
+};
+
+/**
+ * Rewrites guest document IDs in a message's context sources to the uploaded documents' IDs,
+ * dropping sources whose document was not imported.
+ * @param {string} [contextDocuments] - JSON string of context sources.
+ * @param {Map<string, number>} documentIdMap - Guest document ID to account document ID.
+ * @returns {string | undefined}
+ */
+const remapContextDocuments = (contextDocuments, documentIdMap) => {
+  if (!contextDocuments) return undefined;
+  try {
+    const sources = JSON.parse(contextDocuments)
+      .filter(source => documentIdMap.has(String(source.id)))
+      .map(source => ({ ...source, id: documentIdMap.get(String(source.id)) }));
+    return sources.length > 0 ? JSON.stringify(sources) : undefined;
+  } catch {
+    return undefined;
+  }
+};
+
+/**
+ * Imports a single item into the signed-in account.
+ * @param {ImportItem} item
+ * @param {ImportIdMaps} idMaps - Filled with the IDs of imported documents and collections,
+ *   and read by the items that refer to them.
+ * @returns {Promise<void>}
+ */
+export const importItem = async (item, idMaps) => {
+  const { documents: documentIdMap, collections: collectionIdMap } = idMaps;
+  if (item.kind === 'document') {
+    const doc = item.source;
+    const response = await documentAPI.upload(toUploadFile(doc));
+    const newId = response?.document?.id ?? response?.id;
+    if (newId !== undefined) {
+      // Guest IDs are shown as numbers in the dashboard, so conversations may hold either form.
+      documentIdMap.set(String(doc.id), newId);
+      documentIdMap.set(String(parseInt(doc.id, 10)), newId);
+      if (doc.tags?.length > 0) await documentAPI.updateDocument(newId, { tags: doc.tags });
+    }
+    return;
+  }
+
+  if (item.kind === 'collection') {
+    const collection = item.source;
+    const response = await documentAPI.createCollection(collection.name, {
+      document_ids: (collection.document_ids || [])
+        .map(id => documentIdMap.get(String(id)))
+        .filter(id => id !== undefined),
+      tags: collection.tags || [],
+    });
+    if (response?.collection) collectionIdMap.set(String(collection.id), response.collection.id);
+    return;
+  }
+
+  const { conversation, messages } = item.source;
+  const collectionId = conversation.collection_id == null
+    ? null
+    : collectionIdMap.get(String(conversation.collection_id)) ?? null;
+  await chatAPI.importConversation(
+    {
+      title: conversation.title,
+      // A conversation whose collection was not imported has nothing left to draw on.
+      context_mode: conversation.context_mode === 'collection' && collectionId === null
+        ? 'none'
+        : conversation.context_mode,
+      selected_documents: (conversation.selected_documents || [])
+        .map(id => documentIdMap.get(String(id)))
+        .filter(id => id !== undefined),
+      collection_id: collectionId,
+    },
+    messages.map(msg => ({
+      message: msg.message,
+      response: msg.response,
+      context_documents: remapContextDocuments(msg.context_documents, documentIdMap),
+      created_at: msg.created_at,
+    })),
+  );
+};
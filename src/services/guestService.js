@@ -1,3 +1,15 @@
+import http, { isRequestCancelled, toProgressHandler } from './http';
+import { streamChat, StreamUnsupportedError } from './stream';
+import { chunkDocument, retrievePassages } from './retrieval';
+import { makeSnippet } from './citations';
+import { memoryPayload } from './chatMemory';
+import { buildConversationExport } from './conversationExport';
+import { normalizeTags } from './collections';
+import { canExtractLocally, ExtractionError, extractTextLocally } from './localExtraction';
+import { searchWorkspace } from './search';
+import GuestStore, { GuestStorageQuotaError, STORES } from './guestStore';
+import { formatBytes } from '../utils/formatBytes';
+
 /**
  * JSDoc for Guest Service data structures.
  *
@@ -7,29 +19,361 @@
  * @property {string} file_type
  * @property {string} created_at - ISO string format.
  * @property {string} content - The extracted text content of the document.
+ * @property {Blob} [original] - The uploaded file, kept for image uploads so it can be previewed.
+ * @property {string[]} [tags]
+ * @property {import('./retrieval').TextChunk[]} [chunks] - Passage boundaries used for retrieval.
  *
  * @typedef {object} GuestChatMessage
  * @property {string} id - Unique ID for the guest chat message.
  * @property {string} message - The user's message.
  * @property {string} response - The AI's response.
  * @property {string} [context_documents] - JSON string of context sources.
+ * @property {string} conversation_id - The conversation this message belongs to.
+ * @property {string} created_at - ISO string format.
+ *
+ * @typedef {object} GuestConversation
+ * @property {string} id - Unique ID for the guest conversation.
+ * @property {string} title
+ * @property {'none' | 'selected' | 'all' | 'collection'} context_mode
+ * @property {number[]} selected_documents
+ * @property {string | null} [collection_id] - The collection used in 'collection' mode.
  * @property {string} created_at - ISO string format.
+ * @property {string} updated_at - ISO string format.
+ */
+
+/**
+ * @typedef {object} GuestStorageInfo
+ * @property {number} documentsCount
+ * @property {number} conversationsCount
+ * @property {number} chatMessagesCount
+ * @property {string} estimatedSize - The size of all guest data, formatted for display.
+ * @property {number} totalBytes - The estimated size of all guest data.
+ * @property {number} messagesBytes - The estimated size of the chat history.
+ * @property {Array<{id: string, filename: string, created_at: string, size: number}>} documents - Largest first.
+ * @property {string | null} oldestMessageAt - When the oldest stored question was asked.
+ * @property {number | null} usage - Bytes the browser reports in use by this site.
+ * @property {number | null} quota - Bytes the browser allows this site.
+ */
+
+/**
+ * @typedef {object} GuestRetention
+ * @property {'session' | 'device'} mode - Cleared with the browser session, or kept on this device.
+ * @property {number} ttlDays - For 'device': days without use after which the workspace is cleared.
  */
 
+const DAY_MS = 24 * 60 * 60 * 1000;
+// A session-only workspace is cleared after this long without use.
+const SESSION_IDLE_MS = 30 * 60 * 1000;
+// Open guest tabs note that they are alive this often. Browsers slow down timers in
+// background tabs to about once a minute, so a tab only counts as gone well after that.
+const TAB_HEARTBEAT_MS = 10 * 1000;
+const TAB_HEARTBEAT_STALE_MS = 2 * 60 * 1000;
+
+// Saves are refused once they would take usage past this share of the browser quota.
+const QUOTA_SAFETY_SHARE = 0.95;
+
+/**
+ * Estimates the stored size of a record. Blobs serialize to `{}`, so kept originals are
+ * counted separately.
+ * @param {object} record
+ * @returns {number}
+ */
+const recordSize = (record) => JSON.stringify(record).length + (record.original?.size || 0);
+
+// Ids are the creation time in milliseconds followed by three digits that tell tabs apart,
+// so tabs writing to the same store in the same millisecond issue different ids.
+const ID_TAG_RANGE = 1000;
+// The tag given to the most recently opened tab, shared by all of them.
+const LAST_ID_TAG_KEY = 'guestLastIdTag';
+let tabIdTag = null;
+let lastId = 0;
+
+/**
+ * Gives this tab the tag after the one the previously opened tab took.
+ * @returns {number}
+ */
+const claimIdTag = () => {
+  const tag = ((parseInt(localStorage.getItem(LAST_ID_TAG_KEY), 10) || 0) + 1) % ID_TAG_RANGE;
+  localStorage.setItem(LAST_ID_TAG_KEY, tag.toString());
+  return tag;
+};
+
+/**
+ * Issues a record id: the current time in milliseconds tagged with this tab's digits, moved
+ * to a later millisecond when several records are created within one, as concurrent uploads
+ * are. Ids stay numeric strings, which the dashboard parses as numbers.
+ * @returns {string}
+ */
+const nextId = () => {
+  if (tabIdTag === null) tabIdTag = claimIdTag();
+  lastId = Math.max(lastId + ID_TAG_RANGE, Date.now() * ID_TAG_RANGE + tabIdTag);
+  return lastId.toString();
+};
+
+/**
+ * Asks the browser how much storage this site uses and may use.
+ * @returns {Promise<{usage: number | null, quota: number | null}>} Nulls when the browser does not say.
+ */
+const estimateBrowserStorage = async () => {
+  try {
+    const { usage, quota } = await navigator.storage.estimate();
+    return { usage: usage ?? null, quota: quota ?? null };
+  } catch {
+    return { usage: null, quota: null };
+  }
+};
+
 class GuestService {
   constructor() {
+    this.store = new GuestStore();
+    this.initialization = null;
+    // Set when a guest signs in or registers, until their data is imported or discarded.
+    this.pendingImportKey = 'guestImportPending';
+    // Set to 'local' when guest uploads must be extracted without leaving the browser.
+    this.extractionModeKey = 'guestExtractionMode';
+    // How long the workspace is kept (a GuestRetention) and when the guest was last active.
+    this.retentionKey = 'guestRetention';
+    this.lastActiveKey = 'guestModeLastActive';
+    // Set in sessionStorage while the browser session that uses the workspace lasts.
+    this.sessionMarkerKey = 'guestSessionActive';
+    // Refreshed by every open guest tab, so a new tab can tell whether the session goes on.
+    this.tabHeartbeatKey = 'guestTabHeartbeat';
+    this.lastHeartbeat = 0;
+    // Whether this page load continues a guest session; see initialize().
+    this.resumedGuestSession = localStorage.getItem('guestMode') === 'true'
+      || localStorage.getItem(this.pendingImportKey) === 'true';
+    // A session-only workspace whose browser session has ended is expired on arrival. The
+    // sessionStorage marker only covers this tab; another open tab keeps the session going.
+    this.sessionEnded = localStorage.getItem('guestMode') === 'true'
+      && this.getRetention().mode === 'session'
+      && sessionStorage.getItem(this.sessionMarkerKey) !== 'true'
+      && !this.hasOpenTab();
+    // Keys used by the previous localStorage-based storage, read once for migration.
     this.documentsKey = 'guestDocuments';
     this.chatHistoryKey = 'guestChatHistory';
+    this.conversationsKey = 'guestConversations';
   }
 
   /**
-   * Retrieves guest documents from local storage.
-   * @returns {GuestDocument[]} An array of guest documents.
+   * Returns the IndexedDB store once it has been initialized.
+   * @returns {Promise<GuestStore>}
    */
-  getDocuments() {
+  async getStore() {
+    this.recordActivity();
+    if (!this.initialization) {
+      this.initialization = this.initialize();
+    }
+    await this.initialization;
+    return this.store;
+  }
+
+  /**
+   * Prepares the store on first use. A continuing guest session gets its localStorage data
+   * from earlier versions migrated; otherwise anything left behind by a session whose unload
+   * cleanup did not finish is discarded, so a new guest starts empty.
+   * @returns {Promise<void>}
+   */
+  async initialize() {
+    if (this.resumedGuestSession) {
+      await this.migrateFromLocalStorage();
+    } else {
+      await this.store.clear();
+    }
+  }
+
+  /**
+   * Moves guest data from the old localStorage keys into IndexedDB, then removes the keys.
+   * A single chat history saved before conversations existed becomes a conversation of its own.
+   * @returns {Promise<void>}
+   */
+  async migrateFromLocalStorage() {
+    const parse = (key) => {
+      try {
+        const stored = localStorage.getItem(key);
+        return stored ? JSON.parse(stored) : null;
+      } catch (error) {
+        console.error(`Error reading legacy guest data from ${key}:`, error);
+        return null;
+      }
+    };
+
+    const documents = parse(this.documentsKey) || [];
+    const conversations = parse(this.conversationsKey) || [];
+    const legacyHistory = parse(this.chatHistoryKey);
+    const messages = conversations.flatMap(conv => (
+      (parse(`${this.chatHistoryKey}:${conv.id}`) || []).map(msg => ({ ...msg, conversation_id: conv.id }))
+    ));
+
+    if (legacyHistory && legacyHistory.length > 0) {
+      const now = new Date().toISOString();
+      const conversation = {
+        id: `legacy-${Date.now()}`,
+        title: 'Previous chat',
+        context_mode: 'none',
+        selected_documents: [],
+        created_at: now,
+        updated_at: now,
+      };
+      conversations.push(conversation);
+      messages.push(...legacyHistory.map(msg => ({ ...msg, conversation_id: conversation.id })));
+    }
+
+    if (documents.length > 0) await this.store.put(STORES.documents, documents);
+    if (conversations.length > 0) await this.store.put(STORES.conversations, conversations);
+    if (messages.length > 0) await this.store.put(STORES.messages, messages);
+
+    conversations.forEach(conv => localStorage.removeItem(`${this.chatHistoryKey}:${conv.id}`));
+    localStorage.removeItem(this.documentsKey);
+    localStorage.removeItem(this.conversationsKey);
+    localStorage.removeItem(this.chatHistoryKey);
+  }
+
+  /**
+   * Keeps the guest workspace when leaving guest mode so it can be imported into an account.
+   */
+  markPendingImport() {
+    localStorage.setItem(this.pendingImportKey, 'true');
+  }
+
+  /**
+   * Tells whether a former guest workspace is waiting to be imported or discarded.
+   * @returns {boolean}
+   */
+  hasPendingImport() {
+    return localStorage.getItem(this.pendingImportKey) === 'true';
+  }
+
+  /**
+   * Forgets the pending import without touching the stored data, e.g. when resuming guest mode.
+   */
+  clearPendingImport() {
+    localStorage.removeItem(this.pendingImportKey);
+  }
+
+  /**
+   * Returns how long the guest workspace is kept.
+   * @returns {GuestRetention}
+   */
+  getRetention() {
     try {
-      const stored = localStorage.getItem(this.documentsKey);
-      return stored ? JSON.parse(stored) : [];
+      const stored = JSON.parse(localStorage.getItem(this.retentionKey));
+      if (stored?.mode === 'device' && stored.ttlDays > 0) return { mode: 'device', ttlDays: stored.ttlDays };
+    } catch (error) {
+      console.error('Error reading guest retention:', error);
+    }
+    return { mode: 'session', ttlDays: 0 };
+  }
+
+  /**
+   * Chooses how long the guest workspace is kept, counting from now.
+   * @param {GuestRetention} retention
+   */
+  setRetention(retention) {
+    localStorage.setItem(this.retentionKey, JSON.stringify(retention));
+    this.beginSession();
+  }
+
+  /**
+   * Starts or resumes using the guest workspace in this browser session.
+   */
+  beginSession() {
+    this.sessionEnded = false;
+    localStorage.setItem(this.lastActiveKey, Date.now().toString());
+    sessionStorage.setItem(this.sessionMarkerKey, 'true');
+  }
+
+  /**
+   * Notes that this tab still shows the guest workspace. Called regularly while it is open;
+   * writes at most every few seconds.
+   */
+  recordHeartbeat() {
+    if (localStorage.getItem('guestMode') !== 'true' || Date.now() - this.lastHeartbeat < TAB_HEARTBEAT_MS) return;
+    this.lastHeartbeat = Date.now();
+    localStorage.setItem(this.tabHeartbeatKey, this.lastHeartbeat.toString());
+  }
+
+  /**
+   * Tells whether another tab has shown the guest workspace recently.
+   * @returns {boolean}
+   */
+  hasOpenTab() {
+    const heartbeat = parseInt(localStorage.getItem(this.tabHeartbeatKey), 10);
+    return Boolean(heartbeat) && Date.now() - heartbeat < TAB_HEARTBEAT_STALE_MS;
+  }
+
+  /**
+   * Notes that the guest is using the workspace, which postpones its expiry. An expired
+   * workspace stays expired until it is cleared.
+   */
+  recordActivity() {
+    if (localStorage.getItem('guestMode') !== 'true' || this.isExpired()) return;
+    localStorage.setItem(this.lastActiveKey, Date.now().toString());
+    sessionStorage.setItem(this.sessionMarkerKey, 'true');
+  }
+
+  /**
+   * Tells whether the guest workspace has expired and is due to be cleared.
+   * @returns {boolean}
+   */
+  isExpired() {
+    return Date.now() >= this.getExpiry();
+  }
+
+  /**
+   * Tells when the guest workspace expires: after a spell of inactivity for session-only
+   * workspaces, which also end with the browser session, or after the chosen number of days
+   * without use for workspaces kept on the device.
+   * @returns {number} A timestamp in milliseconds.
+   */
+  getExpiry() {
+    const lastActive = parseInt(localStorage.getItem(this.lastActiveKey), 10) || Date.now();
+    const retention = this.getRetention();
+    if (retention.mode === 'device') return lastActive + retention.ttlDays * DAY_MS;
+    return this.sessionEnded ? lastActive : lastActive + SESSION_IDLE_MS;
+  }
+
+  /**
+   * Collects the whole guest workspace for download, e.g. before it expires. Conversations
+   * use the conversation export format, so each can be imported again.
+   * @returns {Promise<object>}
+   */
+  async exportWorkspace() {
+    const store = await this.getStore();
+    const [documents, conversations, collections] = await Promise.all([
+      store.getAll(STORES.documents),
+      store.getAll(STORES.conversations),
+      store.getAll(STORES.collections),
+    ]);
+    const conversationExports = [];
+    for (const conversation of conversations) {
+      conversationExports.push(buildConversationExport(conversation, await this.getChatHistory(conversation.id)));
+    }
+
+    return {
+      format: 'askstash.guest-workspace',
+      version: 1,
+      exported_at: new Date().toISOString(),
+      documents: documents.map(({ filename, file_type: fileType, created_at: createdAt, tags, content }) => ({
+        filename, file_type: fileType, created_at: createdAt, tags: tags || [], content,
+      })),
+      collections: collections.map(collection => ({
+        name: collection.name,
+        tags: collection.tags,
+        documents: documents.filter(doc => collection.document_ids.map(String).includes(String(doc.id))).map(doc => doc.filename),
+      })),
+      conversations: conversationExports,
+    };
+  }
+
+  /**
+   * Retrieves guest documents from IndexedDB.
+   * @returns {Promise<GuestDocument[]>} An array of guest documents, oldest first.
+   */
+  async getDocuments() {
+    try {
+      const store = await this.getStore();
+      const documents = await store.getAll(STORES.documents);
+      return documents.sort((a, b) => a.created_at.localeCompare(b.created_at));
     } catch (error) {
       console.error('Error loading guest documents:', error);
       return [];
@@ -37,36 +381,38 @@ class GuestService {
   }
 
   /**
-   * Saves a new document to guest storage.
+   * Saves a new document to guest storage, splitting its content into retrieval chunks.
    * @param {object} documentData - The document data to save.
    * @param {string} documentData.filename
    * @param {string} documentData.file_type
    * @param {string} documentData.content
-   * @returns {GuestDocument} The newly created guest document.
+   * @returns {Promise<GuestDocument>} The newly created guest document.
+   * @throws {GuestStorageQuotaError} When the browser has no room left for it.
    */
-  saveDocument(documentData) {
-    const documents = this.getDocuments();
+  async saveDocument(documentData) {
+    const store = await this.getStore();
+    const id = nextId();
     const newDocument = {
       ...documentData,
-      id: Date.now().toString(),
+      id,
       created_at: new Date().toISOString(),
+      chunks: chunkDocument(id, documentData.content),
     };
     
-    documents.push(newDocument);
-    localStorage.setItem(this.documentsKey, JSON.stringify(documents));
+    await this.ensureRoomFor(recordSize(newDocument));
+    await store.put(STORES.documents, newDocument);
     return newDocument;
   }
 
   /**
    * Deletes a document from guest storage by its ID.
    * @param {string} documentId - The ID of the document to delete.
-   * @returns {boolean} True if deletion was successful, false otherwise.
+   * @returns {Promise<boolean>} True if deletion was successful, false otherwise.
    */
-  deleteDocument(documentId) {
+  async deleteDocument(documentId) {
     try {
-      const documents = this.getDocuments();
-      const filteredDocuments = documents.filter(doc => doc.id !== documentId);
-      localStorage.setItem(this.documentsKey, JSON.stringify(filteredDocuments));
+      const store = await this.getStore();
+      await store.delete(STORES.documents, documentId);
       return true;
     } catch (error) {
       console.error('Error deleting guest document:', error);
@@ -77,196 +423,572 @@ class GuestService {
   /**
    * Retrieves a single guest document by its ID.
    * @param {string} documentId - The ID of the document to retrieve.
-   * @returns {GuestDocument | null} The document or null if not found.
+   * @returns {Promise<GuestDocument | null>} The document or null if not found.
+   */
+  async getDocument(documentId) {
+    const store = await this.getStore();
+    return (await store.get(STORES.documents, documentId)) || null;
+  }
+
+  /**
+   * Updates a guest document's tags.
+   * @param {string} documentId - The ID of the document.
+   * @param {{tags: string[]}} updates
+   * @returns {Promise<GuestDocument | null>} The updated document, or null if not found.
+   */
+  async updateDocument(documentId, updates) {
+    const store = await this.getStore();
+    const document = await store.get(STORES.documents, documentId);
+    if (!document) return null;
+
+    const updated = { ...document, tags: normalizeTags(updates.tags || []) };
+    await store.put(STORES.documents, updated);
+    return updated;
+  }
+
+  /**
+   * Retrieves guest document collections, by name.
+   * @returns {Promise<import('./collections').Collection[]>}
+   */
+  async getCollections() {
+    try {
+      const store = await this.getStore();
+      const collections = await store.getAll(STORES.collections);
+      return collections.sort((a, b) => a.name.localeCompare(b.name));
+    } catch (error) {
+      console.error('Error loading guest collections:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Creates a guest document collection.
+   * @param {string} name - The collection name.
+   * @param {{document_ids?: string[], tags?: string[]}} [contents] - The documents and tags it includes.
+   * @returns {Promise<import('./collections').Collection>} The new collection.
+   */
+  async createCollection(name, contents = {}) {
+    const store = await this.getStore();
+    const collection = {
+      id: nextId(),
+      name,
+      document_ids: contents.document_ids || [],
+      tags: normalizeTags(contents.tags || []),
+      created_at: new Date().toISOString(),
+    };
+    await store.put(STORES.collections, collection);
+    return collection;
+  }
+
+  /**
+   * Renames a guest collection or changes what it includes.
+   * @param {string} collectionId - The ID of the collection.
+   * @param {{name?: string, document_ids?: string[], tags?: string[]}} updates
+   * @returns {Promise<import('./collections').Collection | null>} The updated collection, or null if not found.
+   */
+  async updateCollection(collectionId, updates) {
+    const store = await this.getStore();
+    const collection = await store.get(STORES.collections, collectionId);
+    if (!collection) return null;
+
+    const updated = { ...collection, ...updates };
+    if (updates.tags) updated.tags = normalizeTags(updates.tags);
+    await store.put(STORES.collections, updated);
+    return updated;
+  }
+
+  /**
+   * Deletes a guest collection. Its documents are kept.
+   * @param {string} collectionId - The ID of the collection to delete.
+   * @returns {Promise<boolean>} True if deletion was successful, false otherwise.
    */
-  getDocument(documentId) {
-    const documents = this.getDocuments();
-    return documents.find(doc => doc.id === documentId) || null;
+  async deleteCollection(collectionId) {
+    try {
+      const store = await this.getStore();
+      await store.delete(STORES.collections, collectionId);
+      return true;
+    } catch (error) {
+      console.error('Error deleting guest collection:', error);
+      return false;
+    }
   }
 
   /**
-   * Retrieves the guest chat history from local storage.
-   * @returns {GuestChatMessage[]} An array of guest chat messages.
+   * Retrieves guest conversations, most recently updated first.
+   * @returns {Promise<GuestConversation[]>} An array of guest conversations.
    */
-  getChatHistory() {
+  async getConversations() {
     try {
-      const stored = localStorage.getItem(this.chatHistoryKey);
-      return stored ? JSON.parse(stored) : [];
-    } catch (error)      {
+      const store = await this.getStore();
+      const conversations = await store.getAll(STORES.conversations);
+      return conversations.sort((a, b) => b.updated_at.localeCompare(a.updated_at));
+    } catch (error) {
+      console.error('Error loading guest conversations:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Creates a new, empty guest conversation.
+   * @param {string} title - The conversation title.
+   * @returns {Promise<GuestConversation>} The newly created conversation.
+   */
+  async createConversation(title) {
+    const store = await this.getStore();
+    const now = new Date().toISOString();
+    const newConversation = {
+      id: nextId(),
+      title,
+      context_mode: 'none',
+      selected_documents: [],
+      created_at: now,
+      updated_at: now,
+    };
+
+    await store.put(STORES.conversations, newConversation);
+    return newConversation;
+  }
+
+  /**
+   * Updates a guest conversation's title or context settings.
+   * @param {string} conversationId - The ID of the conversation.
+   * @param {Partial<Pick<GuestConversation, 'title' | 'context_mode' | 'selected_documents'>>} updates
+   * @returns {Promise<GuestConversation | null>} The updated conversation or null if not found.
+   */
+  async updateConversation(conversationId, updates) {
+    const store = await this.getStore();
+    const conversation = await store.get(STORES.conversations, conversationId);
+    if (!conversation) return null;
+
+    const updated = { ...conversation, ...updates, updated_at: new Date().toISOString() };
+    await store.put(STORES.conversations, updated);
+    return updated;
+  }
+
+  /**
+   * Deletes a guest conversation together with its messages.
+   * @param {string} conversationId - The ID of the conversation to delete.
+   * @returns {Promise<boolean>} True if deletion was successful, false otherwise.
+   */
+  async deleteConversation(conversationId) {
+    try {
+      const store = await this.getStore();
+      await store.delete(STORES.conversations, conversationId, {
+        store: STORES.messages,
+        index: 'conversation_id',
+      });
+      return true;
+    } catch (error) {
+      console.error('Error deleting guest conversation:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Retrieves the chat history of a guest conversation.
+   * @param {string} conversationId - The ID of the conversation.
+   * @returns {Promise<GuestChatMessage[]>} An array of guest chat messages, oldest first.
+   */
+  async getChatHistory(conversationId) {
+    try {
+      const store = await this.getStore();
+      const history = await store.getAll(STORES.messages, { index: 'conversation_id', key: conversationId });
+      return history.sort((a, b) => a.created_at.localeCompare(b.created_at));
+    } catch (error) {
       console.error('Error loading guest chat history:', error);
       return [];
     }
   }
 
   /**
-   * Saves a new chat message to guest history.
+   * Saves a new chat message to a guest conversation.
    * @param {object} messageData - The chat message data.
    * @param {string} messageData.message
    * @param {string} messageData.response
    * @param {string} [messageData.context_documents]
-   * @returns {GuestChatMessage} The newly created chat message.
+   * @param {string} conversationId - The ID of the conversation.
+   * @returns {Promise<GuestChatMessage>} The newly created chat message.
+   * @throws {GuestStorageQuotaError} When the browser has no room left for it.
    */
-  saveChatMessage(messageData) {
-    const history = this.getChatHistory();
+  async saveChatMessage(messageData, conversationId) {
+    const store = await this.getStore();
     const newMessage = {
       ...messageData,
-      id: Date.now().toString(),
+      id: nextId(),
+      conversation_id: conversationId,
       created_at: new Date().toISOString(),
     };
     
-    history.push(newMessage);
-    localStorage.setItem(this.chatHistoryKey, JSON.stringify(history));
+    await store.put(STORES.messages, newMessage);
+    await this.updateConversation(conversationId, {});
     return newMessage;
   }
 
   /**
-   * Generates an AI response using the backend, providing document context if specified.
+   * Replaces the stored answer of a guest chat message, e.g. after regenerating it.
+   * @param {string} messageId - The ID of the message.
+   * @param {{response: string, context_documents?: string}} updates
+   * @returns {Promise<GuestChatMessage | null>} The updated message, or null if not found.
+   * @throws {GuestStorageQuotaError} When the browser has no room left for it.
+   */
+  async updateChatMessage(messageId, updates) {
+    const store = await this.getStore();
+    const message = await store.get(STORES.messages, messageId);
+    if (!message) return null;
+
+    const updated = { ...message, ...updates };
+    await store.put(STORES.messages, updated);
+    await this.updateConversation(message.conversation_id, {});
+    return updated;
+  }
+
+  /**
+   * Deletes a guest question and its answer.
+   * @param {string} messageId - The ID of the message to delete.
+   * @param {{includeLater?: boolean}} [options] - Also delete every later message of its conversation.
+   * @returns {Promise<boolean>} True if deletion was successful, false otherwise.
+   */
+  async deleteChatMessage(messageId, { includeLater = false } = {}) {
+    try {
+      const store = await this.getStore();
+      const message = await store.get(STORES.messages, messageId);
+      if (!message) return false;
+
+      let toDelete = [message];
+      if (includeLater) {
+        const history = await this.getChatHistory(message.conversation_id);
+        toDelete = history.slice(history.findIndex(msg => msg.id === messageId));
+      }
+      for (const msg of toDelete) {
+        await store.delete(STORES.messages, msg.id);
+      }
+      return true;
+    } catch (error) {
+      console.error('Error deleting guest chat message:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Copies a guest conversation up to, but not including, one of its messages into a new
+   * conversation, so that turn can be asked differently without losing the original.
+   * @param {string} conversationId - The ID of the conversation to branch.
+   * @param {string} beforeMessageId - The first message not to copy.
+   * @returns {Promise<GuestConversation | null>} The new conversation, or null if the original is gone.
+   * @throws {GuestStorageQuotaError} When the browser has no room left for it.
+   */
+  async branchConversation(conversationId, beforeMessageId) {
+    const store = await this.getStore();
+    const conversation = await store.get(STORES.conversations, conversationId);
+    if (!conversation) return null;
+
+    const history = await this.getChatHistory(conversationId);
+    const cutoff = history.findIndex(msg => msg.id === beforeMessageId);
+    const branch = await this.importConversation(
+      { title: `${conversation.title} (edited)` },
+      cutoff === -1 ? history : history.slice(0, cutoff),
+    );
+    return this.updateConversation(branch.id, {
+      context_mode: conversation.context_mode,
+      selected_documents: conversation.selected_documents,
+      collection_id: conversation.collection_id ?? null,
+    });
+  }
+
+  /**
+   * Searches the guest's chat history and document text.
+   * @param {string} query
+   * @returns {Promise<import('./search').SearchResult[]>} The best matches first.
+   */
+  async search(query) {
+    const store = await this.getStore();
+    const [conversations, messages, documents] = await Promise.all([
+      store.getAll(STORES.conversations),
+      store.getAll(STORES.messages),
+      store.getAll(STORES.documents),
+    ]);
+    return searchWorkspace(query, { conversations, messages, documents });
+  }
+
+  /**
+   * Restores a conversation with its existing answers, e.g. from an export file, keeping
+   * the original timestamps.
+   * @param {Pick<GuestConversation, 'title'>} conversation
+   * @param {Array<Pick<GuestChatMessage, 'message' | 'response' | 'context_documents' | 'created_at'>>} messages
+   * @returns {Promise<GuestConversation>} The new conversation.
+   * @throws {GuestStorageQuotaError} When the browser has no room left for it.
+   */
+  async importConversation(conversation, messages) {
+    const store = await this.getStore();
+    const now = new Date().toISOString();
+    const newConversation = {
+      id: nextId(),
+      title: conversation.title,
+      context_mode: 'none',
+      selected_documents: [],
+      created_at: messages[0]?.created_at || now,
+      updated_at: messages[messages.length - 1]?.created_at || now,
+    };
+
+    await store.put(STORES.conversations, newConversation);
+    for (const message of messages) {
+      await store.put(STORES.messages, {
+        id: nextId(),
+        conversation_id: newConversation.id,
+        message: message.message,
+        response: message.response,
+        context_documents: message.context_documents,
+        created_at: message.created_at || now,
+      });
+    }
+    return newConversation;
+  }
+
+  /**
+   * Generates an AI response using the backend. When documents are in context, only the
+   * passages most relevant to the message are sent, numbered so the answer can cite them,
+   * and each source reports its chunk IDs and cited passages back.
    * @param {string} message - The user's message.
    * @param {string[]} [selectedDocuments] - An array of selected document IDs for context.
    * @param {boolean} [useAllDocuments] - Flag to use all documents as context.
-   * @returns {Promise<{response: string, context_used: boolean, context_sources: Array<{id: string, filename: string}>}>}
+   * @param {object} [options]
+   * @param {import('./chatMemory').ChatMemory} [options.memory] - Earlier turns to send along.
+   * @param {(token: string) => void} [options.onToken] - When given, the answer is streamed and
+   *   reported piece by piece, falling back to a single request if the server does not stream.
+   * @param {AbortSignal} [options.signal] - Cancels the request when aborted; the cancellation is rethrown.
+   * @returns {Promise<{response: string, context_used: boolean, context_sources: Array<{id: string, filename: string, chunk_ids: string[], passages: import('./citations').CitedPassage[]}>}>}
+   * @throws {Error} When the answer could not be generated, so no failed answer is stored.
    */
-  async generateAIResponse(message, selectedDocuments, useAllDocuments) {
+  async generateAIResponse(message, selectedDocuments, useAllDocuments, options = {}) {
     try {
       let context = '';
       let contextSources = [];
 
+      let contextDocs = [];
       if (useAllDocuments) {
-        const allDocs = this.getDocuments();
-        context = allDocs.map(doc => `--- Document: ${doc.filename} ---\n${doc.content}`).join('\n\n');
-        contextSources = allDocs.map(doc => ({ id: doc.id, filename: doc.filename }));
+        contextDocs = await this.getDocuments();
       } else if (selectedDocuments && selectedDocuments.length > 0) {
-        const allDocs = this.getDocuments();
-        const selectedDocs = allDocs.filter(doc => selectedDocuments.includes(doc.id));
-        context = selectedDocs.map(doc => `--- Document: ${doc.filename} ---\n${doc.content}`).join('\n\n');
-        contextSources = selectedDocs.map(doc => ({ id: doc.id, filename: doc.filename }));
+        contextDocs = (await this.getDocuments()).filter(doc => selectedDocuments.includes(doc.id));
       }
-      
-      const response = await fetch('https://askstashserver.onrender.com/api/guest/chat', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ message, context, context_sources: contextSources }),
-      });
 
-      if (!response.ok) {
-        throw new Error('Failed to get AI response');
+      if (contextDocs.length > 0) {
+        const passages = retrievePassages(message, contextDocs)
+          .map((passage, index) => ({ ...passage, number: index + 1 }));
+        context = [
+          'Cite the passages you rely on with their numbers in square brackets, e.g. [1].',
+          ...passages.map(passage => {
+            const doc = contextDocs.find(d => d.id === passage.documentId);
+            return `--- [${passage.number}] Document: ${doc.filename} (passage ${passage.id}) ---\n${passage.text}`;
+          }),
+        ].join('\n\n');
+        contextSources = contextDocs
+          .map(doc => {
+            const docPassages = passages.filter(passage => passage.documentId === doc.id);
+            return {
+              id: doc.id,
+              filename: doc.filename,
+              chunk_ids: docPassages.map(passage => passage.id),
+              passages: docPassages.map(passage => ({
+                number: passage.number,
+                chunk_id: passage.id,
+                start: passage.start,
+                end: passage.end,
+                snippet: makeSnippet(passage.text),
+              })),
+            };
+          })
+          .filter(source => source.chunk_ids.length > 0);
       }
-
-      const data = await response.json();
+      
+      const payload = { message, context, context_sources: contextSources, ...memoryPayload(options.memory) };
+      const data = await this.requestAIResponse(payload, options);
       return {
         response: data.response,
         context_used: contextSources.length > 0,
         context_sources: contextSources,
       };
     } catch (error) {
-      console.error('Error generating AI response:', error);
-      return {
-        response: `I apologize, but I encountered an error while processing your request: ${error}`,
-        context_used: false,
-        context_sources: [],
-      };
+      if (!isRequestCancelled(error)) console.error('Error generating AI response:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Sends a guest chat payload, streaming the answer when a token callback is given.
+   * @param {object} payload - The guest chat request body.
+   * @param {object} [options]
+   * @param {(token: string) => void} [options.onToken] - Called with each piece of a streamed answer.
+   * @param {AbortSignal} [options.signal] - Cancels the request when aborted.
+   * @returns {Promise<{response: string}>}
+   */
+  async requestAIResponse(payload, { onToken, signal } = {}) {
+    if (onToken) {
+      try {
+        return await streamChat('/api/guest/chat/stream', payload, { onToken, signal });
+      } catch (error) {
+        if (!(error instanceof StreamUnsupportedError)) throw error;
+      }
+    }
+
+    const response = await http.post('/api/guest/chat', payload, { signal });
+    return response.data;
+  }
+
+  /**
+   * Tells whether guest uploads are extracted on this device only, never reaching the server.
+   * @returns {boolean}
+   */
+  isLocalExtractionOnly() {
+    return localStorage.getItem(this.extractionModeKey) === 'local';
+  }
+
+  /**
+   * Chooses between on-device-only extraction and server extraction with an on-device fallback.
+   * @param {boolean} localOnly
+   */
+  setLocalExtractionOnly(localOnly) {
+    if (localOnly) {
+      localStorage.setItem(this.extractionModeKey, 'local');
+    } else {
+      localStorage.removeItem(this.extractionModeKey);
     }
   }
 
   /**
-   * Extracts text from a file using a backend API, with a local fallback for text files.
+   * Extracts text from a file. By default the backend extracts it and the browser takes over
+   * when the backend cannot; in on-device-only mode the file is never uploaded.
    * @param {File} file - The file to process.
-   * @returns {Promise<string>} The extracted text or an error message.
+   * @param {object} [options]
+   * @param {AbortSignal} [options.signal] - Cancels the extraction when aborted; the cancellation is rethrown.
+   * @param {(progress: number) => void} [options.onProgress] - Called with the fraction of the file sent so far.
+   * @returns {Promise<string>} The extracted text.
+   * @throws {ExtractionError} When no text could be extracted, so nothing should be saved.
    */
-  async extractTextFromFile(file) {
+  async extractTextFromFile(file, options = {}) {
+    if (this.isLocalExtractionOnly()) {
+      if (!canExtractLocally(file)) {
+        throw new ExtractionError(`${file.name} can only be read by the server. Turn off on-device extraction to upload it.`);
+      }
+      return extractTextLocally(file, { signal: options.signal });
+    }
+
     try {
       const formData = new FormData();
       formData.append('file', file);
 
-      const response = await fetch('https://askstashserver.onrender.com/api/guest/extract-text', {
-        method: 'POST',
-        body: formData,
+      const response = await http.post('/api/guest/extract-text', formData, {
+        headers: {
+          'Content-Type': 'multipart/form-data',
+        },
+        signal: options.signal,
+        onUploadProgress: toProgressHandler(options.onProgress),
       });
-
-      if (!response.ok) {
-        throw new Error('Failed to extract text from file');
+      if (!response.data.extracted_text?.trim()) {
+        throw new Error('The server returned no text');
       }
-
-      const data = await response.json();
-      return data.extracted_text;
+      return response.data.extracted_text;
     } catch (error) {
+      if (isRequestCancelled(error)) throw error;
       console.error('Error extracting text:', error);
-      
-      if (file.type.startsWith('text/') || file.name.toLowerCase().endsWith('.txt')) {
-        return new Promise((resolve, reject) => {
-          const reader = new FileReader();
-          reader.onload = (e) => resolve(e.target?.result);
-          reader.onerror = () => reject(new Error('Failed to read text file'));
-          reader.readAsText(file);
-        });
+
+      if (canExtractLocally(file)) {
+        return extractTextLocally(file, { signal: options.signal });
       }
-      
-      return `[Error extracting text from ${file.name}]: ${error}`;
+      throw new ExtractionError(`Could not extract text from ${file.name}: ${error.response?.data?.detail || error.message}`);
     }
   }
 
   /**
-   * Clears all guest-related data from local storage.
+   * Clears all guest-related data.
+   * @returns {Promise<void>}
    */
-  clearAllData() {
-    localStorage.removeItem(this.documentsKey);
-    localStorage.removeItem(this.chatHistoryKey);
+  async clearAllData() {
     localStorage.removeItem('guestMode');
+    localStorage.removeItem(this.lastActiveKey);
+    localStorage.removeItem(this.tabHeartbeatKey);
+    sessionStorage.removeItem(this.sessionMarkerKey);
+    this.sessionEnded = false;
+    this.clearPendingImport();
+    try {
+      const store = await this.getStore();
+      await store.clear();
+    } catch (error) {
+      console.error('Error clearing guest data:', error);
+    }
   }
 
   /**
-   * Provides information about the storage usage for guest data.
-   * @returns {{documentsCount: number, chatMessagesCount: number, estimatedSize: string}}
+   * Provides information about the storage usage for guest data, including the browser's
+   * own usage and quota where it reports them.
+   * @returns {Promise<GuestStorageInfo>}
    */
-  getStorageInfo() {
-    const documents = this.getDocuments();
-    const chatHistory = this.getChatHistory();
-    
-    const totalBytes = JSON.stringify(documents).length + JSON.stringify(chatHistory).length;
-    
-    let estimatedSize;
-    if (totalBytes < 1024) {
-      estimatedSize = `${totalBytes} bytes`;
-    } else if (totalBytes < 1024 * 1024) {
-      estimatedSize = `${(totalBytes / 1024).toFixed(1)} KB`;
-    } else {
-      estimatedSize = `${(totalBytes / (1024 * 1024)).toFixed(1)} MB`;
-    }
+  async getStorageInfo() {
+    const store = await this.getStore();
+    const [documents, conversations, chatHistory, collections] = await Promise.all([
+      store.getAll(STORES.documents),
+      store.getAll(STORES.conversations),
+      store.getAll(STORES.messages),
+      store.getAll(STORES.collections),
+    ]);
+
+    const documentSizes = documents
+      .map(doc => ({ id: doc.id, filename: doc.filename, created_at: doc.created_at, size: recordSize(doc) }))
+      .sort((a, b) => b.size - a.size);
+    const messagesBytes = chatHistory.reduce((sum, msg) => sum + recordSize(msg), 0);
+    const totalBytes = documentSizes.reduce((sum, doc) => sum + doc.size, 0)
+      + messagesBytes
+      + JSON.stringify(conversations).length
+      + JSON.stringify(collections).length;
+    const { usage, quota } = await estimateBrowserStorage();
 
     return {
       documentsCount: documents.length,
+      conversationsCount: conversations.length,
       chatMessagesCount: chatHistory.length,
-      estimatedSize
+      estimatedSize: formatBytes(totalBytes),
+      totalBytes,
+      messagesBytes,
+      documents: documentSizes,
+      oldestMessageAt: chatHistory.reduce((oldest, msg) => (!oldest || msg.created_at < oldest ? msg.created_at : oldest), null),
+      usage,
+      quota,
     };
   }
-}
-
-export const guestService = new GuestService();
 
-// Setup cleanup when user closes browser/tab
-window.addEventListener('beforeunload', () => {
-  if (localStorage.getItem('guestMode') === 'true') {
-    guestService.clearAllData();
+  /**
+   * Checks that the browser has room for more guest data before it is written, so a save
+   * fails with an explanation instead of partway through.
+   * @param {number} bytes - The estimated size of the data to write.
+   * @returns {Promise<void>}
+   * @throws {GuestStorageQuotaError} When the data would not fit.
+   */
+  async ensureRoomFor(bytes) {
+    const { usage, quota } = await estimateBrowserStorage();
+    if (quota === null) return;
+    const available = Math.max(quota * QUOTA_SAFETY_SHARE - usage, 0);
+    if (bytes > available) {
+      throw new GuestStorageQuotaError(
+        `There is not enough browser storage left for this (about ${formatBytes(bytes)} needed, ${formatBytes(available)} free). `
+        + 'Delete large documents or old messages from the storage panel and try again.',
+      );
+    }
   }
-});
 
-// Setup visibility change handler to clear data after a period of inactivity.
-document.addEventListener('visibilitychange', () => {
-  const isGuestMode = localStorage.getItem('guestMode') === 'true';
-  if (document.visibilityState === 'hidden') {
-    if (isGuestMode) {
-      localStorage.setItem('guestModeLastActive', Date.now().toString());
-    }
-  } else if (document.visibilityState === 'visible') {
-    const lastActive = localStorage.getItem('guestModeLastActive');
-    
-    if (isGuestMode && lastActive) {
-      const timeDiff = Date.now() - parseInt(lastActive, 10);
-      // If user was away for more than 30 minutes, clear guest data and reload.
-      if (timeDiff > 30 * 60 * 1000) {
-        guestService.clearAllData();
-        window.location.reload();
-      }
+  /**
+   * Deletes the guest chat messages asked before a date, keeping their conversations.
+   * @param {string} before - ISO string format.
+   * @returns {Promise<number>} How many messages were deleted.
+   */
+  async pruneMessages(before) {
+    const store = await this.getStore();
+    const old = (await store.getAll(STORES.messages)).filter(msg => msg.created_at < before);
+    for (const msg of old) {
+      await store.delete(STORES.messages, msg.id);
     }
+    return old.length;
   }
-});
\ No newline at end of file
+}
+
+export { ExtractionError, GuestStorageQuotaError };
+
+export const guestService = new GuestService();
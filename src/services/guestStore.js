@@ -0,0 +1,182 @@
+/**
+ * A small promise-based wrapper around the IndexedDB database that holds guest data.
+ * Each record lives in its own row, so documents and messages are read and written
+ * individually instead of re-serialising everything on every change.
+ */
+
+const DB_NAME = 'askstash-guest';
+const DB_VERSION = 2;
+
+export const STORES = {
+  documents: 'documents',
+  conversations: 'conversations',
+  messages: 'messages',
+  collections: 'collections',
+};
+
+/**
+ * Thrown when the browser refuses to store more guest data.
+ */
+export class GuestStorageQuotaError extends Error {
+  constructor(message = 'Your browser has run out of storage space for guest data. Delete some documents or conversations and try again.') {
+    super(message);
+    this.name = 'GuestStorageQuotaError';
+  }
+}
+
+/**
+ * Normalises IndexedDB failures, turning quota failures into a GuestStorageQuotaError.
+ * @param {DOMException | null} error
+ * @returns {Error}
+ */
+const toStorageError = (error) => {
+  if (error?.name === 'QuotaExceededError') {
+    return new GuestStorageQuotaError();
+  }
+  return error || new Error('Guest storage transaction was aborted');
+};
+
+class GuestStore {
+  constructor() {
+    this.dbPromise = null;
+  }
+
+  /**
+   * Opens the database once, creating the object stores on first use.
+   * @returns {Promise<IDBDatabase>}
+   */
+  open() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        if (typeof indexedDB === 'undefined') {
+          reject(new Error('IndexedDB is not available in this browser'));
+          return;
+        }
+
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        // Each version adds to the schema of the one before, so any older database catches up.
+        request.onupgradeneeded = (event) => {
+          const db = request.result;
+          if (event.oldVersion < 1) {
+            db.createObjectStore(STORES.documents, { keyPath: 'id' });
+            db.createObjectStore(STORES.conversations, { keyPath: 'id' });
+            const messages = db.createObjectStore(STORES.messages, { keyPath: 'id' });
+            messages.createIndex('conversation_id', 'conversation_id');
+          }
+          if (event.oldVersion < 2) {
+            db.createObjectStore(STORES.collections, { keyPath: 'id' });
+          }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return this.dbPromise;
+  }
+
+  /**
+   * Runs an operation in a transaction and resolves once the transaction commits.
+   * @param {string | string[]} storeNames - The stores the transaction covers.
+   * @param {IDBTransactionMode} mode
+   * @param {(tx: IDBTransaction) => IDBRequest | void} operation - Issues the requests; the result
+   *   of a returned request becomes the resolved value.
+   * @returns {Promise<any>}
+   */
+  async run(storeNames, mode, operation) {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      let result;
+      let tx;
+      try {
+        tx = db.transaction(storeNames, mode);
+      } catch (error) {
+        reject(toStorageError(error));
+        return;
+      }
+
+      tx.oncomplete = () => resolve(result);
+      tx.onerror = () => reject(toStorageError(tx.error));
+      tx.onabort = () => reject(toStorageError(tx.error));
+
+      const request = operation(tx);
+      if (request) {
+        request.onsuccess = () => {
+          result = request.result;
+        };
+      }
+    });
+  }
+
+  /**
+   * Reads every record of a store, or those matching an index key.
+   * @param {string} storeName
+   * @param {{index: string, key: IDBValidKey}} [query]
+   * @returns {Promise<object[]>}
+   */
+  getAll(storeName, query) {
+    return this.run(storeName, 'readonly', (tx) => {
+      const store = tx.objectStore(storeName);
+      return query ? store.index(query.index).getAll(query.key) : store.getAll();
+    });
+  }
+
+  /**
+   * Reads one record by key.
+   * @param {string} storeName
+   * @param {IDBValidKey} key
+   * @returns {Promise<object | undefined>}
+   */
+  get(storeName, key) {
+    return this.run(storeName, 'readonly', (tx) => tx.objectStore(storeName).get(key));
+  }
+
+  /**
+   * Inserts or replaces records.
+   * @param {string} storeName
+   * @param {object | object[]} records
+   * @returns {Promise<void>}
+   */
+  put(storeName, records) {
+    return this.run(storeName, 'readwrite', (tx) => {
+      const store = tx.objectStore(storeName);
+      [].concat(records).forEach(record => store.put(record));
+    });
+  }
+
+  /**
+   * Deletes one record by key, along with records in other stores that point to it.
+   * @param {string} storeName
+   * @param {IDBValidKey} key
+   * @param {{store: string, index: string}} [cascade] - Related records to delete with it.
+   * @returns {Promise<void>}
+   */
+  delete(storeName, key, cascade) {
+    const storeNames = cascade ? [storeName, cascade.store] : storeName;
+    return this.run(storeNames, 'readwrite', (tx) => {
+      tx.objectStore(storeName).delete(key);
+      if (cascade) {
+        const cursorRequest = tx.objectStore(cascade.store).index(cascade.index).openKeyCursor(key);
+        cursorRequest.onsuccess = () => {
+          const cursor = cursorRequest.result;
+          if (cursor) {
+            tx.objectStore(cascade.store).delete(cursor.primaryKey);
+            cursor.continue();
+          }
+        };
+      }
+    });
+  }
+
+  /**
+   * Removes every record from every store.
+   * @returns {Promise<void>}
+   */
+  clear() {
+    const storeNames = Object.values(STORES);
+    return this.run(storeNames, 'readwrite', (tx) => {
+      storeNames.forEach(name => tx.objectStore(name).clear());
+    });
+  }
+}
+
+export default GuestStore;
@@ -0,0 +1,190 @@
+import axios from 'axios';
+import config from './config';
+import {
+  REFRESH_TOKEN_KEY,
+  SESSION_EXPIRED_EVENT,
+  TOKEN_KEY,
+  TOKEN_REFRESHED_EVENT,
+  clearSession,
+  isTokenExpired,
+  storeSession,
+} from './authSession';
+
+// The mock backend is loaded on first use, so builds that do not enable it never load it.
+const loadMockBackend = () => import('./mockBackend');
+
+/**
+ * The HTTP client shared by every service. All requests go to the configured base URL,
+ * or to the in-browser mock backend when it is enabled.
+ */
+const http = axios.create({
+  baseURL: config.apiBaseUrl,
+  headers: {
+    'Content-Type': 'application/json',
+  },
+});
+
+if (config.useMockBackend) {
+  http.defaults.adapter = async (requestConfig) => (await loadMockBackend()).mockAdapter(requestConfig);
+}
+
+let sessionRefresher = null;
+let refreshPromise = null;
+
+// Tokens this close to expiry are refreshed before a request rather than after a 401.
+const EXPIRY_MARGIN_MS = 10 * 1000;
+
+const isAuthRequest = (url = '') => url.includes('/api/auth/');
+
+/**
+ * Registers the call that exchanges a refresh token for a new AuthResponse. It lives in
+ * authAPI, which itself depends on this client.
+ * @param {(refreshToken: string) => Promise<{access_token: string, refresh_token?: string, user?: object}>} refresher
+ */
+export const setSessionRefresher = (refresher) => {
+  sessionRefresher = refresher;
+};
+
+/**
+ * Replaces the access token using the stored refresh token. Concurrent callers share a
+ * single refresh request, so a burst of 401s triggers only one.
+ * @returns {Promise<string>} The new access token.
+ */
+export const refreshAccessToken = () => {
+  if (!refreshPromise) {
+    const refreshToken = localStorage.getItem(REFRESH_TOKEN_KEY);
+    const request = refreshToken && sessionRefresher
+      ? sessionRefresher(refreshToken)
+      : Promise.reject(new Error('No refresh token available'));
+
+    refreshPromise = request
+      .then((authResponse) => {
+        storeSession(authResponse);
+        window.dispatchEvent(new CustomEvent(TOKEN_REFRESHED_EVENT, { detail: authResponse }));
+        return authResponse.access_token;
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+  return refreshPromise;
+};
+
+/**
+ * Drops the session and tells the app, which sends the user to the login page and
+ * brings them back to where they were afterwards.
+ */
+const expireSession = () => {
+  clearSession();
+  window.dispatchEvent(new Event(SESSION_EXPIRED_EVENT));
+};
+
+/**
+ * Returns the access token to send, refreshing it first if it is about to expire.
+ * @param {string} url - The request URL; auth endpoints never trigger a refresh.
+ * @returns {Promise<string | null>}
+ */
+const getFreshToken = async (url) => {
+  const token = localStorage.getItem(TOKEN_KEY);
+  if (token && !isAuthRequest(url) && isTokenExpired(token, EXPIRY_MARGIN_MS)
+      && localStorage.getItem(REFRESH_TOKEN_KEY)) {
+    try {
+      return await refreshAccessToken();
+    } catch (error) {
+      console.error('Error refreshing session:', error);
+    }
+  }
+  return token;
+};
+
+// Request interceptor to add auth token
+http.interceptors.request.use(
+  async (requestConfig) => {
+    const token = await getFreshToken(requestConfig.url);
+    if (token) {
+      requestConfig.headers.Authorization = `Bearer ${token}`;
+    }
+    return requestConfig;
+  },
+  (error) => {
+    return Promise.reject(error);
+  }
+);
+
+// Response interceptor to handle auth errors: a 401 is retried once after refreshing the
+// session, and only ends the session if that is not possible.
+http.interceptors.response.use(
+  (response) => response,
+  async (error) => {
+    const original = error.config;
+    if (error.response?.status === 401 && original && !isAuthRequest(original.url)) {
+      if (!original.retriedAfterRefresh) {
+        try {
+          const token = await refreshAccessToken();
+          original.retriedAfterRefresh = true;
+          original.headers.Authorization = `Bearer ${token}`;
+          return http(original);
+        } catch (refreshError) {
+          // Fall through and end the session.
+        }
+      }
+      expireSession();
+    }
+    return Promise.reject(error);
+  }
+);
+
+/**
+ * Fetch API counterpart of the shared client, for responses that must be read as a stream.
+ * Resolves the path against the base URL, adds the auth token, refreshes the session on a
+ * 401 like the client does, and goes through the mock backend when it is enabled.
+ * @param {string} path - The API path, e.g. `/api/chat/stream`.
+ * @param {RequestInit} [init]
+ * @returns {Promise<Response>}
+ */
+export const httpFetch = async (path, init = {}) => {
+  const send = async () => {
+    const token = await getFreshToken(path);
+    const headers = {
+      ...(token ? { Authorization: `Bearer ${token}` } : {}),
+      ...init.headers,
+    };
+    if (config.useMockBackend) {
+      return (await loadMockBackend()).mockFetch(path, { ...init, headers });
+    }
+    return fetch(`${config.apiBaseUrl}${path}`, { ...init, headers });
+  };
+
+  let response = await send();
+  if (response.status === 401 && !isAuthRequest(path)) {
+    try {
+      await refreshAccessToken();
+      response = await send();
+    } catch (refreshError) {
+      // Keep the 401 response.
+    }
+    if (response.status === 401) {
+      expireSession();
+    }
+  }
+  return response;
+};
+
+/**
+ * Adapts a fraction-based progress callback to axios' `onUploadProgress`.
+ * @param {(progress: number) => void} [onProgress]
+ * @returns {((event: import('axios').AxiosProgressEvent) => void) | undefined}
+ */
+export const toProgressHandler = (onProgress) => onProgress && ((event) => {
+  if (event.total) onProgress(Math.min(event.loaded / event.total, 1));
+});
+
+/**
+ * Tells whether an error comes from a request that was cancelled through an AbortSignal,
+ * as opposed to one that failed.
+ * @param {unknown} error - The error thrown by axios or fetch.
+ * @returns {boolean}
+ */
+export const isRequestCancelled = (error) => axios.isCancel(error) || error?.name === 'AbortError';
+
+export default http;
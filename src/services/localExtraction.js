@@ -0,0 +1,69 @@
+/**
+ * In-browser text extraction for guest uploads. Extraction runs in a Web Worker so large
+ * PDFs do not freeze the page, and the file never leaves the browser.
+ */
+
+const LOCALLY_EXTRACTABLE = /\.(pdf|docx|csv|md|txt)$/i;
+
+/**
+ * Thrown when no text could be extracted from a file, which must then not be saved.
+ */
+export class ExtractionError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ExtractionError';
+  }
+}
+
+/**
+ * Tells whether a file's format can be extracted in the browser. Images and legacy
+ * `.doc` files need the server.
+ * @param {File} file
+ * @returns {boolean}
+ */
+export const canExtractLocally = (file) => LOCALLY_EXTRACTABLE.test(file.name)
+  || (file.type.startsWith('text/') && !file.type.includes('html'));
+
+/**
+ * Extracts a file's text in a Web Worker.
+ * @param {File} file
+ * @param {object} [options]
+ * @param {AbortSignal} [options.signal] - Stops the worker when aborted, rejecting with an `AbortError`.
+ * @returns {Promise<string>}
+ * @throws {ExtractionError} When the file cannot be read or contains no text.
+ */
+export const extractTextLocally = (file, { signal } = {}) => new Promise((resolve, reject) => {
+  const abortError = () => new DOMException('Extraction cancelled', 'AbortError');
+  if (signal?.aborted) {
+    reject(abortError());
+    return;
+  }
+
+  const worker = new Worker(new URL('../workers/extractText.worker.js', import.meta.url));
+  const finish = () => {
+    worker.terminate();
+    signal?.removeEventListener('abort', handleAbort);
+  };
+  const handleAbort = () => {
+    finish();
+    reject(abortError());
+  };
+
+  worker.onmessage = ({ data }) => {
+    finish();
+    if (data.error) {
+      reject(new ExtractionError(`Could not read ${file.name}: ${data.error}`));
+    } else if (!data.text.trim()) {
+      reject(new ExtractionError(`No text was found in ${file.name}. Scanned documents need server extraction.`));
+    } else {
+      resolve(data.text);
+    }
+  };
+  worker.onerror = (event) => {
+    finish();
+    reject(new ExtractionError(`Could not read ${file.name}: ${event.message || 'the extractor crashed'}`));
+  };
+  signal?.addEventListener('abort', handleAbort, { once: true });
+
+  worker.postMessage({ file });
+});
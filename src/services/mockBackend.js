@@ -0,0 +1,1083 @@
+import { AxiosError, CanceledError } from 'axios';
+import config from './config';
+import { decodeTokenPayload } from './authSession';
+import { collectCitations, makeSnippet } from './citations';
+import { normalizeTags } from './collections';
+import { createCodeChallenge, getRedirectUri } from './oidc';
+import { retrievePassages } from './retrieval';
+import { searchWorkspace } from './search';
+import { buildOtpauthUri, findTotpStep, generateTotpSecret } from './totp';
+
+/**
+ * An in-browser stand-in for the AskStash backend, enabled with
+ * `REACT_APP_USE_MOCK_BACKEND=true`. It intercepts requests from the shared HTTP client
+ * (as an axios adapter) and from streaming fetches, and implements auth, accounts, upload,
+ * documents, conversations and chat against data kept in localStorage, so the whole UI
+ * runs offline for demos and tests. Emails it would send, such as verification and password
+ * reset links, go to a local mail sink instead (see getSentMail). It also stands in for a
+ * single sign-on provider (see mockAuthorizationRedirect).
+ */
+
+const DB_KEY = 'askstashMockBackend';
+const STREAM_CHUNK_DELAY_MS = 40;
+// Short enough to exercise the client's silent refresh during a demo.
+const ACCESS_TOKEN_LIFETIME_S = 15 * 60;
+const VERIFY_LINK_LIFETIME_MS = 24 * 60 * 60 * 1000;
+const RESET_LINK_LIFETIME_MS = 60 * 60 * 1000;
+const AUTHORIZATION_CODE_LIFETIME_MS = 5 * 60 * 1000;
+const TWO_FACTOR_CHALLENGE_LIFETIME_MS = 5 * 60 * 1000;
+// Wrong codes allowed per sign-in before it has to start over.
+const TWO_FACTOR_MAX_ATTEMPTS = 5;
+const RECOVERY_CODE_COUNT = 10;
+const MOCK_OIDC_PROVIDER_ID = 'mock';
+
+const emptyDb = () => ({
+  nextId: 1,
+  users: [],
+  documents: [],
+  conversations: [],
+  messages: [],
+  collections: [],
+  linkTokens: [],
+  mail: [],
+  authorizationCodes: [],
+  twoFactorChallenges: [],
+});
+
+let db = null;
+
+const loadDb = () => {
+  if (!db) {
+    try {
+      // Tables added later start empty in databases saved before them.
+      db = { ...emptyDb(), ...JSON.parse(localStorage.getItem(DB_KEY)) };
+    } catch {
+      db = emptyDb();
+    }
+  }
+  return db;
+};
+
+const saveDb = () => {
+  localStorage.setItem(DB_KEY, JSON.stringify(db));
+};
+
+// Another tab changed the data, e.g. by following a link from the mail sink: read it again.
+window.addEventListener('storage', (event) => {
+  if (event.key === DB_KEY) db = null;
+});
+
+const nextId = () => {
+  const id = loadDb().nextId;
+  db.nextId += 1;
+  return id;
+};
+
+const json = (status, data) => ({ status, data });
+const notFound = () => json(404, { detail: 'Not found' });
+
+/**
+ * Resolves after the configured latency, or rejects as soon as the request is aborted.
+ * @param {number} ms
+ * @param {AbortSignal} [signal]
+ * @param {() => Error} makeAbortError
+ * @returns {Promise<void>}
+ */
+const delay = (ms, signal, makeAbortError) => new Promise((resolve, reject) => {
+  if (signal?.aborted) {
+    reject(makeAbortError());
+    return;
+  }
+  const timer = setTimeout(resolve, ms);
+  signal?.addEventListener('abort', () => {
+    clearTimeout(timer);
+    reject(makeAbortError());
+  }, { once: true });
+});
+
+const base64Url = (value) => btoa(JSON.stringify(value)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+
+/**
+ * Issues an unsigned JWT-shaped access token, so the client can read its expiry.
+ * @param {number} userId
+ * @returns {string}
+ */
+const issueAccessToken = (userId) => [
+  base64Url({ alg: 'none', typ: 'JWT' }),
+  base64Url({ sub: String(userId), exp: Math.floor(Date.now() / 1000) + ACCESS_TOKEN_LIFETIME_S }),
+  'mock',
+].join('.');
+
+const currentUser = (req) => {
+  const match = /^Bearer (\S+)$/.exec(req.headers.Authorization || req.headers.authorization || '');
+  const payload = match && decodeTokenPayload(match[1]);
+  if (!payload || payload.exp * 1000 <= Date.now()) return null;
+  return loadDb().users.find(user => user.id === Number(payload.sub)) || null;
+};
+
+const publicUser = ({
+  password,
+  two_factor_secret: twoFactorSecret,
+  two_factor_pending_secret: pendingSecret,
+  recovery_codes: recoveryCodes,
+  two_factor_last_step: lastStep,
+  oidc_subject: oidcSubject,
+  ...user
+}) => ({ ...user, two_factor_enabled: Boolean(twoFactorSecret), has_password: password !== null });
+
+const authResponse = (user) => ({
+  access_token: issueAccessToken(user.id),
+  refresh_token: `mock-refresh-${user.id}`,
+  token_type: 'bearer',
+  user: publicUser(user),
+});
+
+const randomToken = () => Array.from(
+  crypto.getRandomValues(new Uint8Array(16)),
+  byte => byte.toString(16).padStart(2, '0'),
+).join('');
+
+const LINK_MAIL = {
+  verify: {
+    path: 'verify-email',
+    lifetime: VERIFY_LINK_LIFETIME_MS,
+    subject: 'Confirm your AskStash email address',
+    body: 'Follow this link within 24 hours to confirm your email address:',
+  },
+  reset: {
+    path: 'reset-password',
+    lifetime: RESET_LINK_LIFETIME_MS,
+    subject: 'Reset your AskStash password',
+    body: 'Follow this link within an hour to choose a new password. If you did not ask for this, ignore this email.',
+  },
+};
+
+/**
+ * Mails the user a single-use link for email verification or a password reset. Earlier
+ * links for the same purpose stop working. The caller saves the database.
+ * @param {object} user
+ * @param {'verify' | 'reset'} purpose
+ */
+const sendLinkMail = (user, purpose) => {
+  const mail = LINK_MAIL[purpose];
+  const token = randomToken();
+  db.linkTokens = db.linkTokens.filter(entry => !(entry.user_id === user.id && entry.purpose === purpose));
+  db.linkTokens.push({ token, purpose, user_id: user.id, expires_at: Date.now() + mail.lifetime });
+  const link = `${window.location.origin}/${mail.path}/${token}`;
+  db.mail.push({
+    id: nextId(),
+    to: user.email,
+    subject: mail.subject,
+    body: `${mail.body}\n\n${link}`,
+    link,
+    sent_at: new Date().toISOString(),
+  });
+};
+
+/**
+ * Uses up a link token.
+ * @param {string} token
+ * @param {'verify' | 'reset'} purpose
+ * @returns {object | null} The user the link was sent to, or null if it is unknown or expired.
+ */
+const redeemLinkToken = (token, purpose) => {
+  const entry = loadDb().linkTokens.find(candidate => candidate.token === token && candidate.purpose === purpose);
+  if (!entry) return null;
+  db.linkTokens = db.linkTokens.filter(candidate => candidate !== entry);
+  if (entry.expires_at <= Date.now()) return null;
+  return db.users.find(user => user.id === entry.user_id) || null;
+};
+
+const generateRecoveryCodes = () => Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+  const token = randomToken();
+  return `${token.slice(0, 5)}-${token.slice(5, 10)}`;
+});
+
+const normalizeRecoveryCode = (code) => String(code || '').trim().toLowerCase();
+
+/**
+ * Accepts a code from the authenticator app once: its time step has to come after the last
+ * one accepted for the user, and becomes the new last one. The caller saves the database.
+ * @param {object} user
+ * @param {string} secret - The user's secret, or the one being set up.
+ * @param {string} code
+ * @returns {Promise<boolean>}
+ */
+const acceptTotpCode = async (user, secret, code) => {
+  const step = await findTotpStep(secret, code);
+  if (step === null || step <= (user.two_factor_last_step ?? -1)) return false;
+  user.two_factor_last_step = step;
+  return true;
+};
+
+/**
+ * Checks a second factor: a code from the authenticator app, which cannot be replayed, or,
+ * when allowed, one of the recovery codes, which is used up. The caller saves the database.
+ * @param {object} user
+ * @param {{code?: string, recovery_code?: string}} body
+ * @param {{allowRecoveryCode?: boolean}} [options]
+ * @returns {Promise<boolean>}
+ */
+const checkSecondFactor = async (user, body, { allowRecoveryCode = true } = {}) => {
+  if (body.recovery_code !== undefined) {
+    const typed = normalizeRecoveryCode(body.recovery_code);
+    if (!allowRecoveryCode || !user.recovery_codes.includes(typed)) return false;
+    user.recovery_codes = user.recovery_codes.filter(code => code !== typed);
+    return true;
+  }
+  return acceptTotpCode(user, user.two_factor_secret, body.code);
+};
+
+/**
+ * Answers a sign-in whose first factor checked out: with a session, or, for accounts with
+ * two-factor authentication, a challenge that /api/auth/2fa/verify completes.
+ * @param {object} user
+ * @returns {object}
+ */
+const signInResponse = (user) => {
+  if (!user.two_factor_secret) return authResponse(user);
+
+  const challengeToken = randomToken();
+  db.twoFactorChallenges = db.twoFactorChallenges.filter(challenge => challenge.expires_at > Date.now());
+  db.twoFactorChallenges.push({
+    token: challengeToken,
+    user_id: user.id,
+    attempts: 0,
+    expires_at: Date.now() + TWO_FACTOR_CHALLENGE_LIFETIME_MS,
+  });
+  saveDb();
+  return { two_factor_required: true, challenge_token: challengeToken };
+};
+
+const documentSummary = ({ content, original, user_id: userId, ...doc }) => ({ ...doc, content_length: content.length });
+
+// Larger originals are dropped to keep the mock database within localStorage limits.
+const MAX_STORED_ORIGINAL_BYTES = 512 * 1024;
+
+/**
+ * Keeps small image uploads as data URLs so their originals can be served back.
+ * @param {File} file
+ * @returns {Promise<string | undefined>}
+ */
+const storeOriginal = (file) => new Promise((resolve) => {
+  if (!file.type.startsWith('image/') || file.size > MAX_STORED_ORIGINAL_BYTES) {
+    resolve(undefined);
+    return;
+  }
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result);
+  reader.onerror = () => resolve(undefined);
+  reader.readAsDataURL(file);
+});
+
+const dataUrlToBlob = (dataUrl) => {
+  const [header, base64] = dataUrl.split(',');
+  const bytes = Uint8Array.from(atob(base64), c => c.charCodeAt(0));
+  return new Blob([bytes], { type: header.slice(5).split(';')[0] });
+};
+
+/**
+ * Reads an uploaded file the way the real extractor would, as far as a browser can:
+ * text formats are read as-is, other formats get a placeholder.
+ * @param {File} file
+ * @returns {Promise<string>}
+ */
+const isTextFile = (file) => file.type.startsWith('text/') || /\.(txt|md|csv|json)$/i.test(file.name);
+
+const extractText = async (file) => {
+  if (isTextFile(file)) {
+    return file.text();
+  }
+  return `[Mock backend] This placeholder stands in for the text extracted from ${file.name}. `
+    + 'Run against the real backend to extract PDFs, Word documents and images.';
+};
+
+/**
+ * Builds a canned Markdown answer that quotes and cites the passages that reached the "model".
+ * @param {string} message
+ * @param {import('./citations').ContextSource[]} sources
+ * @param {{history?: Array<object>, history_summary?: string}} [body] - The request, for the memory it carried.
+ * @returns {string}
+ */
+const buildAnswer = (message, sources, body = {}) => {
+  const lines = [`**Mock answer** to: _${message}_`, ''];
+  const rememberedTurns = (body.history?.length || 0) / 2;
+  if (rememberedTurns > 0 || body.history_summary) {
+    lines.push(`Remembering ${rememberedTurns} earlier turn(s)${body.history_summary ? ' and a summary of older ones' : ''}.`, '');
+  }
+  const citations = collectCitations(sources);
+  if (sources.length === 0) {
+    lines.push('No documents were used as context.');
+  } else if (citations.length === 0) {
+    lines.push(`Context used: ${sources.map(source => source.filename).join(', ')}`);
+  } else {
+    lines.push('Context used:', '');
+    citations.forEach(citation => {
+      lines.push(`* **${citation.filename}**: "${citation.snippet}" [${citation.number}]`);
+    });
+  }
+  lines.push('', 'This reply comes from the in-browser mock backend.');
+  return lines.join('\n');
+};
+
+/**
+ * Picks and numbers the passages of the documents relevant to a question, the way the real
+ * backend reports them.
+ * @param {string} message
+ * @param {Array<{id: number, filename: string, content: string}>} docs
+ * @returns {import('./citations').ContextSource[]}
+ */
+const citeSources = (message, docs) => {
+  const passages = retrievePassages(message, docs, { maxChunks: 4 })
+    .map((passage, index) => ({ ...passage, number: index + 1 }));
+  return docs.map(doc => ({
+    id: doc.id,
+    filename: doc.filename,
+    passages: passages
+      .filter(passage => passage.documentId === doc.id)
+      .map(passage => ({
+        number: passage.number,
+        chunk_id: passage.id,
+        start: passage.start,
+        end: passage.end,
+        snippet: makeSnippet(passage.text),
+      })),
+  }));
+};
+
+const touchConversation = (conversationId) => {
+  const conversation = loadDb().conversations.find(conv => conv.id === conversationId);
+  if (conversation) conversation.updated_at = new Date().toISOString();
+};
+
+/**
+ * Lists a conversation's messages in the order they were asked.
+ * @returns {Array<object>}
+ */
+const conversationHistory = (user, conversationId) => loadDb().messages
+  .filter(msg => msg.user_id === user.id && msg.conversation_id === conversationId)
+  .sort((a, b) => a.created_at.localeCompare(b.created_at) || a.id - b.id);
+
+/**
+ * Answers a question from the documents picked by a chat request body.
+ * @returns {{response: string, contextSources: Array<object>}}
+ */
+const answerQuestion = (user, message, body) => {
+  const ownDocs = loadDb().documents.filter(doc => doc.user_id === user.id);
+  let docs = [];
+  if (body.use_all_documents) {
+    docs = ownDocs;
+  } else if (body.selected_documents?.length > 0) {
+    docs = ownDocs.filter(doc => body.selected_documents.includes(doc.id));
+  }
+
+  const contextSources = citeSources(message, docs);
+  return { response: buildAnswer(message, contextSources, body), contextSources };
+};
+
+/**
+ * Answers an authenticated chat request and records it in the user's history.
+ * @returns {{response: string, context_used: boolean, context_sources: Array<object>, message_id: number}}
+ */
+const answerChat = (user, body) => {
+  const { response, contextSources } = answerQuestion(user, body.message, body);
+  const id = nextId();
+
+  db.messages.push({
+    id,
+    user_id: user.id,
+    conversation_id: body.conversation_id ?? null,
+    message: body.message,
+    response,
+    context_documents: contextSources.length > 0 ? JSON.stringify(contextSources) : undefined,
+    created_at: new Date().toISOString(),
+  });
+  touchConversation(body.conversation_id);
+  saveDb();
+
+  return { response, context_used: contextSources.length > 0, context_sources: contextSources, message_id: id };
+};
+
+/**
+ * Answers a stored message again, replacing its answer.
+ * @returns {{response: string, context_used: boolean, context_sources: Array<object>, message_id: number} | null}
+ *   The new answer, or null if the message does not exist.
+ */
+const regenerateAnswer = (user, messageId, body) => {
+  const msg = loadDb().messages.find(candidate => candidate.id === Number(messageId) && candidate.user_id === user.id);
+  if (!msg) return null;
+
+  const { response, contextSources } = answerQuestion(user, msg.message, body);
+  msg.response = response;
+  msg.context_documents = contextSources.length > 0 ? JSON.stringify(contextSources) : undefined;
+  touchConversation(msg.conversation_id);
+  saveDb();
+
+  return { response, context_used: contextSources.length > 0, context_sources: contextSources, message_id: msg.id };
+};
+
+/**
+ * Answers a guest chat request from the context the client sent along.
+ * @returns {{response: string, context_used: boolean, context_sources: Array<object>}}
+ */
+const answerGuestChat = (body) => {
+  const sources = body.context_sources || [];
+  return { response: buildAnswer(body.message, sources, body), context_used: sources.length > 0, context_sources: sources };
+};
+
+// Routes: [method, path pattern, requires auth, handler(req, user, ...pathParams)].
+const routes = [
+  ['POST', /^\/api\/auth\/register$/, false, (req) => {
+    const { email, password, full_name: fullName } = req.body;
+    if (loadDb().users.some(user => user.email === email)) {
+      return json(400, { detail: 'Email already registered' });
+    }
+    const user = { id: nextId(), email, password, full_name: fullName, email_verified: false };
+    db.users.push(user);
+    sendLinkMail(user, 'verify');
+    saveDb();
+    return json(200, authResponse(user));
+  }],
+
+  ['POST', /^\/api\/auth\/login$/, false, (req) => {
+    const { email, password } = req.body;
+    const user = loadDb().users.find(candidate => candidate.email === email && candidate.password === password);
+    return user ? json(200, signInResponse(user)) : json(400, { detail: 'Incorrect email or password' });
+  }],
+
+  ['POST', /^\/api\/auth\/2fa\/verify$/, false, async (req) => {
+    const challenge = loadDb().twoFactorChallenges.find(candidate => candidate.token === req.body.challenge_token);
+    const user = challenge && db.users.find(candidate => candidate.id === challenge.user_id);
+    if (!user || challenge.expires_at <= Date.now() || challenge.attempts >= TWO_FACTOR_MAX_ATTEMPTS) {
+      return json(401, { detail: 'This sign-in has expired. Please sign in again.' });
+    }
+
+    const usedRecoveryCode = req.body.recovery_code !== undefined;
+    if (!await checkSecondFactor(user, req.body)) {
+      challenge.attempts += 1;
+      saveDb();
+      return json(400, { detail: usedRecoveryCode ? 'That recovery code is not valid' : 'That code is not valid' });
+    }
+    db.twoFactorChallenges = db.twoFactorChallenges.filter(candidate => candidate !== challenge);
+    saveDb();
+    return json(200, {
+      ...authResponse(user),
+      ...(usedRecoveryCode ? { recovery_codes_remaining: user.recovery_codes.length } : {}),
+    });
+  }],
+
+  ['POST', /^\/api\/auth\/refresh$/, false, (req) => {
+    const match = /^mock-refresh-(\d+)$/.exec(req.body.refresh_token || '');
+    const user = match && loadDb().users.find(candidate => candidate.id === Number(match[1]));
+    return user ? json(200, authResponse(user)) : json(401, { detail: 'Invalid refresh token' });
+  }],
+
+  ['POST', /^\/api\/auth\/oidc\/callback$/, false, async (req) => {
+    const { provider, code, code_verifier: codeVerifier, redirect_uri: redirectUri } = req.body;
+    if (provider !== MOCK_OIDC_PROVIDER_ID) return json(400, { detail: 'Unknown sign-in provider' });
+
+    const grant = loadDb().authorizationCodes.find(candidate => candidate.code === code);
+    db.authorizationCodes = db.authorizationCodes.filter(candidate => candidate !== grant);
+    saveDb();
+    if (!grant || grant.expires_at <= Date.now() || grant.redirect_uri !== redirectUri
+        || grant.client_id !== mockOidcProvider()?.clientId
+        || grant.code_challenge !== await createCodeChallenge(codeVerifier || '')) {
+      return json(400, { detail: 'The sign-in could not be verified. Please try again.' });
+    }
+
+    // Only accounts the provider created sign in through it; a matching email address alone
+    // does not give access to an account that signs in with a password.
+    let user = loadDb().users.find(candidate => (
+      candidate.oidc_provider === provider && candidate.oidc_subject === grant.sub
+    ));
+    if (!user) {
+      if (db.users.some(candidate => candidate.email === grant.email)) {
+        return json(409, { detail: 'An account with this email already exists. Sign in with your password instead.' });
+      }
+      // The provider vouches for the address, so the account needs no verification link.
+      user = {
+        id: nextId(),
+        email: grant.email,
+        password: null,
+        full_name: grant.full_name,
+        email_verified: true,
+        oidc_provider: provider,
+        oidc_subject: grant.sub,
+      };
+      db.users.push(user);
+      saveDb();
+    }
+    return json(200, signInResponse(user));
+  }],
+
+  ['POST', /^\/api\/auth\/forgot-password$/, false, (req) => {
+    const user = loadDb().users.find(candidate => candidate.email === req.body.email);
+    if (user) {
+      sendLinkMail(user, 'reset');
+      saveDb();
+    }
+    return json(200, { message: 'If an account uses this address, a reset link is on its way.' });
+  }],
+
+  ['POST', /^\/api\/auth\/reset-password$/, false, (req) => {
+    const user = redeemLinkToken(req.body.token, 'reset');
+    if (user) {
+      user.password = req.body.password;
+      // The link reached the inbox, which confirms the address as well.
+      user.email_verified = true;
+    }
+    saveDb();
+    return user
+      ? json(200, { message: 'Your password has been changed.' })
+      : json(400, { detail: 'This reset link is invalid or has expired' });
+  }],
+
+  ['POST', /^\/api\/auth\/verify-email$/, false, (req) => {
+    const user = redeemLinkToken(req.body.token, 'verify');
+    if (user) user.email_verified = true;
+    saveDb();
+    return user
+      ? json(200, publicUser(user))
+      : json(400, { detail: 'This verification link is invalid or has expired' });
+  }],
+
+  ['POST', /^\/api\/auth\/resend-verification$/, true, (req, user) => {
+    if (user.email_verified !== false) return json(400, { detail: 'Email already verified' });
+    sendLinkMail(user, 'verify');
+    saveDb();
+    return json(200, { message: 'A new verification link is on its way.' });
+  }],
+
+  ['PATCH', /^\/api\/users\/me$/, true, (req, user) => {
+    const { full_name: fullName, email } = req.body;
+    if (email !== undefined && email !== user.email) {
+      if (loadDb().users.some(candidate => candidate.email === email)) {
+        return json(400, { detail: 'Email already registered' });
+      }
+      // A new address has to be confirmed like the first one.
+      user.email = email;
+      user.email_verified = false;
+      sendLinkMail(user, 'verify');
+    }
+    if (fullName !== undefined) user.full_name = fullName;
+    saveDb();
+    return json(200, publicUser(user));
+  }],
+
+  ['POST', /^\/api\/users\/me\/password$/, true, (req, user) => {
+    // Accounts created through single sign-on set a first password without one.
+    if (user.password !== null && req.body.current_password !== user.password) {
+      return json(400, { detail: 'Current password is incorrect' });
+    }
+    user.password = req.body.new_password;
+    saveDb();
+    return json(200, authResponse(user));
+  }],
+
+  ['POST', /^\/api\/users\/me\/2fa\/setup$/, true, (req, user) => {
+    if (user.two_factor_secret) return json(400, { detail: 'Two-factor authentication is already on' });
+    user.two_factor_pending_secret = generateTotpSecret();
+    saveDb();
+    return json(200, {
+      secret: user.two_factor_pending_secret,
+      otpauth_url: buildOtpauthUri(user.two_factor_pending_secret, user.email, 'AskStash'),
+    });
+  }],
+
+  ['POST', /^\/api\/users\/me\/2fa\/confirm$/, true, async (req, user) => {
+    if (!user.two_factor_pending_secret || !await acceptTotpCode(user, user.two_factor_pending_secret, req.body.code)) {
+      return json(400, { detail: 'That code is not valid. Check the time on your device and try again.' });
+    }
+    user.two_factor_secret = user.two_factor_pending_secret;
+    delete user.two_factor_pending_secret;
+    user.recovery_codes = generateRecoveryCodes();
+    saveDb();
+    return json(200, { recovery_codes: user.recovery_codes, user: publicUser(user) });
+  }],
+
+  ['POST', /^\/api\/users\/me\/2fa\/recovery-codes$/, true, async (req, user) => {
+    if (!user.two_factor_secret || !await checkSecondFactor(user, req.body, { allowRecoveryCode: false })) {
+      return json(400, { detail: 'That code is not valid' });
+    }
+    user.recovery_codes = generateRecoveryCodes();
+    saveDb();
+    return json(200, { recovery_codes: user.recovery_codes });
+  }],
+
+  ['DELETE', /^\/api\/users\/me\/2fa$/, true, async (req, user) => {
+    if (!user.two_factor_secret || !await checkSecondFactor(user, req.body)) {
+      return json(400, { detail: 'That code is not valid' });
+    }
+    delete user.two_factor_secret;
+    delete user.recovery_codes;
+    delete user.two_factor_last_step;
+    saveDb();
+    return json(200, publicUser(user));
+  }],
+
+  ['DELETE', /^\/api\/users\/me$/, true, (req, user) => {
+    // Without a password, the confirmation typed in the settings is all there is to check.
+    if (user.password !== null && req.body.password !== user.password) {
+      return json(400, { detail: 'Password is incorrect' });
+    }
+    const ownedByOthers = item => item.user_id !== user.id;
+    db.users = db.users.filter(candidate => candidate.id !== user.id);
+    db.documents = db.documents.filter(ownedByOthers);
+    db.conversations = db.conversations.filter(ownedByOthers);
+    db.messages = db.messages.filter(ownedByOthers);
+    db.collections = db.collections.filter(ownedByOthers);
+    db.linkTokens = db.linkTokens.filter(ownedByOthers);
+    db.twoFactorChallenges = db.twoFactorChallenges.filter(ownedByOthers);
+    saveDb();
+    return json(200, { message: 'Your account has been deleted.' });
+  }],
+
+  ['POST', /^\/api\/upload$/, true, async (req, user) => {
+    const file = req.body.get('file');
+    const doc = {
+      id: nextId(),
+      user_id: user.id,
+      filename: file.name,
+      file_type: file.type || 'unknown',
+      content: await extractText(file),
+      original: await storeOriginal(file),
+      created_at: new Date().toISOString(),
+    };
+    db.documents.push(doc);
+    saveDb();
+    return json(200, { message: 'File uploaded successfully', document: documentSummary(doc) });
+  }],
+
+  ['GET', /^\/api\/documents$/, true, (req, user) => json(200, {
+    documents: loadDb().documents.filter(doc => doc.user_id === user.id).map(documentSummary),
+  })],
+
+  ['GET', /^\/api\/documents\/(\d+)$/, true, (req, user, id) => {
+    const doc = loadDb().documents.find(candidate => candidate.id === Number(id) && candidate.user_id === user.id);
+    if (!doc) return notFound();
+    const { user_id: userId, original, ...rest } = doc;
+    return json(200, { document: { ...rest, content_length: doc.content.length } });
+  }],
+
+  ['GET', /^\/api\/documents\/(\d+)\/file$/, true, (req, user, id) => {
+    const doc = loadDb().documents.find(candidate => candidate.id === Number(id) && candidate.user_id === user.id);
+    return doc?.original ? json(200, dataUrlToBlob(doc.original)) : notFound();
+  }],
+
+  ['PATCH', /^\/api\/documents\/(\d+)$/, true, (req, user, id) => {
+    const doc = loadDb().documents.find(candidate => candidate.id === Number(id) && candidate.user_id === user.id);
+    if (!doc) return notFound();
+    doc.tags = normalizeTags(req.body.tags || []);
+    saveDb();
+    return json(200, { document: documentSummary(doc) });
+  }],
+
+  ['DELETE', /^\/api\/documents\/(\d+)$/, true, (req, user, id) => {
+    const before = loadDb().documents.length;
+    db.documents = db.documents.filter(doc => !(doc.id === Number(id) && doc.user_id === user.id));
+    if (db.documents.length === before) return notFound();
+    saveDb();
+    return json(200, { message: 'Document deleted successfully' });
+  }],
+
+  ['POST', /^\/api\/chat$/, true, (req, user) => json(200, answerChat(user, req.body))],
+
+  ['POST', /^\/api\/chat\/stream$/, true, (req, user) => {
+    const { response, ...meta } = answerChat(user, req.body);
+    return { status: 200, stream: response, meta };
+  }],
+
+  ['POST', /^\/api\/chat\/messages\/(\d+)\/regenerate$/, true, (req, user, id) => {
+    const answer = regenerateAnswer(user, id, req.body);
+    return answer ? json(200, answer) : notFound();
+  }],
+
+  ['POST', /^\/api\/chat\/messages\/(\d+)\/regenerate\/stream$/, true, (req, user, id) => {
+    const answer = regenerateAnswer(user, id, req.body);
+    if (!answer) return notFound();
+    const { response, ...meta } = answer;
+    return { status: 200, stream: response, meta };
+  }],
+
+  ['DELETE', /^\/api\/chat\/messages\/(\d+)$/, true, (req, user, id) => {
+    const msg = loadDb().messages.find(candidate => candidate.id === Number(id) && candidate.user_id === user.id);
+    if (!msg) return notFound();
+    let removed = [msg];
+    if (req.query.get('include_later') === 'true') {
+      const history = conversationHistory(user, msg.conversation_id);
+      removed = history.slice(history.indexOf(msg));
+    }
+    db.messages = db.messages.filter(candidate => !removed.includes(candidate));
+    saveDb();
+    return json(200, { message: 'Message deleted successfully' });
+  }],
+
+  ['GET', /^\/api\/chat\/history$/, true, (req, user) => {
+    const conversationId = req.query.get('conversation_id');
+    const history = loadDb().messages.filter(msg => msg.user_id === user.id
+      && (!conversationId || String(msg.conversation_id) === conversationId));
+    return json(200, { history });
+  }],
+
+  ['GET', /^\/api\/conversations$/, true, (req, user) => json(200, {
+    conversations: loadDb().conversations
+      .filter(conv => conv.user_id === user.id)
+      .sort((a, b) => b.updated_at.localeCompare(a.updated_at)),
+  })],
+
+  ['POST', /^\/api\/conversations$/, true, (req, user) => {
+    const now = new Date().toISOString();
+    const conversation = {
+      id: nextId(),
+      user_id: user.id,
+      title: req.body.title,
+      context_mode: 'none',
+      selected_documents: [],
+      created_at: now,
+      updated_at: now,
+    };
+    db.conversations.push(conversation);
+    saveDb();
+    return json(200, { conversation });
+  }],
+
+  ['POST', /^\/api\/conversations\/import$/, true, (req, user) => {
+    const { messages = [], ...fields } = req.body;
+    const now = new Date().toISOString();
+    const conversation = {
+      context_mode: 'none',
+      selected_documents: [],
+      ...fields,
+      id: nextId(),
+      user_id: user.id,
+      created_at: now,
+      updated_at: now,
+    };
+    db.conversations.push(conversation);
+    messages.forEach(msg => db.messages.push({
+      ...msg,
+      id: nextId(),
+      user_id: user.id,
+      conversation_id: conversation.id,
+      created_at: msg.created_at || now,
+    }));
+    saveDb();
+    return json(200, { conversation });
+  }],
+
+  ['POST', /^\/api\/conversations\/(\d+)\/branch$/, true, (req, user, id) => {
+    const original = loadDb().conversations.find(conv => conv.id === Number(id) && conv.user_id === user.id);
+    if (!original) return notFound();
+    const history = conversationHistory(user, original.id);
+    const cutoff = history.findIndex(msg => msg.id === Number(req.body.before_message_id));
+    const now = new Date().toISOString();
+    const conversation = {
+      ...original,
+      id: nextId(),
+      title: `${original.title} (edited)`,
+      created_at: now,
+      updated_at: now,
+    };
+    db.conversations.push(conversation);
+    (cutoff === -1 ? history : history.slice(0, cutoff)).forEach(msg => db.messages.push({
+      ...msg,
+      id: nextId(),
+      conversation_id: conversation.id,
+    }));
+    saveDb();
+    return json(200, { conversation });
+  }],
+
+  ['PATCH', /^\/api\/conversations\/(\d+)$/, true, (req, user, id) => {
+    const conversation = loadDb().conversations.find(conv => conv.id === Number(id) && conv.user_id === user.id);
+    if (!conversation) return notFound();
+    Object.assign(conversation, req.body, { updated_at: new Date().toISOString() });
+    saveDb();
+    return json(200, { conversation });
+  }],
+
+  ['DELETE', /^\/api\/conversations\/(\d+)$/, true, (req, user, id) => {
+    const conversationId = Number(id);
+    db = loadDb();
+    db.conversations = db.conversations.filter(conv => !(conv.id === conversationId && conv.user_id === user.id));
+    db.messages = db.messages.filter(msg => !(msg.conversation_id === conversationId && msg.user_id === user.id));
+    saveDb();
+    return json(200, { message: 'Conversation deleted successfully' });
+  }],
+
+  ['GET', /^\/api\/collections$/, true, (req, user) => json(200, {
+    collections: loadDb().collections
+      .filter(collection => collection.user_id === user.id)
+      .sort((a, b) => a.name.localeCompare(b.name)),
+  })],
+
+  ['POST', /^\/api\/collections$/, true, (req, user) => {
+    const collection = {
+      id: nextId(),
+      user_id: user.id,
+      name: req.body.name,
+      document_ids: req.body.document_ids || [],
+      tags: normalizeTags(req.body.tags || []),
+      created_at: new Date().toISOString(),
+    };
+    db.collections.push(collection);
+    saveDb();
+    return json(200, { collection });
+  }],
+
+  ['PATCH', /^\/api\/collections\/(\d+)$/, true, (req, user, id) => {
+    const collection = loadDb().collections.find(candidate => candidate.id === Number(id) && candidate.user_id === user.id);
+    if (!collection) return notFound();
+    const { name, document_ids: documentIds, tags } = req.body;
+    if (name !== undefined) collection.name = name;
+    if (documentIds !== undefined) collection.document_ids = documentIds;
+    if (tags !== undefined) collection.tags = normalizeTags(tags);
+    saveDb();
+    return json(200, { collection });
+  }],
+
+  ['DELETE', /^\/api\/collections\/(\d+)$/, true, (req, user, id) => {
+    const before = loadDb().collections.length;
+    db.collections = db.collections.filter(collection => !(collection.id === Number(id) && collection.user_id === user.id));
+    if (db.collections.length === before) return notFound();
+    saveDb();
+    return json(200, { message: 'Collection deleted successfully' });
+  }],
+
+  ['GET', /^\/api\/search$/, true, (req, user) => json(200, {
+    results: searchWorkspace(req.query.get('q') || '', {
+      conversations: loadDb().conversations.filter(conv => conv.user_id === user.id),
+      messages: loadDb().messages.filter(msg => msg.user_id === user.id),
+      documents: loadDb().documents.filter(doc => doc.user_id === user.id),
+    }),
+  })],
+
+  ['POST', /^\/api\/guest\/chat$/, false, (req) => json(200, answerGuestChat(req.body))],
+
+  ['POST', /^\/api\/guest\/chat\/stream$/, false, (req) => {
+    const { response, ...meta } = answerGuestChat(req.body);
+    return { status: 200, stream: response, meta };
+  }],
+
+  // Like a server without the right extractor, formats other than text are refused, so the
+  // client's in-browser extraction takes over.
+  ['POST', /^\/api\/guest\/extract-text$/, false, async (req) => {
+    const file = req.body.get('file');
+    if (!isTextFile(file)) {
+      return json(422, { detail: `The mock backend cannot extract text from ${file.name}` });
+    }
+    return json(200, { extracted_text: await file.text() });
+  }],
+];
+
+/**
+ * Routes a request to its handler.
+ * @param {{method: string, path: string, query: URLSearchParams, body: any, headers: object}} req
+ * @returns {Promise<{status: number, data?: any, stream?: string, meta?: object}>}
+ */
+const handle = async (req) => {
+  for (const [method, pattern, requiresAuth, handler] of routes) {
+    const match = pattern.exec(req.path);
+    if (match && method === req.method) {
+      const user = currentUser(req);
+      if (requiresAuth && !user) {
+        return json(401, { detail: 'Could not validate credentials' });
+      }
+      return handler(req, user, ...match.slice(1));
+    }
+  }
+  return notFound();
+};
+
+const parseUrl = (url, params) => {
+  const parsed = new URL(url, 'http://mock.local');
+  const query = new URLSearchParams(parsed.search);
+  Object.entries(params || {}).forEach(([key, value]) => {
+    if (value !== undefined && value !== null) query.set(key, value);
+  });
+  return { path: parsed.pathname, query };
+};
+
+const parseBody = (data) => {
+  if (typeof data !== 'string') return data || {};
+  try {
+    return JSON.parse(data);
+  } catch {
+    return {};
+  }
+};
+
+/**
+ * axios adapter serving requests from the mock backend.
+ * @param {import('axios').InternalAxiosRequestConfig} axiosConfig
+ * @returns {Promise<import('axios').AxiosResponse>}
+ */
+export const mockAdapter = async (axiosConfig) => {
+  const { path, query } = parseUrl(axiosConfig.url, axiosConfig.params);
+  await delay(config.mockLatencyMs, axiosConfig.signal, () => new CanceledError(undefined, undefined, axiosConfig));
+
+  const result = await handle({
+    method: axiosConfig.method.toUpperCase(),
+    path,
+    query,
+    body: parseBody(axiosConfig.data),
+    headers: axiosConfig.headers || {},
+  });
+
+  const response = {
+    data: result.stream !== undefined ? { ...result.meta, response: result.stream } : result.data,
+    status: result.status,
+    statusText: String(result.status),
+    headers: { 'content-type': 'application/json' },
+    config: axiosConfig,
+    request: {},
+  };
+
+  if (result.status >= 400) {
+    throw new AxiosError(
+      `Request failed with status code ${result.status}`,
+      result.status >= 500 ? AxiosError.ERR_BAD_RESPONSE : AxiosError.ERR_BAD_REQUEST,
+      axiosConfig,
+      {},
+      response,
+    );
+  }
+  return response;
+};
+
+/**
+ * Builds a Server-Sent Events body that emits the answer word by word.
+ * @param {string} text
+ * @param {object} meta - Payload of the final `done` event.
+ * @param {AbortSignal} [signal]
+ * @returns {ReadableStream<Uint8Array>}
+ */
+const eventStream = (text, meta, signal) => {
+  const encoder = new TextEncoder();
+  const tokens = text.match(/\S+\s*|\s+/g) || [];
+  let timer;
+
+  return new ReadableStream({
+    start(controller) {
+      let index = 0;
+      const push = () => {
+        if (index < tokens.length) {
+          controller.enqueue(encoder.encode(`data: ${JSON.stringify({ token: tokens[index] })}\n\n`));
+          index += 1;
+          timer = setTimeout(push, STREAM_CHUNK_DELAY_MS);
+        } else {
+          controller.enqueue(encoder.encode(`event: done\ndata: ${JSON.stringify(meta)}\n\n`));
+          controller.close();
+        }
+      };
+      signal?.addEventListener('abort', () => {
+        clearTimeout(timer);
+        controller.error(new DOMException('The operation was aborted.', 'AbortError'));
+      }, { once: true });
+      push();
+    },
+    cancel() {
+      clearTimeout(timer);
+    },
+  });
+};
+
+/**
+ * The stand-in provider's configuration, when the app offers it.
+ * @returns {import('./config').OidcProvider | undefined}
+ */
+const mockOidcProvider = () => config.oidcProviders.find(provider => provider.id === MOCK_OIDC_PROVIDER_ID);
+
+/**
+ * Checks that an authorization request comes from the app's own client and returns to its
+ * callback page. Requests that fail are refused without redirecting anywhere.
+ * @param {URLSearchParams} params - The authorization request's query string.
+ * @returns {string} Why the request is refused, or an empty string when it is valid.
+ */
+export const mockAuthorizationRequestError = (params) => {
+  const provider = mockOidcProvider();
+  if (!provider || params.get('client_id') !== provider.clientId) {
+    return 'This sign-in request comes from an unknown client.';
+  }
+  if (params.get('redirect_uri') !== getRedirectUri()) {
+    return 'This sign-in request returns to an address that is not registered.';
+  }
+  return '';
+};
+
+/**
+ * Answers an authorization request made to the stand-in sign-on provider, which the
+ * `/dev/oidc/authorize` page plays: approving it issues a code bound to the PKCE challenge.
+ * The identity's subject is its email address, the same for every sign-in.
+ * @param {URLSearchParams} params - The authorization request's query string.
+ * @param {{email: string, full_name: string} | null} identity - Who signs in, or null to refuse.
+ * @returns {string} The URL to send the browser back to.
+ * @throws {Error} When the request fails mockAuthorizationRequestError's checks.
+ */
+export const mockAuthorizationRedirect = (params, identity) => {
+  const requestError = mockAuthorizationRequestError(params);
+  if (requestError) throw new Error(requestError);
+
+  const redirect = new URL(params.get('redirect_uri'));
+  const reply = { state: params.get('state') || '' };
+  if (!identity) {
+    reply.error = 'access_denied';
+  } else if (params.get('response_type') !== 'code' || params.get('code_challenge_method') !== 'S256'
+      || !params.get('code_challenge')) {
+    reply.error = 'invalid_request';
+    reply.error_description = 'The request must use the authorization-code flow with an S256 code challenge.';
+  } else {
+    reply.code = randomToken();
+    loadDb().authorizationCodes.push({
+      code: reply.code,
+      client_id: params.get('client_id'),
+      redirect_uri: redirect.toString(),
+      code_challenge: params.get('code_challenge'),
+      nonce: params.get('nonce'),
+      sub: identity.email.toLowerCase(),
+      email: identity.email,
+      full_name: identity.full_name,
+      expires_at: Date.now() + AUTHORIZATION_CODE_LIFETIME_MS,
+    });
+    saveDb();
+  }
+  redirect.search = new URLSearchParams(reply).toString();
+  return redirect.toString();
+};
+
+/**
+ * Lists the emails the mock backend has sent, newest first.
+ * @returns {Array<{id: number, to: string, subject: string, body: string, link: string, sent_at: string}>}
+ */
+export const getSentMail = () => [...loadDb().mail].reverse();
+
+/**
+ * Fetch API counterpart of mockAdapter, used for streaming requests.
+ * @param {string} path
+ * @param {RequestInit} init
+ * @returns {Promise<Response>}
+ */
+export const mockFetch = async (path, init = {}) => {
+  const { path: pathname, query } = parseUrl(path);
+  await delay(config.mockLatencyMs, init.signal, () => new DOMException('The operation was aborted.', 'AbortError'));
+
+  const result = await handle({
+    method: (init.method || 'GET').toUpperCase(),
+    path: pathname,
+    query,
+    body: parseBody(init.body),
+    headers: init.headers || {},
+  });
+
+  if (result.stream !== undefined) {
+    return new Response(eventStream(result.stream, result.meta, init.signal), {
+      status: 200,
+      headers: { 'Content-Type': 'text/event-stream' },
+    });
+  }
+
+  return new Response(JSON.stringify(result.data), {
+    status: result.status,
+    headers: { 'Content-Type': 'application/json' },
+  });
+};
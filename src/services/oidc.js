@@ -0,0 +1,120 @@
+/**
+ * Single sign-on with OpenID Connect, using the authorization-code flow with PKCE. The
+ * browser sends the user to the provider with a code challenge; the provider sends them
+ * back to `/auth/callback` with a code, which the backend exchanges, together with the
+ * code verifier kept in sessionStorage, for an AskStash session.
+ *
+ * @typedef {object} OidcCallback
+ * @property {string} providerId
+ * @property {string} code - The authorization code from the provider.
+ * @property {string} codeVerifier - The PKCE verifier the code challenge was made from.
+ * @property {string} redirectUri - Must match the one sent to the provider.
+ * @property {string} nonce - Expected in the ID token the provider issues.
+ * @property {string} returnPath - Where to go once signed in.
+ */
+
+const PENDING_LOGIN_KEY = 'oidcPendingLogin';
+const DEFAULT_SCOPE = 'openid email profile';
+
+/**
+ * Thrown when a provider login cannot be completed: the provider reported an error, or
+ * the callback does not belong to a login started in this browser tab.
+ */
+export class OidcError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'OidcError';
+  }
+}
+
+/**
+ * Encodes bytes as unpadded base64url, as PKCE requires.
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+const base64Url = (bytes) => btoa(String.fromCharCode(...bytes))
+  .replace(/\+/g, '-')
+  .replace(/\//g, '_')
+  .replace(/=+$/, '');
+
+const randomString = (byteLength) => base64Url(crypto.getRandomValues(new Uint8Array(byteLength)));
+
+/**
+ * Derives the S256 code challenge of a PKCE verifier.
+ * @param {string} codeVerifier
+ * @returns {Promise<string>}
+ */
+export const createCodeChallenge = async (codeVerifier) => {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(codeVerifier));
+  return base64Url(new Uint8Array(digest));
+};
+
+/**
+ * Where providers send the browser back to; it has to be registered with each provider.
+ * @returns {string}
+ */
+export const getRedirectUri = () => `${window.location.origin}/auth/callback`;
+
+/**
+ * Sends the browser to the provider's sign-in page.
+ * @param {import('./config').OidcProvider} provider
+ * @param {string} returnPath - Where to go once signed in.
+ * @returns {Promise<void>}
+ */
+export const beginOidcLogin = async (provider, returnPath) => {
+  const codeVerifier = randomString(32);
+  const state = randomString(16);
+  const nonce = randomString(16);
+  sessionStorage.setItem(PENDING_LOGIN_KEY, JSON.stringify({
+    providerId: provider.id,
+    state,
+    codeVerifier,
+    nonce,
+    returnPath,
+  }));
+
+  const url = new URL(provider.authorizationUrl, window.location.origin);
+  url.search = new URLSearchParams({
+    response_type: 'code',
+    client_id: provider.clientId,
+    redirect_uri: getRedirectUri(),
+    scope: provider.scope || DEFAULT_SCOPE,
+    state,
+    nonce,
+    code_challenge: await createCodeChallenge(codeVerifier),
+    code_challenge_method: 'S256',
+  }).toString();
+  window.location.assign(url.toString());
+};
+
+/**
+ * Reads the provider's response on the callback page. The pending login is used up, so a
+ * callback URL cannot be replayed.
+ * @param {URLSearchParams} params - The callback page's query string.
+ * @returns {OidcCallback}
+ * @throws {OidcError}
+ */
+export const readOidcCallback = (params) => {
+  let pending = null;
+  try {
+    pending = JSON.parse(sessionStorage.getItem(PENDING_LOGIN_KEY));
+  } catch (error) {
+    console.error('Error reading pending provider login:', error);
+  }
+  sessionStorage.removeItem(PENDING_LOGIN_KEY);
+
+  if (params.get('error')) {
+    throw new OidcError(params.get('error_description') || `The provider refused the sign-in (${params.get('error')}).`);
+  }
+  if (!pending || !params.get('code') || params.get('state') !== pending.state) {
+    throw new OidcError('This sign-in link is not valid anymore. Please start again.');
+  }
+  return {
+    providerId: pending.providerId,
+    code: params.get('code'),
+    codeVerifier: pending.codeVerifier,
+    redirectUri: getRedirectUri(),
+    nonce: pending.nonce,
+    returnPath: pending.returnPath,
+  };
+};
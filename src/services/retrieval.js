@@ -0,0 +1,193 @@
+/**
+ * Local lexical retrieval for guest mode: documents are split into overlapping chunks
+ * when saved, and questions are answered with the best-scoring chunks under BM25
+ * instead of the full text of every document.
+ *
+ * @typedef {object} TextChunk
+ * @property {string} id - `<documentId>:<index>`, unique across documents.
+ * @property {number} start - Offset of the first character in the document content.
+ * @property {number} end - Offset just past the last character.
+ *
+ * @typedef {object} RankedChunk
+ * @property {string} id
+ * @property {string} documentId
+ * @property {number} start
+ * @property {number} end
+ * @property {string} text
+ * @property {number} score
+ */
+
+const DEFAULT_CHUNK_SIZE = 1200;
+const DEFAULT_CHUNK_OVERLAP = 200;
+
+// Matches scoring below this fraction of the best match are treated as noise.
+const MIN_RELATIVE_SCORE = 0.25;
+
+// Most passage text sent with one question, so the rest of each document never reaches the model.
+export const MAX_PASSAGE_CHARS = 12000;
+
+// BM25 tuning constants: term-frequency saturation and length normalisation.
+const BM25_K1 = 1.5;
+const BM25_B = 0.75;
+
+const STOP_WORDS = new Set([
+  'a', 'about', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'can', 'do', 'does', 'for', 'from',
+  'has', 'have', 'how', 'i', 'if', 'in', 'is', 'it', 'its', 'me', 'my', 'of', 'on', 'or', 'so',
+  'that', 'the', 'their', 'there', 'this', 'to', 'was', 'we', 'what', 'when', 'where', 'which',
+  'who', 'why', 'will', 'with', 'you', 'your',
+]);
+
+/**
+ * Splits text into lowercase terms, dropping stop words and single characters.
+ * @param {string} text
+ * @returns {string[]}
+ */
+export const tokenize = (text) => (
+  (text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+    .filter(term => term.length > 1 && !STOP_WORDS.has(term))
+);
+
+/**
+ * Finds a good place to end a chunk: the last paragraph, sentence or word break
+ * in the second half of the window, or the hard limit if there is none.
+ * @param {string} text
+ * @param {number} start
+ * @param {number} limit
+ * @returns {number}
+ */
+const findChunkEnd = (text, start, limit) => {
+  if (limit >= text.length) return text.length;
+
+  const window = text.slice(start, limit);
+  const minimum = Math.floor(window.length / 2);
+  const breaks = [/\n\s*\n/g, /[.!?]\s/g, /\s/g];
+
+  for (const pattern of breaks) {
+    let lastBreak = -1;
+    let match;
+    while ((match = pattern.exec(window)) !== null) {
+      if (match.index >= minimum) lastBreak = match.index + match[0].length;
+    }
+    if (lastBreak > 0) return start + lastBreak;
+  }
+
+  return limit;
+};
+
+/**
+ * Splits document content into overlapping chunks, preferring natural boundaries.
+ * @param {string} documentId - The ID of the document the content belongs to.
+ * @param {string} content - The document text.
+ * @param {object} [options]
+ * @param {number} [options.chunkSize] - Maximum characters per chunk.
+ * @param {number} [options.overlap] - Characters shared between consecutive chunks.
+ * @returns {TextChunk[]}
+ */
+export const chunkDocument = (documentId, content, options = {}) => {
+  const chunkSize = options.chunkSize || DEFAULT_CHUNK_SIZE;
+  const overlap = Math.min(options.overlap ?? DEFAULT_CHUNK_OVERLAP, Math.floor(chunkSize / 2));
+  const chunks = [];
+  let start = 0;
+
+  while (start < content.length) {
+    const end = findChunkEnd(content, start, start + chunkSize);
+    if (content.slice(start, end).trim()) {
+      chunks.push({ id: `${documentId}:${chunks.length}`, start, end });
+    }
+    if (end >= content.length) break;
+    // Step back by the overlap, then forward to the next word so chunks start cleanly.
+    const overlapStart = Math.max(end - overlap, start + 1);
+    const nextWord = content.slice(overlapStart, end).search(/\s\S/);
+    start = nextWord >= 0 ? overlapStart + nextWord + 1 : overlapStart;
+  }
+
+  return chunks;
+};
+
+/**
+ * Ranks the chunks of the given documents against a query with BM25.
+ * Chunks are computed on the fly for documents saved without them.
+ * @param {string} query - The user's question.
+ * @param {Array<{id: string, content: string, chunks?: TextChunk[]}>} documents
+ * @returns {RankedChunk[]} Every chunk, best match first; all scores are 0 when nothing matches.
+ */
+export const rankChunks = (query, documents) => {
+  const entries = documents.flatMap(doc => (doc.chunks || chunkDocument(doc.id, doc.content)).map(chunk => {
+    const text = doc.content.slice(chunk.start, chunk.end);
+    return { ...chunk, documentId: doc.id, text, terms: tokenize(text) };
+  }));
+
+  if (entries.length === 0) return [];
+
+  const queryTerms = [...new Set(tokenize(query))];
+  const averageLength = entries.reduce((sum, entry) => sum + entry.terms.length, 0) / entries.length || 1;
+
+  const documentFrequency = new Map();
+  entries.forEach(entry => {
+    new Set(entry.terms).forEach(term => {
+      documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+    });
+  });
+
+  const ranked = entries.map(({ terms, ...entry }) => {
+    const frequencies = new Map();
+    terms.forEach(term => frequencies.set(term, (frequencies.get(term) || 0) + 1));
+
+    const score = queryTerms.reduce((sum, term) => {
+      const frequency = frequencies.get(term);
+      if (!frequency) return sum;
+      const df = documentFrequency.get(term);
+      const idf = Math.log(1 + (entries.length - df + 0.5) / (df + 0.5));
+      const norm = frequency + BM25_K1 * (1 - BM25_B + BM25_B * (terms.length / averageLength));
+      return sum + idf * ((frequency * (BM25_K1 + 1)) / norm);
+    }, 0);
+
+    return { ...entry, score };
+  });
+
+  return ranked.sort((a, b) => b.score - a.score);
+};
+
+/**
+ * Picks the passages to send as context for a question: the top BM25 matches within a
+ * character budget, or the opening chunks of each document when nothing matches
+ * (e.g. "summarize this").
+ * @param {string} query - The user's question.
+ * @param {Array<{id: string, content: string, chunks?: TextChunk[]}>} documents
+ * @param {object} [options]
+ * @param {number} [options.maxChunks] - Maximum number of passages.
+ * @param {number} [options.maxChars] - Maximum total characters of passage text.
+ * @returns {RankedChunk[]} The chosen passages in document order.
+ */
+export const retrievePassages = (query, documents, { maxChunks = 8, maxChars = MAX_PASSAGE_CHARS } = {}) => {
+  const ranked = rankChunks(query, documents);
+  const topScore = ranked[0]?.score || 0;
+
+  let candidates;
+  if (topScore > 0) {
+    candidates = ranked.filter(chunk => chunk.score >= topScore * MIN_RELATIVE_SCORE);
+  } else {
+    // Interleave documents so each one contributes its opening passages.
+    const byDocument = documents.map(doc => ranked
+      .filter(chunk => chunk.documentId === doc.id)
+      .sort((a, b) => a.start - b.start));
+    candidates = [];
+    for (let i = 0; byDocument.some(chunks => i < chunks.length); i += 1) {
+      byDocument.forEach(chunks => chunks[i] && candidates.push(chunks[i]));
+    }
+  }
+
+  const selected = [];
+  let totalChars = 0;
+  for (const chunk of candidates) {
+    if (selected.length >= maxChunks) break;
+    if (totalChars + chunk.text.length > maxChars && selected.length > 0) continue;
+    selected.push(chunk);
+    totalChars += chunk.text.length;
+  }
+
+  const documentOrder = documents.map(doc => doc.id);
+  return selected.sort((a, b) => (
+    documentOrder.indexOf(a.documentId) - documentOrder.indexOf(b.documentId) || a.start - b.start
+  ));
+};
@@ -0,0 +1,107 @@
+import { chunkDocument, rankChunks, retrievePassages, tokenize } from './retrieval';
+
+const sentence = (index) => `Sentence number ${index} talks about nothing in particular.`;
+const longText = Array.from({ length: 60 }, (_, index) => sentence(index)).join(' ');
+
+describe('tokenize', () => {
+  it('lowercases words and drops stop words and single characters', () => {
+    expect(tokenize('What is the Budget for Q3, a plan?')).toEqual(['budget', 'q3', 'plan']);
+  });
+});
+
+describe('chunkDocument', () => {
+  it('keeps short documents in one chunk', () => {
+    expect(chunkDocument('7', 'A short note.')).toEqual([{ id: '7:0', start: 0, end: 13 }]);
+  });
+
+  it('covers the whole text with overlapping chunks within the size limit', () => {
+    const chunks = chunkDocument('1', longText, { chunkSize: 300, overlap: 60 });
+
+    expect(chunks.length).toBeGreaterThan(1);
+    expect(chunks[0].start).toBe(0);
+    expect(chunks[chunks.length - 1].end).toBe(longText.length);
+    expect(chunks.map(chunk => chunk.id)).toEqual(chunks.map((_, index) => `1:${index}`));
+    expect(chunks.every(chunk => chunk.end - chunk.start <= 300)).toBe(true);
+    // Each chunk starts before the previous one ends.
+    expect(chunks.slice(1).every((chunk, index) => chunk.start < chunks[index].end)).toBe(true);
+  });
+
+  it('ends chunks after a sentence and starts them on a word', () => {
+    const chunks = chunkDocument('1', longText, { chunkSize: 300, overlap: 60 });
+
+    chunks.slice(0, -1).forEach(chunk => expect(longText.slice(chunk.start, chunk.end)).toMatch(/\.\s$/));
+    chunks.slice(1).forEach(chunk => expect(longText[chunk.start - 1]).toBe(' '));
+  });
+
+  it('prefers paragraph breaks over sentence breaks', () => {
+    const text = `${'First paragraph sentence. '.repeat(8)}\n\n${'Second paragraph sentence. '.repeat(8)}`;
+    const [first] = chunkDocument('1', text, { chunkSize: 300, overlap: 0 });
+
+    expect(text.slice(first.start, first.end)).toMatch(/\n\n$/);
+  });
+
+  it('skips chunks that are only whitespace', () => {
+    expect(chunkDocument('1', '   \n\n   ')).toEqual([]);
+  });
+});
+
+describe('rankChunks', () => {
+  const documents = [
+    { id: 'a', content: 'Quarterly revenue grew while costs stayed flat.' },
+    { id: 'b', content: 'The office moved to a new building downtown.' },
+    { id: 'c', content: 'Revenue, revenue, revenue: the revenue report in full.' },
+  ];
+
+  it('ranks chunks with more occurrences of rarer terms first', () => {
+    const ranked = rankChunks('revenue report', documents);
+
+    expect(ranked.map(chunk => chunk.documentId)).toEqual(['c', 'a', 'b']);
+    expect(ranked[0].score).toBeGreaterThan(ranked[1].score);
+    expect(ranked[2].score).toBe(0);
+  });
+
+  it('gives every chunk a score of 0 when nothing matches', () => {
+    expect(rankChunks('weather', documents).every(chunk => chunk.score === 0)).toBe(true);
+  });
+
+  it('returns the chunk text with its offsets', () => {
+    const [top] = rankChunks('building', documents);
+
+    expect(top).toMatchObject({ id: 'b:0', documentId: 'b', start: 0, text: documents[1].content });
+  });
+});
+
+describe('retrievePassages', () => {
+  it('keeps strong matches only, in document order', () => {
+    const documents = [
+      { id: 'a', content: 'Notes about the garden and its flowers.' },
+      { id: 'b', content: 'The budget for the garden project.' },
+      { id: 'c', content: 'Garden budget, budget approvals and the budget timeline.' },
+    ];
+
+    const passages = retrievePassages('budget', documents);
+
+    expect(passages.map(passage => passage.documentId)).toEqual(['b', 'c']);
+  });
+
+  it('falls back to the opening passages of each document when nothing matches', () => {
+    const documents = [
+      { id: 'a', content: longText },
+      { id: 'b', content: 'A second, short document.' },
+    ];
+
+    const passages = retrievePassages('summarize this', documents, { maxChunks: 3 });
+
+    expect(passages.map(passage => passage.id)).toEqual(['a:0', 'a:1', 'b:0']);
+  });
+
+  it('stays within the character budget', () => {
+    const documents = [{ id: 'a', content: longText }];
+
+    const passages = retrievePassages('sentence', documents, { maxChars: 2500 });
+    const totalChars = passages.reduce((sum, passage) => sum + passage.text.length, 0);
+
+    expect(passages.length).toBeGreaterThan(0);
+    expect(totalChars).toBeLessThanOrEqual(2500);
+  });
+});
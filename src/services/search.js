@@ -0,0 +1,145 @@
+import { tokenize } from './retrieval';
+
+/**
+ * Search over chat history and document text. Guests search their local data with
+ * `searchWorkspace`; accounts get the same result shape from the server.
+ *
+ * @typedef {object} SearchResult
+ * @property {string} key - Unique key for rendering.
+ * @property {'message' | 'document'} type
+ * @property {string} title - The conversation title or document filename.
+ * @property {string} snippet - Text around the match.
+ * @property {number} score - Higher is better.
+ * @property {number | string} [conversation_id] - For messages: the conversation to open.
+ * @property {number | string} [message_id] - For messages: the message to scroll to.
+ * @property {string} [created_at] - For messages: when the question was asked.
+ * @property {number | string} [document_id] - For documents: the document to open.
+ * @property {number} [start] - For documents: offset of the match in the extracted text.
+ * @property {number} [end] - For documents: end offset of the match.
+ */
+
+const SNIPPET_RADIUS = 80;
+const MAX_PASSAGES_PER_DOCUMENT = 3;
+// Passages closer together than this are reported as one.
+const MIN_PASSAGE_GAP = 400;
+const MAX_RESULTS = 50;
+
+/**
+ * Splits a query into the terms to look for, ignoring stop words.
+ * @param {string} query
+ * @returns {string[]}
+ */
+export const searchTerms = (query) => [...new Set(tokenize(query))];
+
+/**
+ * Lists every occurrence of the terms in a text.
+ * @param {string} text
+ * @param {string[]} terms
+ * @returns {Array<{term: string, index: number}>} Sorted by position.
+ */
+const findOccurrences = (text, terms) => {
+  const haystack = text.toLowerCase();
+  const occurrences = [];
+  terms.forEach(term => {
+    let index = haystack.indexOf(term);
+    while (index !== -1) {
+      occurrences.push({ term, index });
+      index = haystack.indexOf(term, index + term.length);
+    }
+  });
+  return occurrences.sort((a, b) => a.index - b.index);
+};
+
+/**
+ * Cuts the text around a position, trimmed to whole words.
+ * @param {string} text
+ * @param {number} index
+ * @returns {string}
+ */
+const snippetAround = (text, index) => {
+  const start = Math.max(index - SNIPPET_RADIUS, 0);
+  const end = Math.min(index + SNIPPET_RADIUS, text.length);
+  let snippet = text.slice(start, end).replace(/\s+/g, ' ').trim();
+  if (start > 0) snippet = `…${snippet.replace(/^\S*\s/, '')}`;
+  if (end < text.length) snippet = `${snippet.replace(/\s\S*$/, '')}…`;
+  return snippet;
+};
+
+/**
+ * Scores a text for the terms: distinct terms found count most, then total occurrences.
+ * Texts matching fewer than half the terms do not match at all.
+ * @returns {number} The score, or 0 for no match.
+ */
+const scoreOccurrences = (occurrences, terms) => {
+  const distinct = new Set(occurrences.map(occurrence => occurrence.term)).size;
+  if (distinct < Math.ceil(terms.length / 2)) return 0;
+  return distinct * 100 + Math.min(occurrences.length, 99);
+};
+
+/**
+ * Searches conversations and documents for a query.
+ * @param {string} query
+ * @param {object} data
+ * @param {Array<{id: number | string, title: string}>} data.conversations
+ * @param {Array<{id: number | string, conversation_id: number | string, message: string, response: string, created_at: string}>} data.messages
+ * @param {Array<{id: number | string, filename: string, content: string}>} data.documents
+ * @returns {SearchResult[]} The best matches first.
+ */
+export const searchWorkspace = (query, { conversations, messages, documents }) => {
+  const terms = searchTerms(query);
+  if (terms.length === 0) return [];
+
+  const titles = new Map(conversations.map(conv => [String(conv.id), conv.title]));
+  const results = [];
+
+  messages.forEach(msg => {
+    if (!titles.has(String(msg.conversation_id))) return;
+    const questionHits = findOccurrences(msg.message, terms);
+    const answerHits = findOccurrences(msg.response, terms);
+    const score = scoreOccurrences([...questionHits, ...answerHits], terms);
+    if (!score) return;
+
+    const [text, hits] = answerHits.length > questionHits.length
+      ? [msg.response, answerHits]
+      : [msg.message, questionHits];
+    results.push({
+      key: `message-${msg.id}`,
+      type: 'message',
+      title: titles.get(String(msg.conversation_id)),
+      snippet: snippetAround(text, hits[0].index),
+      score,
+      conversation_id: msg.conversation_id,
+      message_id: msg.id,
+      created_at: msg.created_at,
+    });
+  });
+
+  documents.forEach(doc => {
+    const hits = findOccurrences(doc.content, terms);
+    const score = scoreOccurrences(hits, terms);
+    if (!score) return;
+
+    const passages = [];
+    for (const hit of hits) {
+      if (passages.length >= MAX_PASSAGES_PER_DOCUMENT) break;
+      if (passages.every(passage => Math.abs(passage.start - hit.index) >= MIN_PASSAGE_GAP)) {
+        passages.push({ start: hit.index, end: hit.index + hit.term.length });
+      }
+    }
+    passages.forEach((passage, index) => results.push({
+      key: `document-${doc.id}-${passage.start}`,
+      type: 'document',
+      title: doc.filename,
+      snippet: snippetAround(doc.content, passage.start),
+      // Later passages of a document rank just below its first.
+      score: score - index,
+      document_id: doc.id,
+      start: passage.start,
+      end: passage.end,
+    }));
+  });
+
+  return results
+    .sort((a, b) => b.score - a.score || (b.created_at || '').localeCompare(a.created_at || ''))
+    .slice(0, MAX_RESULTS);
+};
@@ -0,0 +1,74 @@
+import { searchTerms, searchWorkspace } from './search';
+
+const conversations = [
+  { id: 1, title: 'Travel plans' },
+  { id: 2, title: 'Budget review' },
+];
+
+const messages = [
+  { id: 10, conversation_id: 1, message: 'Where should we stay in Lisbon?', response: 'A hotel near the river.', created_at: '2024-01-01T10:00:00Z' },
+  { id: 11, conversation_id: 2, message: 'Summarize the budget', response: 'The budget grew, and the travel budget doubled.', created_at: '2024-01-02T10:00:00Z' },
+  // Its conversation was deleted, so it is not searched.
+  { id: 12, conversation_id: 3, message: 'Budget question', response: 'Budget answer', created_at: '2024-01-03T10:00:00Z' },
+];
+
+describe('searchTerms', () => {
+  it('drops stop words and duplicates', () => {
+    expect(searchTerms('the budget and THE Budget')).toEqual(['budget']);
+  });
+});
+
+describe('searchWorkspace', () => {
+  it('finds nothing for a query of stop words only', () => {
+    expect(searchWorkspace('what is the', { conversations, messages, documents: [] })).toEqual([]);
+  });
+
+  it('finds messages of existing conversations only', () => {
+    const results = searchWorkspace('budget', { conversations, messages, documents: [] });
+
+    expect(results.map(result => result.message_id)).toEqual([11]);
+    expect(results[0]).toMatchObject({
+      key: 'message-11',
+      type: 'message',
+      title: 'Budget review',
+      conversation_id: 2,
+    });
+  });
+
+  it('ranks results matching more of the terms first', () => {
+    const results = searchWorkspace('travel budget', { conversations, messages, documents: [] });
+
+    expect(results[0].message_id).toBe(11);
+    expect(results[0].score).toBeGreaterThan(200);
+  });
+
+  it('requires at least half of the terms to match', () => {
+    expect(searchWorkspace('lisbon budget report', { conversations, messages, documents: [] })).toEqual([]);
+  });
+
+  it('quotes the answer when it holds more of the matches than the question', () => {
+    const [result] = searchWorkspace('budget', { conversations, messages, documents: [] });
+
+    expect(result.snippet).toBe('The budget grew, and the travel budget doubled.');
+  });
+
+  it('reports separate passages of a document with their offsets', () => {
+    const content = `Invoice total due. ${'Filler text here. '.repeat(40)}Second invoice reminder.`;
+    const documents = [{ id: 'd1', filename: 'billing.txt', content }];
+
+    const results = searchWorkspace('invoice', { conversations, messages, documents });
+
+    expect(results.map(result => [result.start, result.end])).toEqual([
+      [0, 7],
+      [content.lastIndexOf('invoice'), content.lastIndexOf('invoice') + 7],
+    ]);
+    expect(results[0].score).toBeGreaterThan(results[1].score);
+    expect(results[1].snippet.startsWith('…')).toBe(true);
+  });
+
+  it('reports occurrences close together as one passage', () => {
+    const documents = [{ id: 'd1', filename: 'notes.txt', content: 'Invoice one and invoice two.' }];
+
+    expect(searchWorkspace('invoice', { conversations, messages, documents })).toHaveLength(1);
+  });
+});
@@ -0,0 +1,183 @@
+/**
+ * Helpers for reading streamed chat answers with the Fetch API.
+ *
+ * Streaming endpoints answer with Server-Sent Events in this shape:
+ *
+ *   data: {"token": "Hel"}
+ *   data: {"token": "lo"}
+ *   event: done
+ *   data: {"context_used": true, "context_sources": [...]}
+ *
+ * An `event: error` with `data: {"detail": "..."}` aborts the stream. Raw chunked
+ * `text/plain` bodies are accepted too, each chunk being treated as a token.
+ */
+
+import { httpFetch } from './http';
+
+/**
+ * Thrown when the server does not offer a streaming endpoint, so callers can fall
+ * back to the regular request/response call.
+ */
+export class StreamUnsupportedError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'StreamUnsupportedError';
+  }
+}
+
+// Statuses that mean "no streaming route here" rather than "the request failed".
+const UNSUPPORTED_STATUSES = [404, 405, 501];
+
+/**
+ * Parses one Server-Sent Event block into its event name and data payload.
+ * @param {string} block - The raw lines of a single event.
+ * @returns {{event: string, data: string} | null} The event, or null for comments and keep-alives.
+ */
+const parseEventBlock = (block) => {
+  let event = 'message';
+  const dataLines = [];
+
+  block.split(/\r?\n/).forEach((line) => {
+    if (line.startsWith('event:')) {
+      event = line.slice(6).trim();
+    } else if (line.startsWith('data:')) {
+      dataLines.push(line.slice(5).replace(/^ /, ''));
+    }
+  });
+
+  return dataLines.length > 0 ? { event, data: dataLines.join('\n') } : null;
+};
+
+/**
+ * Reads a Server-Sent Events body, reporting tokens as they arrive.
+ * @param {ReadableStreamDefaultReader<Uint8Array>} reader
+ * @param {(token: string) => void} onToken
+ * @returns {Promise<{text: string, meta: object}>} The full text and the `done` event payload.
+ */
+const readEventStream = async (reader, onToken) => {
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let text = '';
+  let meta = {};
+
+  const handleBlock = (block) => {
+    const parsed = parseEventBlock(block);
+    if (!parsed || parsed.data === '[DONE]') return;
+
+    let payload;
+    try {
+      payload = JSON.parse(parsed.data);
+    } catch {
+      payload = { token: parsed.data };
+    }
+
+    if (parsed.event === 'error') {
+      throw new Error(payload.detail || 'The server reported a streaming error');
+    }
+    if (parsed.event === 'done') {
+      meta = payload;
+      return;
+    }
+
+    const token = payload.token ?? '';
+    if (token) {
+      text += token;
+      onToken(token);
+    }
+  };
+
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) break;
+
+    buffer += decoder.decode(value, { stream: true });
+    const blocks = buffer.split(/\r?\n\r?\n/);
+    buffer = blocks.pop();
+    blocks.forEach(handleBlock);
+  }
+
+  buffer += decoder.decode();
+  if (buffer.trim()) handleBlock(buffer);
+
+  return { text, meta };
+};
+
+/**
+ * Reads a raw chunked text body, treating every chunk as a token.
+ * @param {ReadableStreamDefaultReader<Uint8Array>} reader
+ * @param {(token: string) => void} onToken
+ * @returns {Promise<string>} The full text.
+ */
+const readTextStream = async (reader, onToken) => {
+  const decoder = new TextDecoder();
+  let text = '';
+
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) break;
+
+    const token = decoder.decode(value, { stream: true });
+    if (token) {
+      text += token;
+      onToken(token);
+    }
+  }
+
+  return text + decoder.decode();
+};
+
+/**
+ * Posts a chat payload to a streaming endpoint and reports the answer token by token.
+ * A plain JSON reply is accepted as well and reported as a single token.
+ * @param {string} path - The streaming endpoint's API path.
+ * @param {object} payload - The JSON request body.
+ * @param {object} options
+ * @param {(token: string) => void} options.onToken - Called with each piece of the answer.
+ * @param {Record<string, string>} [options.headers] - Extra request headers.
+ * @param {AbortSignal} [options.signal] - Aborts the request and the stream when triggered.
+ * @returns {Promise<{response: string, context_used?: boolean, context_sources?: Array<object>}>}
+ * @throws {StreamUnsupportedError} When the server has no streaming endpoint.
+ */
+export const streamChat = async (path, payload, { onToken, headers = {}, signal }) => {
+  const response = await httpFetch(path, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      Accept: 'text/event-stream',
+      ...headers,
+    },
+    body: JSON.stringify(payload),
+    signal,
+  });
+
+  if (UNSUPPORTED_STATUSES.includes(response.status)) {
+    throw new StreamUnsupportedError(`Streaming is not supported by ${path} (status ${response.status})`);
+  }
+
+  if (!response.ok) {
+    const error = new Error(`Streaming request failed with status ${response.status}`);
+    error.status = response.status;
+    throw error;
+  }
+
+  const contentType = response.headers.get('Content-Type') || '';
+
+  if (contentType.includes('application/json')) {
+    const data = await response.json();
+    onToken(data.response);
+    return data;
+  }
+
+  if (!response.body) {
+    throw new StreamUnsupportedError('This browser cannot read streamed responses');
+  }
+
+  const reader = response.body.getReader();
+
+  if (contentType.includes('text/event-stream')) {
+    const { text, meta } = await readEventStream(reader, onToken);
+    return { ...meta, response: text };
+  }
+
+  return { response: await readTextStream(reader, onToken) };
+};
@@ -0,0 +1,109 @@
+/**
+ * @jest-environment node
+ */
+import { httpFetch } from './http';
+import { streamChat, StreamUnsupportedError } from './stream';
+
+jest.mock('./http', () => ({ httpFetch: jest.fn() }));
+
+/**
+ * A fetch response whose body arrives in the given pieces.
+ * @param {Array<string | Uint8Array>} chunks
+ * @param {object} [init]
+ */
+const streamedResponse = (chunks, { status = 200, contentType = 'text/event-stream' } = {}) => {
+  const encoder = new TextEncoder();
+  const pending = chunks.map(chunk => (typeof chunk === 'string' ? encoder.encode(chunk) : chunk));
+  return {
+    status,
+    ok: status >= 200 && status < 300,
+    headers: { get: () => contentType },
+    body: {
+      getReader: () => ({
+        read: async () => (pending.length > 0 ? { value: pending.shift(), done: false } : { value: undefined, done: true }),
+      }),
+    },
+  };
+};
+
+const ask = (onToken = jest.fn()) => streamChat('/api/chat/stream', { message: 'Hi' }, { onToken });
+
+describe('streamChat', () => {
+  afterEach(() => httpFetch.mockReset());
+
+  it('reports tokens and the done event of a Server-Sent Events stream', async () => {
+    httpFetch.mockResolvedValue(streamedResponse([
+      'data: {"token": "Hel"}\n\n',
+      'data: {"token": "lo"}\n\n',
+      'event: done\ndata: {"context_used": true, "context_sources": []}\n\n',
+    ]));
+    const onToken = jest.fn();
+
+    const result = await ask(onToken);
+
+    expect(onToken.mock.calls).toEqual([['Hel'], ['lo']]);
+    expect(result).toEqual({ context_used: true, context_sources: [], response: 'Hello' });
+  });
+
+  it('reassembles events split across chunks, including CRLF line endings', async () => {
+    httpFetch.mockResolvedValue(streamedResponse([
+      'data: {"tok',
+      'en": "Hel"}\r\n',
+      '\r\ndata: {"token": "lo"}\n',
+      '\nevent: do',
+      'ne\ndata: {"context_used": false}',
+    ]));
+    const onToken = jest.fn();
+
+    const result = await ask(onToken);
+
+    expect(onToken.mock.calls).toEqual([['Hel'], ['lo']]);
+    expect(result).toEqual({ context_used: false, response: 'Hello' });
+  });
+
+  it('decodes multi-byte characters split across chunks', async () => {
+    const bytes = new TextEncoder().encode('data: {"token": "héllo"}\n\n');
+    // Split inside the two bytes of "é".
+    const splitAt = bytes.indexOf(0xc3) + 1;
+    httpFetch.mockResolvedValue(streamedResponse([bytes.slice(0, splitAt), bytes.slice(splitAt)]));
+
+    const result = await ask();
+
+    expect(result.response).toBe('héllo');
+  });
+
+  it('joins multi-line data, treats non-JSON data as a token and skips comments', async () => {
+    httpFetch.mockResolvedValue(streamedResponse([
+      ': keep-alive\n\n',
+      'data: line one\ndata: line two\n\n',
+      'data: [DONE]\n\n',
+    ]));
+
+    const result = await ask();
+
+    expect(result.response).toBe('line one\nline two');
+  });
+
+  it('throws the detail of an error event', async () => {
+    httpFetch.mockResolvedValue(streamedResponse([
+      'data: {"token": "Par"}\n\n',
+      'event: error\ndata: {"detail": "Model overloaded"}\n\n',
+    ]));
+
+    await expect(ask()).rejects.toThrow('Model overloaded');
+  });
+
+  it('reads raw text bodies chunk by chunk', async () => {
+    httpFetch.mockResolvedValue(streamedResponse(['Hel', 'lo'], { contentType: 'text/plain' }));
+    const onToken = jest.fn();
+
+    await expect(ask(onToken)).resolves.toEqual({ response: 'Hello' });
+    expect(onToken.mock.calls).toEqual([['Hel'], ['lo']]);
+  });
+
+  it('signals a missing streaming endpoint', async () => {
+    httpFetch.mockResolvedValue(streamedResponse([], { status: 404 }));
+
+    await expect(ask()).rejects.toBeInstanceOf(StreamUnsupportedError);
+  });
+});
@@ -0,0 +1,32 @@
+/**
+ * Token counts estimated in the browser. Model tokenizers average about four characters
+ * of English per token, and close to one per word for short words and punctuation, so
+ * the larger of the two estimates is used. Good enough to budget context, not to bill.
+ */
+
+const CHARS_PER_TOKEN = 4;
+
+/**
+ * Estimates how many tokens a text takes.
+ * @param {string} text
+ * @returns {number}
+ */
+export const estimateTokens = (text) => {
+  if (!text) return 0;
+  const words = text.match(/\w+|[^\w\s]/g)?.length || 0;
+  return Math.max(Math.ceil(text.length / CHARS_PER_TOKEN), Math.ceil(words * 0.75));
+};
+
+/**
+ * Estimates the tokens of a text known only by its length.
+ * @param {number} length - The number of characters.
+ * @returns {number}
+ */
+export const estimateTokensFromLength = (length) => Math.ceil((length || 0) / CHARS_PER_TOKEN);
+
+/**
+ * Formats a token count for display, e.g. `850` or `12.3k`.
+ * @param {number} tokens
+ * @returns {string}
+ */
+export const formatTokens = (tokens) => (tokens < 1000 ? String(tokens) : `${(tokens / 1000).toFixed(1)}k`);
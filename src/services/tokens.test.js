@@ -0,0 +1,31 @@
+import { estimateTokens, estimateTokensFromLength, formatTokens } from './tokens';
+
+describe('estimateTokens', () => {
+  it('counts nothing for empty text', () => {
+    expect(estimateTokens('')).toBe(0);
+    expect(estimateTokens(undefined)).toBe(0);
+  });
+
+  it('estimates about four characters per token for prose', () => {
+    expect(estimateTokens('Retrieval keeps questions within budget.')).toBe(10);
+  });
+
+  it('counts short words and punctuation closer to one token each', () => {
+    // 11 characters, but 8 words and symbols.
+    expect(estimateTokens('a, b, c, d.')).toBe(6);
+  });
+});
+
+describe('estimateTokensFromLength', () => {
+  it('rounds up and treats a missing length as empty', () => {
+    expect(estimateTokensFromLength(9)).toBe(3);
+    expect(estimateTokensFromLength(undefined)).toBe(0);
+  });
+});
+
+describe('formatTokens', () => {
+  it('abbreviates thousands', () => {
+    expect(formatTokens(850)).toBe('850');
+    expect(formatTokens(12345)).toBe('12.3k');
+  });
+});
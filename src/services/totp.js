@@ -0,0 +1,115 @@
+/**
+ * Time-based one-time passwords (RFC 6238) as authenticator apps generate them: six digits
+ * from HMAC-SHA1 over 30-second steps. The mock backend uses them to stand in for a server
+ * with two-factor authentication.
+ */
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_MS = 30 * 1000;
+const DIGITS = 6;
+// Codes from one step before or after are accepted too, for clocks that are slightly off.
+const ALLOWED_DRIFT_STEPS = 1;
+
+/**
+ * Encodes bytes as unpadded base32, the form authenticator apps take secrets in.
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+const base32Encode = (bytes) => {
+  let output = '';
+  let value = 0;
+  let bits = 0;
+  bytes.forEach((byte) => {
+    value = ((value << 8) | byte) & 0xfff;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  });
+  if (bits > 0) output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  return output;
+};
+
+/**
+ * @param {string} text - Base32, case-insensitive, with or without padding.
+ * @returns {Uint8Array}
+ */
+const base32Decode = (text) => {
+  const bytes = [];
+  let value = 0;
+  let bits = 0;
+  [...text.replace(/=+$/, '').toUpperCase()].forEach((char) => {
+    value = ((value << 5) | BASE32_ALPHABET.indexOf(char)) & 0x1fff;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  });
+  return new Uint8Array(bytes);
+};
+
+/**
+ * Creates a new random secret.
+ * @returns {string} The secret in base32.
+ */
+export const generateTotpSecret = () => base32Encode(crypto.getRandomValues(new Uint8Array(20)));
+
+/**
+ * Builds the `otpauth://` URI that authenticator apps read from a QR code.
+ * @param {string} secret - The secret in base32.
+ * @param {string} account - Shown in the app, e.g. the email address.
+ * @param {string} issuer - Shown in the app, e.g. the product name.
+ * @returns {string}
+ */
+export const buildOtpauthUri = (secret, account, issuer) => (
+  `otpauth://totp/${encodeURIComponent(issuer)}:${encodeURIComponent(account)}?${new URLSearchParams({ secret, issuer })}`
+);
+
+/**
+ * Computes the code for one time step.
+ * @param {string} secret - The secret in base32.
+ * @param {number} counter - The time step.
+ * @returns {Promise<string>}
+ */
+const totpCode = async (secret, counter) => {
+  const key = await crypto.subtle.importKey('raw', base32Decode(secret), { name: 'HMAC', hash: 'SHA-1' }, false, ['sign']);
+  const message = new ArrayBuffer(8);
+  new DataView(message).setUint32(0, Math.floor(counter / 2 ** 32));
+  new DataView(message).setUint32(4, counter % 2 ** 32);
+  const hmac = new Uint8Array(await crypto.subtle.sign('HMAC', key, message));
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = ((hmac[offset] & 0x7f) << 24) | (hmac[offset + 1] << 16) | (hmac[offset + 2] << 8) | hmac[offset + 3];
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+};
+
+/**
+ * Finds the time step a code typed from an authenticator app belongs to. Servers remember
+ * the last step accepted for an account and refuse codes of that step or earlier, so a code
+ * cannot be used twice.
+ * @param {string} secret - The secret in base32.
+ * @param {string} code
+ * @param {number} [now] - The current time in milliseconds.
+ * @returns {Promise<number | null>} The time step, or null when the code is not valid now.
+ */
+export const findTotpStep = async (secret, code, now = Date.now()) => {
+  const typed = String(code || '').replace(/\s+/g, '');
+  if (!/^\d{6}$/.test(typed)) return null;
+  const counter = Math.floor(now / STEP_MS);
+  for (let drift = -ALLOWED_DRIFT_STEPS; drift <= ALLOWED_DRIFT_STEPS; drift += 1) {
+    if (await totpCode(secret, counter + drift) === typed) return counter + drift;
+  }
+  return null;
+};
+
+/**
+ * Checks a code typed from an authenticator app.
+ * @param {string} secret - The secret in base32.
+ * @param {string} code
+ * @param {number} [now] - The current time in milliseconds.
+ * @returns {Promise<boolean>}
+ */
+export const verifyTotp = async (secret, code, now = Date.now()) => (
+  await findTotpStep(secret, code, now) !== null
+);
@@ -0,0 +1,61 @@
+/**
+ * @jest-environment node
+ */
+import { webcrypto } from 'crypto';
+import { buildOtpauthUri, findTotpStep, generateTotpSecret, verifyTotp } from './totp';
+
+// The RFC 6238 SHA-1 test secret, "12345678901234567890", in base32.
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+beforeAll(() => {
+  if (!global.crypto?.subtle) global.crypto = webcrypto;
+});
+
+describe('verifyTotp', () => {
+  it.each([
+    [59, '287082'],
+    [1111111109, '081804'],
+    [1111111111, '050471'],
+    [1234567890, '005924'],
+    [2000000000, '279037'],
+    [20000000000, '353130'],
+  ])('accepts the RFC 6238 code at %i seconds', async (seconds, code) => {
+    await expect(verifyTotp(RFC_SECRET, code, seconds * 1000)).resolves.toBe(true);
+  });
+
+  it('accepts codes from the neighbouring time steps only', async () => {
+    await expect(verifyTotp(RFC_SECRET, '287082', 89 * 1000)).resolves.toBe(true);
+    await expect(verifyTotp(RFC_SECRET, '287082', 119 * 1000)).resolves.toBe(false);
+  });
+
+  it('ignores spaces and rejects malformed codes', async () => {
+    await expect(verifyTotp(RFC_SECRET, '287 082', 59 * 1000)).resolves.toBe(true);
+    await expect(verifyTotp(RFC_SECRET, '28708', 59 * 1000)).resolves.toBe(false);
+    await expect(verifyTotp(RFC_SECRET, '', 59 * 1000)).resolves.toBe(false);
+  });
+
+  it('reads lowercase and padded secrets', async () => {
+    await expect(verifyTotp(`${RFC_SECRET.toLowerCase()}====`, '287082', 59 * 1000)).resolves.toBe(true);
+  });
+});
+
+describe('findTotpStep', () => {
+  it('reports the time step a code belongs to', async () => {
+    await expect(findTotpStep(RFC_SECRET, '287082', 59 * 1000)).resolves.toBe(1);
+    await expect(findTotpStep(RFC_SECRET, '287082', 89 * 1000)).resolves.toBe(1);
+    await expect(findTotpStep(RFC_SECRET, '287082', 119 * 1000)).resolves.toBeNull();
+  });
+});
+
+describe('generateTotpSecret', () => {
+  it('creates a 160-bit base32 secret', () => {
+    expect(generateTotpSecret()).toMatch(/^[A-Z2-7]{32}$/);
+  });
+});
+
+describe('buildOtpauthUri', () => {
+  it('names the issuer and account', () => {
+    expect(buildOtpauthUri('ABC', 'ada@example.com', 'AskStash'))
+      .toBe('otpauth://totp/AskStash:ada%40example.com?secret=ABC&issuer=AskStash');
+  });
+});
@@ -0,0 +1,11 @@
+/**
+ * Formats a byte count for display, e.g. `512 bytes`, `3.4 KB` or `1.2 MB`.
+ * @param {number} bytes
+ * @returns {string}
+ */
+export const formatBytes = (bytes) => {
+  if (bytes < 1024) return `${bytes} bytes`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  if (bytes < 1024 * 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  return `${(bytes / (1024 * 1024 * 1024)).toFixed(1)} GB`;
+};
@@ -0,0 +1,10 @@
+/**
+ * Returns where to go after signing in: the private page that sent the user to log in
+ * (passed as `state.from` by PrivateRoute), or the dashboard.
+ * @param {import('react-router-dom').Location} location - The current location.
+ * @returns {string}
+ */
+export const getReturnPath = (location) => {
+  const from = location.state?.from;
+  return from ? `${from.pathname}${from.search || ''}${from.hash || ''}` : '/dashboard';
+};
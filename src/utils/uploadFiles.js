@@ -0,0 +1,66 @@
+/** File extensions the document extractor understands. */
+export const ACCEPTED_FILE_EXTENSIONS = [
+  '.pdf', '.doc', '.docx', '.txt', '.md', '.csv',
+  '.jpg', '.jpeg', '.png', '.gif', '.bmp', '.webp', '.tiff',
+];
+
+/**
+ * Tells whether a file can be uploaded, judging by its extension.
+ * @param {File} file
+ * @returns {boolean}
+ */
+export const isAcceptedFile = (file) => {
+  const name = file.name.toLowerCase();
+  return ACCEPTED_FILE_EXTENSIONS.some(extension => name.endsWith(extension));
+};
+
+/**
+ * Reads every entry of a dropped directory; browsers return them in batches.
+ * @param {FileSystemDirectoryEntry} directory
+ * @returns {Promise<FileSystemEntry[]>}
+ */
+const readDirectory = async (directory) => {
+  const reader = directory.createReader();
+  const entries = [];
+  let batch;
+  do {
+    batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+    entries.push(...batch);
+  } while (batch.length > 0);
+  return entries;
+};
+
+/**
+ * Collects the files in an entry, descending into directories.
+ * @param {FileSystemEntry} entry
+ * @returns {Promise<File[]>}
+ */
+const filesFromEntry = async (entry) => {
+  if (entry.isFile) {
+    return [await new Promise((resolve, reject) => entry.file(resolve, reject))];
+  }
+  if (entry.isDirectory) {
+    const children = await readDirectory(entry);
+    return (await Promise.all(children.map(filesFromEntry))).flat();
+  }
+  return [];
+};
+
+/**
+ * Lists the files dropped on the page, including the contents of dropped folders where
+ * the browser exposes them.
+ * @param {DataTransfer} dataTransfer
+ * @returns {Promise<File[]>}
+ */
+export const collectDroppedFiles = async (dataTransfer) => {
+  // Entries must be taken synchronously: the DataTransfer is emptied once the event ends.
+  const entries = Array.from(dataTransfer.items || [])
+    .filter(item => item.kind === 'file')
+    .map(item => item.webkitGetAsEntry?.())
+    .filter(Boolean);
+
+  if (entries.length === 0) {
+    return Array.from(dataTransfer.files || []);
+  }
+  return (await Promise.all(entries.map(filesFromEntry))).flat();
+};
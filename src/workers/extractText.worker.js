@@ -0,0 +1,140 @@
+/* eslint-env worker, es2020 */
+import * as pdfjsLib from 'pdfjs-dist/build/pdf';
+import * as pdfjsWorker from 'pdfjs-dist/build/pdf.worker';
+import JSZip from 'jszip';
+
+/**
+ * Extracts text from guest uploads without sending them anywhere. The page posts
+ * `{ file }` and receives `{ text }` or `{ error }`.
+ */
+
+// This already is a worker, so PDF.js runs its parser here instead of spawning another.
+globalThis.pdfjsWorker = pdfjsWorker;
+
+const extractPdf = async (file) => {
+  const pdf = await pdfjsLib.getDocument({
+    data: await file.arrayBuffer(),
+    isEvalSupported: false,
+    verbosity: pdfjsLib.VerbosityLevel.ERRORS,
+  }).promise;
+  const pages = [];
+  for (let pageNumber = 1; pageNumber <= pdf.numPages; pageNumber += 1) {
+    const page = await pdf.getPage(pageNumber);
+    const content = await page.getTextContent();
+    pages.push(content.items.map(item => `${item.str}${item.hasEOL ? '\n' : ''}`).join(''));
+  }
+  await pdf.destroy();
+  return pages.join('\n\n');
+};
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+const decodeXml = (text) => text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (entity, code) => {
+  if (code[0] === '#') {
+    return String.fromCodePoint(code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10));
+  }
+  return XML_ENTITIES[code] ?? entity;
+});
+
+const extractDocx = async (file) => {
+  const zip = await JSZip.loadAsync(await file.arrayBuffer());
+  const documentXml = await zip.file('word/document.xml')?.async('string');
+  if (!documentXml) throw new Error('This is not a Word document');
+
+  // Each <w:p> is a paragraph; its text sits in <w:t> runs, with tabs and breaks between them.
+  return documentXml
+    .split(/<\/w:p>/)
+    .map(paragraph => decodeXml(
+      (paragraph.match(/<w:t(?:\s[^>]*)?>[^<]*<\/w:t>|<w:tab\/>|<w:br\/>/g) || [])
+        .map(run => (run === '<w:tab/>' ? '\t' : run === '<w:br/>' ? '\n' : run.replace(/<[^>]+>/g, '')))
+        .join('')
+    ))
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+};
+
+/**
+ * Parses CSV text, honouring quoted fields with embedded commas, quotes and line breaks.
+ * @param {string} text
+ * @returns {string[][]}
+ */
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i += 1) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i += 1;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter(cells => cells.some(cell => cell.trim()));
+};
+
+// Rows are written as "Header: value" pairs so each passage keeps the meaning of its columns.
+const extractCsv = async (file) => {
+  const [header, ...rows] = parseCsv(await file.text());
+  if (!header) return '';
+  if (rows.length === 0) return header.join(', ');
+  return rows
+    .map(cells => cells
+      .map((cell, index) => `${header[index]?.trim() || `Column ${index + 1}`}: ${cell.trim()}`)
+      .join(' | '))
+    .join('\n');
+};
+
+// Markdown stays readable as-is; only front matter, comments and link targets are dropped.
+const extractMarkdown = async (file) => (await file.text())
+  .replace(/^---\n[\s\S]*?\n---\n/, '')
+  .replace(/<!--[\s\S]*?-->/g, '')
+  .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+  .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+  .trim();
+
+const extractPlainText = (file) => file.text();
+
+const EXTRACTORS = [
+  [/\.pdf$/i, extractPdf],
+  [/\.docx$/i, extractDocx],
+  [/\.csv$/i, extractCsv],
+  [/\.md$/i, extractMarkdown],
+  [/\.txt$/i, extractPlainText],
+];
+
+globalThis.addEventListener('message', async ({ data: { file } }) => {
+  try {
+    const extractor = EXTRACTORS.find(([pattern]) => pattern.test(file.name))?.[1]
+      || (file.type.startsWith('text/') ? extractPlainText : null);
+    if (!extractor) throw new Error(`${file.name} cannot be read in the browser`);
+    postMessage({ text: await extractor(file) });
+  } catch (error) {
+    postMessage({ error: error.message || String(error) });
+  }
+});